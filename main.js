@@ -1,762 +1,5762 @@
+// Physics and skater core, shared with the headless tests (see src/core)
+import { FIXED_STEP_MS, SKATER_GROUP } from './src/core/world.js';
+import { CollisionService, sensorBody } from './src/core/collisions.js';
+import {
+  DEFAULT_GROUND_THICKNESS,
+  buildGround,
+  buildObstacle,
+  buildRail,
+  splineStripPolygon,
+} from './src/core/ground.js';
+import { PlayerController, createPlayerBody } from './src/core/player.js';
+import { TUNING_DEFAULTS, TUNING_PARAMS, TUNING_PRESETS, Tuning, parsePreset } from './src/core/tuning.js';
+import { groupAssets, parseManifest } from './src/core/assets.js';
+import { GEAR, GEAR_SLOTS, GEAR_STATS, gearItem, gearOptions, weakestGearOptions } from './src/core/gear.js';
+import { createSkaterAnimator } from './src/core/skateranim.js';
+import { dailySeed, generateSpot } from './src/core/spotgen.js';
+import { Hazard } from './src/core/hazards.js';
+import { TRICKS, TrickSystem, lineName } from './src/core/tricks.js';
+import { BailCycle } from './src/core/bails.js';
+import { HorseGame, landsLine } from './src/core/versus.js';
+import { WorldGraph, collectibleKey, exitName, isGateOpen } from './src/core/worldgraph.js';
+
 // ======================================================================
 //  MATTER HELPERS
 // ======================================================================
 
-const M = Phaser.Physics.Matter.Matter;
-const Bodies = M.Bodies;
-
-/**
- * Create the player sprite + Matter body.
- * Sprite: 128x170, bottom edge = wheels touching ground.
- * We align the bottom of the body to the bottom of the sprite.
- */
-function createPlayer(scene, x, y) {
-  const sprite = scene.matter.add.sprite(x, y, 'player1');
-
-  // Sprite is 128x170
-  const SPRITE_HEIGHT = 170;
-
-  // The legs + torso, not including the board & wheels
-  const BODY_HEIGHT = 120;  
-  const BODY_WIDTH  = 60;
-
-  // Where is the bottom of the BODY relative to the sprite?
-  // Sprite bottom = wheels = true contact point.
-  // Body bottom must meet wheels.
-  //
-  // Sprite bottom (center + 85)
-  // Body bottom (center + BODY_HEIGHT/2)
-  // offsetY = (SPRITE_HEIGHT/2) - (BODY_HEIGHT/2)
-  const offsetY = (SPRITE_HEIGHT / 2) - (BODY_HEIGHT / 2);
-
-  const mainBody = Bodies.rectangle(
-    0,
-    offsetY,            // shift downward so body bottom touches wheels
-    BODY_WIDTH,
-    BODY_HEIGHT,
-    { label: 'PLAYER' }
-  );
+const M = Phaser.Physics.Matter.Matter;
+
+/**
+ * The player sprite on a skater body from the core (see createPlayerBody),
+ * dressed in `look` (see SKATER SPRITE).
+ */
+function createPlayer(scene, x, y, look) {
+  const sprite = scene.matter.add.sprite(x, y, 'skater_body', SKATER_FRAMES.roll);
+  sprite.setExistingBody(createPlayerBody(M, x, y));
+  return dressSkater(scene, sprite, look);
+}
+
+/**
+ * Crash debris for a bail: the skater as a tumbling sprite and the
+ * board flying off on its own, both thrown with `velocity`.
+ * Returns the game objects so the caller can clean them up.
+ */
+function createCrash(scene, player, velocity, look) {
+  const { x, y } = player;
+  const spin = velocity.x >= 0 ? 1 : -1;
+
+  const skater = scene.matter.add.image(x, y, 'skater_body', SKATER_FRAMES.air, {
+    shape: { type: 'rectangle', width: 60, height: 120 },
+    friction: 0.4,
+    restitution: 0.3,
+    label: 'CRASH',
+    collisionFilter: { group: SKATER_GROUP },
+  });
+  skater
+    .setFlipX(player.flipX)
+    .setRotation(player.rotation)
+    .setVelocity(velocity.x * 0.8, Math.min(velocity.y, 0) - 4)
+    .setAngularVelocity(spin * 0.2);
+  dressSkater(scene, skater, look);
+
+  const board = scene.add.rectangle(x, y + 70, 70, 8, lookTints(look).deck);
+  scene.matter.add.gameObject(board, {
+    friction: 0.2,
+    restitution: 0.5,
+    label: 'CRASH',
+    collisionFilter: { group: SKATER_GROUP },
+  });
+  board
+    .setVelocity(velocity.x * 1.2, -6)
+    .setAngularVelocity(spin * 0.4);
+
+  return [skater, board];
+}
+
+/**
+ * A skater's BailCycle (see src/core/bails.js) with crash debris dressed
+ * in `look` thrown on every bail and cleared at the respawn.
+ */
+class CrashingBailCycle extends BailCycle {
+  constructor(scene, sprite, controller, checkpoint, look) {
+    super(controller, checkpoint);
+
+    this.scene = scene;
+    this.sprite = sprite;
+    this.look = look;
+    this.crash = null; // debris while down
+  }
+
+  /** What a camera should follow: the skater, or the crash while it's down. */
+  get focus() {
+    return this.crash ? this.crash[0] : this.sprite;
+  }
+
+  onBail() {
+    this.crash = createCrash(this.scene, this.sprite, this.controller.bailVelocity, this.look);
+    super.onBail();
+  }
+
+  respawn() {
+    this.clearCrash();
+    super.respawn();
+  }
+
+  cancel() {
+    this.clearCrash();
+    super.cancel();
+  }
+
+  clearCrash() {
+    for (const obj of this.crash ?? []) obj.destroy();
+    this.crash = null;
+  }
+}
+
+/**
+ * Debug draw of a ground spline into `gfx`: top line in yellow (or
+ * `topColor`), the bottom of the collision strip in magenta.
+ */
+function drawDebugSpline(gfx, rampPoints, bottomPoints, topColor = 0xffff00) {
+  if (rampPoints.length < 2) return;
+
+  // Top spline
+  gfx.lineStyle(4, topColor, 1);
+  gfx.beginPath();
+  gfx.moveTo(rampPoints[0].x, rampPoints[0].y);
+  for (let i = 1; i < rampPoints.length; i++) {
+    gfx.lineTo(rampPoints[i].x, rampPoints[i].y);
+  }
+  gfx.strokePath();
+
+  // Bottom spline
+  gfx.lineStyle(2, 0xff00ff, 0.8);
+  for (let i = 0; i < bottomPoints.length - 1; i++) {
+    gfx.strokeLineShape({
+      x1: bottomPoints[i].x,     y1: bottomPoints[i].y,
+      x2: bottomPoints[i+1].x,   y2: bottomPoints[i+1].y
+    });
+  }
+}
+
+/**
+ * Add a grindable line to the scene: its bodies (see buildRail) plus the
+ * drawing of the rail, ledge or coping. Returns the rail geometry.
+ */
+function createRail(scene, def) {
+  const { rail, bodies, ledge } = buildRail(M, def, scene.registry.get('tuning').values);
+  const { a, b } = rail;
+  for (const body of bodies) {
+    scene.collisions.register(body, body.label === 'RAIL' ? 'rail' : 'ground');
+  }
+  scene.matter.world.add(bodies);
+
+  const gfx = scene.add.graphics().setDepth(-5);
+
+  if (ledge) {
+    scene.add
+      .rectangle(ledge.x, ledge.y, ledge.width, ledge.height, parseColor(def.color, 0x555a66))
+      .setRotation(ledge.angle)
+      .setDepth(-6);
+    gfx.lineStyle(4, 0x9aa0ac, 1);
+  } else if (rail.type === 'rail') {
+    // Posts down to the ground
+    const postHeight = def.postHeight ?? 40;
+    gfx.lineStyle(3, 0x6b7080, 1);
+    for (const p of [a, b]) gfx.lineBetween(p.x, p.y, p.x, p.y + postHeight);
+    gfx.lineStyle(4, 0xb0b6c2, 1);
+  } else {
+    gfx.lineStyle(3, 0xb0b6c2, 1);
+  }
+
+  gfx.lineBetween(a.x, a.y, b.x, b.y);
+
+  return rail;
+}
+
+/** Show or hide Matter's debug render of every body in the scene. */
+function setPhysicsDebug(scene, on) {
+  const world = scene.matter.world;
+  if (on && !world.debugGraphic) world.createDebugGraphic();
+  world.drawDebug = on;
+  if (!on) world.debugGraphic?.clear();
+}
+
+/**
+ * Put the world-wide tuning values into a scene's physics: gravity, and
+ * the friction of every GROUND body already built.
+ */
+function applyWorldTuning(scene, values) {
+  const world = scene.matter.world;
+  world.engine.gravity.y = values.gravity;
+  for (const body of M.Composite.allBodies(world.localWorld)) {
+    if (body.label === 'GROUND') body.friction = values.groundFriction;
+  }
+}
+
+/** Small balance bar over the skater's head while grinding. */
+function drawBalanceMeter(gfx, x, y, balance) {
+  const WIDTH = 60;
+
+  gfx.fillStyle(0x000000, 0.6);
+  gfx.fillRect(x - WIDTH / 2, y, WIDTH, 6);
+
+  const danger = Math.abs(balance);
+  gfx.fillStyle(danger > 0.7 ? 0xe57373 : danger > 0.4 ? 0xffd54f : 0x81c784, 1);
+  gfx.fillRect(x + (balance * WIDTH) / 2 - 3, y - 2, 6, 10);
+}
+
+
+// ======================================================================
+//  SKATER SPRITE – drawing what a PlayerController is doing
+// ======================================================================
+//
+// A skater is drawn from layered sheets, the skater_* spritesheets in
+// the asset manifest's "core" group, all with the same 128×170 frames
+// (SKATER_FRAMES). The body sheet keeps its colours;
+// the others are greyscale and get theirs by tinting, from the palette
+// picked for each layer in the skater's look:
+//
+//   { "body": "light", "outfit": "black", "deck": "maple", "wheels": "cream" }
+//
+// The body layer is the sprite the game moves around; the rest follow it
+// (see dressSkater), so nothing else has to know there are layers.
+// ======================================================================
+
+const SKATER_FRAMES = { roll: 0, idle: 1, kick: 2, air: 3, brake: 4, grind: 5 };
+
+// Bottom to top. `tint` is which of the look's tints the sheet takes.
+const SKATER_LAYERS = [
+  { sheet: 'skater_body', tint: 'body' }, // skin, face, shoes, outlines
+  { sheet: 'skater_top', tint: 'top' },   // hoodie and helmet
+  { sheet: 'skater_pants', tint: 'pants' },
+  { sheet: 'skater_deck', tint: 'deck' },
+  { sheet: 'skater_wheels', tint: 'wheels' },
+];
+
+// Choices per layer of a look; the outfit tints two sheets
+const SKATER_PALETTES = {
+  body: {
+    light: { name: 'Light', tints: { body: 0xffffff } },
+    tan: { name: 'Tan', tints: { body: 0xe8c0a0 } },
+    brown: { name: 'Brown', tints: { body: 0xb58462 } },
+    deep: { name: 'Deep', tints: { body: 0x8a5d44 } },
+  },
+  outfit: {
+    black: { name: 'Black hoodie', tints: { top: 0x232527, pants: 0x6c351c } },
+    red: { name: 'Red hoodie', tints: { top: 0xb03030, pants: 0x2d3f66 } },
+    navy: { name: 'Navy hoodie', tints: { top: 0x283c6e, pants: 0x4a4a4a } },
+    green: { name: 'Green hoodie', tints: { top: 0x3d6b3a, pants: 0x6b5b3a } },
+    white: { name: 'White hoodie', tints: { top: 0xd8d8d8, pants: 0x33415c } },
+  },
+  deck: {
+    maple: { name: 'Maple', tints: { deck: 0xde7d37 } },
+    black: { name: 'Black', tints: { deck: 0x444444 } },
+    red: { name: 'Red', tints: { deck: 0xd04545 } },
+    blue: { name: 'Blue', tints: { deck: 0x4a7bd0 } },
+    pink: { name: 'Pink', tints: { deck: 0xe07ab8 } },
+  },
+  wheels: {
+    cream: { name: 'Cream', tints: { wheels: 0xb19066 } },
+    white: { name: 'White', tints: { wheels: 0xe8e8e8 } },
+    red: { name: 'Red', tints: { wheels: 0xd05050 } },
+    blue: { name: 'Blue', tints: { wheels: 0x5080d0 } },
+    green: { name: 'Green', tints: { wheels: 0x60c060 } },
+  },
+};
+
+const DEFAULT_LOOK = { body: 'light', outfit: 'black', deck: 'maple', wheels: 'cream' };
+
+// What each SKATER_ANIMATIONS state plays (see src/core/skateranim.js),
+// by SKATER_FRAMES name; one-frame ones just hold it
+const SKATER_ANIMS = {
+  idle: { frames: ['roll', 'idle'], frameRate: 2, repeat: -1 },
+  roll: { frames: ['roll'] },
+  push: { frames: ['kick', 'kick', 'kick', 'roll'], frameRate: 8 },
+  brake: { frames: ['brake'] },
+  ollie: { frames: ['brake', 'air'], frameRate: 12 },
+  air: { frames: ['air'] },
+  land: { frames: ['idle', 'roll'], frameRate: 8 },
+  grind: { frames: ['grind'] },
+  bail: { frames: ['air'] },
+};
+
+function skaterAnimKey(name) {
+  return `skater:${name}`;
+}
+
+/** The SKATER_ANIMS, shared by every scene. */
+function createSkaterAnims(scene) {
+  for (const [name, def] of Object.entries(SKATER_ANIMS)) {
+    if (scene.anims.exists(skaterAnimKey(name))) continue;
+
+    scene.anims.create({
+      key: skaterAnimKey(name),
+      frames: def.frames.map((frame) => ({ key: 'skater_body', frame: SKATER_FRAMES[frame] })),
+      frameRate: def.frameRate ?? 1,
+      repeat: def.repeat ?? 0,
+    });
+  }
+}
+
+/** Tint for every sheet, from a look; unknown choices fall back to the default. */
+function lookTints(look) {
+  const tints = {};
+  for (const [layer, palettes] of Object.entries(SKATER_PALETTES)) {
+    const choice = palettes[look?.[layer]] ?? palettes[DEFAULT_LOOK[layer]];
+    Object.assign(tints, choice.tints);
+  }
+  return tints;
+}
+
+/**
+ * Put the other layers on `sprite`, which shows a 'skater_body' frame.
+ * After every update they copy its frame, transform, alpha, depth and
+ * visibility, and they go when it is destroyed.
+ */
+function dressSkater(scene, sprite, look) {
+  const layers = SKATER_LAYERS.slice(1).map((layer) =>
+    scene.add.image(sprite.x, sprite.y, layer.sheet, sprite.frame.name)
+  );
+
+  const follow = () => {
+    for (const image of layers) {
+      image
+        .setFrame(sprite.frame.name)
+        .setOrigin(sprite.originX, sprite.originY)
+        .setPosition(sprite.x, sprite.y)
+        .setRotation(sprite.rotation)
+        .setScale(sprite.scaleX, sprite.scaleY)
+        .setFlipX(sprite.flipX)
+        .setAlpha(sprite.alpha)
+        .setDepth(sprite.depth)
+        .setVisible(sprite.visible);
+    }
+  };
+
+  scene.events.on(Phaser.Scenes.Events.POST_UPDATE, follow);
+  sprite.once(Phaser.GameObjects.Events.DESTROY, () => {
+    scene.events.off(Phaser.Scenes.Events.POST_UPDATE, follow);
+    for (const image of layers) image.destroy();
+  });
+
+  sprite.skaterLayers = layers;
+  setSkaterLook(sprite, look);
+  follow();
+  return sprite;
+}
+
+/** Re-tint a dressed sprite (see dressSkater) for another look. */
+function setSkaterLook(sprite, look) {
+  const tints = lookTints(look);
+  sprite.setTint(tints.body);
+  sprite.skaterLayers.forEach((image, i) => image.setTint(tints[SKATER_LAYERS[i + 1].tint]));
+}
+
+/**
+ * Give a skater's sprite an animation state machine on `controller` (see
+ * src/core/skateranim.js). Each state it enters plays its animation;
+ * `hidden` ones hide the sprite – the scene shows crash debris instead.
+ */
+function animateSkater(sprite, controller) {
+  const animator = createSkaterAnimator(controller);
+  animator.on('enter', (name, state) => {
+    sprite.setVisible(!state.hidden);
+    sprite.anims.play(skaterAnimKey(state.anim));
+  });
+
+  sprite.animator = animator;
+  sprite.once(Phaser.GameObjects.Events.DESTROY, () => animator.destroy());
+  return sprite;
+}
+
+/**
+ * Once per frame: facing, the animation state (see animateSkater), and
+ * the balance meter (`meter`, a Graphics) while grinding.
+ */
+function updateSkaterSprite(sprite, controller, meter) {
+  sprite.flipX = controller.facingLeft;
+  sprite.animator.update(controller.now);
+
+  meter.clear();
+  if (controller.grinding) {
+    drawBalanceMeter(meter, sprite.x, sprite.getTopCenter().y - 12, controller.balance);
+  }
+}
+
+// ======================================================================
+//  TRICKS – showing the combos of src/core/tricks.js
+// ======================================================================
+
+/**
+ * Combo readout under the score, at (x, y) on screen (by default where
+ * LevelScene has it). Shows the running combo while it is open and
+ * flashes the result when it is banked or lost.
+ */
+function createComboText(scene, tricks, x = null, y = null) {
+  const ui = screenLayout(scene);
+  x ??= ui.margin;
+  y ??= ui.margin + ui.line * 0.7;
+
+  const text = scene.add.text(x, y, '', {
+    fontSize: '16px',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    color: '#ffd54f',
+  }).setScrollFactor(0);
+
+  const showCombo = (trick, combo) => {
+    const names = combo.tricks.map((t) => t.name).join(' + ');
+    text.setColor('#ffd54f');
+    text.setText(`${names}  ${combo.points} x${combo.tricks.length}`);
+  };
+
+  tricks.on('trick', showCombo);
+
+  tricks.on('comboLanded', (score) => {
+    text.setColor('#81c784');
+    text.setText(`Landed! +${score}`);
+  });
+
+  tricks.on('comboLost', () => {
+    text.setColor('#e57373');
+    text.setText('Bailed the combo...');
+  });
+
+  return text;
+}
+
+// ======================================================================
+//  LEVELS
+// ======================================================================
+//
+// Levels are JSON files in levels/, listed in levels/index.json:
+//
+//   { "start": "street", "levels": ["street", "ramp"] }
+//
+// Each level file describes one spot. Every section is optional except
+// `spawn`; coordinates are absolute world pixels.
+//
+//   {
+//     "name": "Ramp Room",
+//     "background": "#102030",            camera clear colour
+//     "music": "rampMusic",               audio asset key to crossfade to
+//     "assets": ["ramp"],                 asset groups it draws and plays
+//                                         from (see src/core/assets.js),
+//                                         loaded when it starts
+//     "spawn": { "x": 200, "y": 50 },
+//     "world": { "width": 2400, "height": 600 },   defaults to the canvas
+//
+//     "parallax": [                       tiled layers behind everything,
+//       { "texture": "titleBg", "scrollFactor": 0.25,   repeated sideways
+//         "y": 0, "height": 300, "offsetY": 0, "tint": "#777777",
+//         "depth": -40 }
+//     ],
+//
+//     "art": [                            drawn in order
+//       { "type": "image", "texture": "ramp_left", "x": 70, "y": 650,
+//         "origin": [0, 1], "scale": 1.7, "depth": -10 },
+//       { "type": "rect", "x": 0, "y": 480, "width": 800, "height": 120,
+//         "color": "#30343f" },
+//       { "type": "text", "x": 400, "y": 40, "text": "Ramp Room",
+//         "size": 24, "origin": [0.5, 0.5], "fixed": true }
+//     ],                                  fixed = stays put on screen
+//
+//     "ground": [                         static GROUND bodies
+//       { "type": "spline", "points": [{ "x": 0, "y": 480 }, ...],
+//         "thickness": 40,                solid strip under the line
+//         "material": "wood",             concrete (default), wood, metal
+//         "fill": "#30343f" },            draw the strip in this colour
+//       { "type": "edges", "points": [...] }   thin segments on the line
+//     ],
+//
+//     "obstacles": [                      static boxes you can land on
+//       { "x": 500, "y": 460, "width": 80, "height": 40, "angle": 0,
+//         "color": "#555a66" }
+//     ],
+//
+//     "rails": [                          grindable lines, two points each,
+//                                         "material" defaults to metal
+//       { "type": "rail", "points": [{ "x": 1900, "y": 420 }, { "x": 2150, "y": 420 }],
+//         "postHeight": 60 },
+//       { "type": "ledge", "points": [...], "height": 60 },
+//       { "type": "coping", "points": [...] }
+//     ],
+//
+//     "collectibles": [                   "letter" ones only appear in sessions
+//       { "x": 680, "y": 460, "points": 10 },
+//       { "x": 420, "y": 440, "letter": "S", "points": 50 }
+//     ],
+//
+//     "checkpoints": [{ "x": 1000, "y": 400 }],   respawn points after a
+//                                                  bail, armed by passing
+//
+//     "map": { "x": 1, "y": 0 },           cell on the world map
+//
+//     "exits": [                          area exits and action exits,
+//                                         see WORLD GRAPH in src/core
+//       { "x": 720, "y": 400, "width": 32, "height": 32, "to": "ramp",
+//         "spawn": { "x": 660, "y": 400, "dir": -1 } },
+//       { "action": "pause", "to": "street" }   "pause" ones are entries
+//     ],                                        in the pause menu
+//
+//     "session": { ... },                 timed run, see SESSION below
+//
+//     "hustlers": [ ... ],                NPC challenges for cash, see HUSTLE
+//
+//     "hazards": [ ... ],                 pedestrians, cars and guards, see
+//                                         src/core/hazards.js
+//
+//     "unlock": { "level": "street", "goals": 1 }
+//                                         locked until that many session
+//                                         goals are done in that level
+//   }
+//
+// Keys "spot:<seed>" aren't files: getLevel() generates them on first use
+// (see src/core/spotgen.js), rideable with the weakest gear in the shop.
+// They're off the map, and their exit leads back to the start level.
+// ======================================================================
+
+
+// Fixed steps run per frame at most; after a longer hitch time is dropped
+const MAX_STEPS_PER_FRAME = 5;
+
+// Camera: follow smoothing, and how far it leads the skater at full speed
+const CAMERA_LERP = 0.1;
+const CAMERA_LOOKAHEAD = 180;
+const CAMERA_LOOKAHEAD_LERP = 0.04;
+
+/**
+ * How far a camera leads a skater going `vx`: eased from `current`
+ * towards CAMERA_LOOKAHEAD in the direction of travel, more the faster
+ * the skater goes, so turning around doesn't snap the view.
+ */
+function cameraLead(current, vx, maxVelX) {
+  const lead = Phaser.Math.Clamp(vx / maxVelX, -1, 1);
+  return Phaser.Math.Linear(current, lead * CAMERA_LOOKAHEAD, CAMERA_LOOKAHEAD_LERP);
+}
+
+/**
+ * Queue levels/index.json and every level it lists on a loader.
+ * Levels end up in the JSON cache as `level:<key>`.
+ */
+function loadLevels(loader) {
+  loader.json('levels', 'levels/index.json');
+
+  loader.once('filecomplete-json-levels', (key, type, index) => {
+    for (const levelKey of index.levels) {
+      loader.json(`level:${levelKey}`, `levels/${levelKey}.json`);
+    }
+  });
+}
+
+/** Size of the level's world, falling back to the canvas size. */
+function getWorldSize(scene, level) {
+  return {
+    width: level.world?.width ?? scene.scale.width,
+    height: level.world?.height ?? scene.scale.height,
+  };
+}
+
+const SPOT_PREFIX = 'spot:';
+
+/** Level key of the generated spot for `seed`. */
+function spotKey(seed) {
+  return `${SPOT_PREFIX}${seed}`;
+}
+
+function getLevel(scene, key) {
+  // Spots are sized for the default tuning, not the live one, so a seed
+  // (and the daily spot) is the same spot for everyone; see spotgen.js
+  if (key.startsWith(SPOT_PREFIX) && !scene.cache.json.exists(`level:${key}`)) {
+    const seed = Number(key.slice(SPOT_PREFIX.length));
+    const spot = generateSpot(seed, {
+      controller: weakestGearOptions(TUNING_DEFAULTS),
+      exitTo: scene.cache.json.get('levels').start,
+      name: seed === dailySeed() ? 'Daily Spot' : undefined,
+    });
+    scene.cache.json.add(`level:${key}`, spot);
+  }
+
+  const level = scene.cache.json.get(`level:${key}`);
+  if (!level) {
+    throw new Error(`Level "${key}" is not loaded – is it listed in levels/index.json?`);
+  }
+  return level;
+}
+
+/** Rooms and links of every loaded level (see WorldGraph). */
+function getWorldGraph(scene) {
+  const keys = scene.cache.json.get('levels').levels;
+  return new WorldGraph(Object.fromEntries(keys.map((key) => [key, getLevel(scene, key)])));
+}
+
+/** Levels without an "unlock" rule are always open. */
+function isLevelUnlocked(scene, key) {
+  const level = getLevel(scene, key);
+  return !level.unlock || scene.registry.get('save').isUnlocked(key);
+}
+
+/**
+ * Open every locked level whose unlock rule is now met. Returns the keys
+ * of the levels that were just unlocked.
+ */
+function updateUnlocks(scene) {
+  const save = scene.registry.get('save');
+  const unlocked = [];
+
+  for (const key of scene.cache.json.get('levels').levels) {
+    const rule = getLevel(scene, key).unlock;
+    if (!rule || save.isUnlocked(key)) continue;
+
+    if (save.level(rule.level).goals.length >= rule.goals) {
+      save.unlock(key);
+      unlocked.push(key);
+    }
+  }
+
+  return unlocked;
+}
+
+function parseColor(color, fallback) {
+  if (color === undefined) return fallback;
+  if (typeof color === 'number') return color;
+  return Phaser.Display.Color.HexStringToColor(color).color;
+}
+
+/**
+ * Build one entry of a level's `ground` list into the world (see
+ * buildGround). Returns { bodies, fill }: the Matter bodies that were
+ * created and the drawing of its `fill`, or null without one.
+ */
+function createGround(scene, def) {
+  const bodies = buildGround(M, def, scene.registry.get('tuning').values);
+  scene.collisions.register(bodies, 'ground');
+  scene.matter.world.add(bodies);
+
+  let fill = null;
+  if (def.fill !== undefined && def.type === 'spline') {
+    const strip = splineStripPolygon(def.points, def.thickness ?? DEFAULT_GROUND_THICKNESS);
+    fill = scene.add.graphics().setDepth(-6).fillStyle(parseColor(def.fill)).fillPoints(strip, true);
+  }
+
+  return { bodies, fill };
+}
+
+/** Take one createGround() result back out of the scene. */
+function removeGround(scene, ground) {
+  scene.matter.world.remove(ground.bodies);
+  ground.fill?.destroy();
+}
+
+function createObstacle(scene, def) {
+  const body = buildObstacle(M, def, scene.registry.get('tuning').values);
+  scene.collisions.register(body, 'ground');
+  scene.matter.world.add(body);
+
+  if (def.color !== undefined) {
+    scene.add
+      .rectangle(def.x, def.y, def.width, def.height, parseColor(def.color))
+      .setRotation(body.angle);
+  }
+
+  return body;
+}
+
+function createArt(scene, def) {
+  let obj;
+
+  switch (def.type) {
+    case 'image':
+      obj = scene.add.image(def.x, def.y, def.texture);
+      if (def.scale !== undefined) obj.setScale(def.scale);
+      if (def.width !== undefined) obj.setDisplaySize(def.width, def.height);
+      break;
+
+    case 'rect':
+      obj = scene.add
+        .rectangle(def.x, def.y, def.width, def.height, parseColor(def.color, 0xffffff))
+        .setOrigin(0, 0);
+      break;
+
+    case 'text':
+      obj = scene.add.text(def.x, def.y, def.text, {
+        fontSize: `${def.size ?? 16}px`,
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        color: def.color ?? '#ffffff',
+      });
+      break;
+
+    default:
+      throw new Error(`Unknown art type "${def.type}"`);
+  }
+
+  if (def.origin) obj.setOrigin(def.origin[0], def.origin[1]);
+  if (def.depth !== undefined) obj.setDepth(def.depth);
+  if (def.fixed) obj.setScrollFactor(0);
+
+  return obj;
+}
+
+/**
+ * A horizontally repeating background layer that scrolls at
+ * `scrollFactor` of the camera speed.
+ *
+ * The tile sprite is made just wide enough to still cover the view when
+ * the camera sits at the far end of the world.
+ */
+function createParallaxLayer(scene, def, worldSize) {
+  const factor = def.scrollFactor ?? 0.5;
+  const viewWidth = scene.scale.width;
+  const layerWidth = viewWidth + Math.max(0, worldSize.width - viewWidth) * factor;
+  const height = def.height ?? scene.textures.get(def.texture).getSourceImage().height;
+
+  const layer = scene.add
+    .tileSprite(0, def.y ?? 0, layerWidth, height, def.texture)
+    .setOrigin(0, 0)
+    .setScrollFactor(factor)
+    .setDepth(def.depth ?? -50);
+
+  layer.tilePositionY = def.offsetY ?? 0;
+  if (def.tint !== undefined) layer.setTint(parseColor(def.tint));
+
+  return layer;
+}
+
+// ======================================================================
+//  FILES – downloading and picking JSON files
+// ======================================================================
+
+// The browser fetches a download's URL after click() returns; let it go
+// only once that has surely happened (ms)
+const DOWNLOAD_REVOKE_MS = 10000;
+
+/** Download the JSON text `json` as a file called `name`. */
+function downloadJson(name, json) {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_MS);
+}
+
+/**
+ * Let the player pick a JSON file. Resolves to { data, file } with the
+ * parsed contents, or null if cancelled; rejects if it isn't JSON.
+ */
+function pickJsonFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        resolve({ data: JSON.parse(await file.text()), file });
+      } catch (err) {
+        reject(err);
+      }
+    });
+    // Dismissing the picker fires no 'change'
+    input.addEventListener('cancel', () => resolve(null));
+
+    input.click();
+  });
+}
+
+// ======================================================================
+//  LEVEL EDITOR
+// ======================================================================
+
+const EDITOR_TOOLS = ['ground', 'collectible', 'exit', 'spawn', 'checkpoint'];
+const EDITOR_PICK_RADIUS = 10;
+const EDITOR_PAN_SPEED = 12;
+
+// Checkpoint flags are bigger than points, so they pick from further off
+const EDITOR_CHECKPOINT_PICK_RADIUS = 30;
+
+/**
+ * In-game editor for the level the scene is showing. Toggle with E; only
+ * there with Physics debug on (see LevelScene.createDevTools).
+ *
+ * Edits go into the scene's own copy of the level and are gone when it
+ * ends. Press O to download the level as `<key>.json` and drop it into
+ * levels/.
+ *
+ *   1 ground       click adds a point to the selected spline, drag moves,
+ *                  right-click / DEL deletes; [ ] selects, N starts a new one
+ *   2 collectible  click places, right-click deletes
+ *   3 exit         click places (asks for the target level), right-click deletes
+ *   4 spawn        click moves the spawn point; R drops the skater there
+ *   5 checkpoint   click places, right-click deletes
+ *
+ * The arrow keys pan the camera while editing.
+ */
+class LevelEditor {
+  constructor(scene) {
+    this.scene = scene;
+    this.level = scene.level;
+
+    this.active = false;
+    this.tool = 'ground';
+    this.groundIndex = 0;
+    this.dragIndex = -1;
+    this.pointer = { x: 0, y: 0 };
+
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+    this.keys = scene.input.keyboard.addKeys({
+      toggle: KeyCodes.E,
+      ground: KeyCodes.ONE,
+      collectible: KeyCodes.TWO,
+      exit: KeyCodes.THREE,
+      spawn: KeyCodes.FOUR,
+      checkpoint: KeyCodes.FIVE,
+      prevGround: KeyCodes.OPEN_BRACKET,
+      nextGround: KeyCodes.CLOSED_BRACKET,
+      newGround: KeyCodes.N,
+      del: KeyCodes.DELETE,
+      respawn: KeyCodes.R,
+      export: KeyCodes.O,
+    });
+    // Panning stays on the arrows whatever the skater is bound to
+    this.cursors = scene.input.keyboard.createCursorKeys();
+
+    this.gfx = scene.add.graphics().setDepth(1000);
+
+    const ui = screenLayout(scene);
+    this.helpText = scene.add
+      .text(ui.margin, ui.line * 2, '', {
+        fontSize: '13px',
+        fontFamily: 'monospace',
+        color: '#ffffff',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        padding: { x: 6, y: 4 },
+      })
+      .setScrollFactor(0)
+      .setDepth(1001)
+      .setVisible(false);
+
+    scene.input.mouse.disableContextMenu();
+    scene.input.on('pointerdown', this.onPointerDown, this);
+    scene.input.on('pointermove', this.onPointerMove, this);
+    scene.input.on('pointerup', this.onPointerUp, this);
+  }
+
+  get selectedGround() {
+    return (this.level.ground ?? [])[this.groundIndex] ?? null;
+  }
+
+  // --- Mode ------------------------------------------------------------
+
+  setActive(active) {
+    const world = this.scene.matter.world;
+    this.active = active;
+    this.dragIndex = -1;
+
+    // Matter's own debug render is the live preview of the collision strip
+    if (active) {
+      this.scene.cameras.main.stopFollow();
+      world.pause();
+      this.prevDrawDebug = world.drawDebug;
+      if (!world.debugGraphic) world.createDebugGraphic();
+      world.drawDebug = true;
+    } else {
+      this.scene.followPlayer();
+      world.resume();
+      world.drawDebug = this.prevDrawDebug;
+      if (!world.drawDebug) world.debugGraphic.clear();
+    }
+
+    this.helpText.setVisible(active);
+    this.redraw();
+  }
+
+  update() {
+    const JustDown = Phaser.Input.Keyboard.JustDown;
+    const keys = this.keys;
+
+    if (JustDown(keys.toggle)) this.setActive(!this.active);
+    if (!this.active) return;
+
+    const cam = this.scene.cameras.main;
+    const cursors = this.cursors;
+    if (cursors.left.isDown) cam.scrollX -= EDITOR_PAN_SPEED;
+    if (cursors.right.isDown) cam.scrollX += EDITOR_PAN_SPEED;
+    if (cursors.up.isDown) cam.scrollY -= EDITOR_PAN_SPEED;
+    if (cursors.down.isDown) cam.scrollY += EDITOR_PAN_SPEED;
+
+    for (const tool of EDITOR_TOOLS) {
+      if (JustDown(keys[tool])) this.tool = tool;
+    }
+
+    const groundCount = (this.level.ground ?? []).length;
+    if (JustDown(keys.prevGround) && groundCount) {
+      this.groundIndex = (this.groundIndex + groundCount - 1) % groundCount;
+    }
+    if (JustDown(keys.nextGround) && groundCount) {
+      this.groundIndex = (this.groundIndex + 1) % groundCount;
+    }
+    if (JustDown(keys.newGround)) this.newGround();
+
+    if (JustDown(keys.del) && this.tool === 'ground') {
+      const ground = this.selectedGround;
+      const i = ground ? this.findPoint(ground.points, this.pointer) : -1;
+      if (i >= 0) this.deletePoint(i);
+    }
+
+    if (JustDown(keys.respawn)) this.respawn();
+    if (JustDown(keys.export)) this.exportLevel();
+
+    this.redraw();
+  }
+
+  // --- Pointer ---------------------------------------------------------
+
+  onPointerDown(pointer, over) {
+    // Clicks on the tuning panel are the panel's
+    if (!this.active || over.length) return;
+
+    const pos = this.worldPoint(pointer);
+    const remove = pointer.rightButtonDown();
+
+    switch (this.tool) {
+      case 'ground': {
+        const ground = this.selectedGround;
+        if (!ground) break;
+
+        const i = this.findPoint(ground.points, pos);
+        if (remove) {
+          if (i >= 0) this.deletePoint(i);
+        } else if (i >= 0) {
+          this.dragIndex = i;
+        } else {
+          this.dragIndex = this.insertPoint(ground.points, pos);
+          this.rebuildGround(this.groundIndex);
+        }
+        break;
+      }
+
+      case 'collectible': {
+        if (remove) {
+          const item = this.findNear(this.scene.collectibles, pos);
+          if (!item) break;
+          this.level.collectibles.splice(this.level.collectibles.indexOf(item.def), 1);
+          this.scene.removeCollectible(item);
+        } else {
+          const def = { x: pos.x, y: pos.y, points: 10 };
+          (this.level.collectibles ??= []).push(def);
+          this.scene.addCollectible(def);
+        }
+        break;
+      }
+
+      case 'exit': {
+        if (remove) {
+          const exit = this.findNear(this.scene.exits.filter((e) => e.rect), pos);
+          if (!exit) break;
+          this.level.exits.splice(this.level.exits.indexOf(exit.def), 1);
+          this.scene.removeExit(exit);
+        } else {
+          const to = window.prompt('Exit leads to level:', this.scene.levelKey);
+          if (!to) break;
+          const def = { x: pos.x, y: pos.y, width: 32, height: 32, to };
+          (this.level.exits ??= []).push(def);
+          this.scene.addExit(def);
+        }
+        break;
+      }
+
+      case 'spawn':
+        if (!remove) this.level.spawn = { x: pos.x, y: pos.y };
+        break;
+
+      case 'checkpoint': {
+        if (remove) {
+          const checkpoint = this.scene.checkpoints.find(
+            (c) => Phaser.Math.Distance.Between(c.def.x, c.def.y, pos.x, pos.y) <= EDITOR_CHECKPOINT_PICK_RADIUS
+          );
+          if (!checkpoint) break;
+          this.level.checkpoints.splice(this.level.checkpoints.indexOf(checkpoint.def), 1);
+          this.scene.removeCheckpoint(checkpoint);
+        } else {
+          const def = { x: pos.x, y: pos.y };
+          (this.level.checkpoints ??= []).push(def);
+          this.scene.addCheckpoint(def);
+        }
+        break;
+      }
+    }
+
+    this.redraw();
+  }
+
+  onPointerMove(pointer) {
+    if (!this.active) return;
+
+    this.pointer = this.worldPoint(pointer);
+
+    const ground = this.selectedGround;
+    if (this.dragIndex >= 0 && ground) {
+      ground.points[this.dragIndex] = { ...this.pointer };
+      this.rebuildGround(this.groundIndex);
+    }
+
+    this.redraw();
+  }
+
+  onPointerUp() {
+    this.dragIndex = -1;
+  }
+
+  worldPoint(pointer) {
+    return { x: Math.round(pointer.worldX), y: Math.round(pointer.worldY) };
+  }
+
+  // --- Ground editing --------------------------------------------------
+
+  newGround() {
+    const ground = (this.level.ground ??= []);
+    ground.push({ type: 'spline', thickness: DEFAULT_GROUND_THICKNESS, points: [] });
+    this.scene.grounds.push({ bodies: [], fill: null });
+    this.groundIndex = ground.length - 1;
+    this.tool = 'ground';
+  }
+
+  deletePoint(index) {
+    this.selectedGround.points.splice(index, 1);
+    this.dragIndex = -1;
+    this.rebuildGround(this.groundIndex);
+  }
+
+  /**
+   * Insert `pos` where it fits best: between the two points of the
+   * nearest segment, or before the first / after the last point when it
+   * lies beyond the ends. Returns the new point's index.
+   */
+  insertPoint(points, pos) {
+    if (points.length < 2) {
+      const before = points.length === 1 && pos.x < points[0].x;
+      points.splice(before ? 0 : points.length, 0, pos);
+      return before ? 0 : points.length - 1;
+    }
+
+    let bestIndex = points.length;
+    let bestDist = Infinity;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+
+      // Closest point on segment a→b
+      const t = Phaser.Math.Clamp(
+        ((pos.x - a.x) * dx + (pos.y - a.y) * dy) / (dx * dx + dy * dy || 1),
+        0,
+        1
+      );
+      const dist = Phaser.Math.Distance.Between(pos.x, pos.y, a.x + t * dx, a.y + t * dy);
+
+      if (dist < bestDist) {
+        bestDist = dist;
+        bestIndex = i + 1;
+      }
+    }
+
+    // Past the ends: extend the spline instead of splitting the end segment
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (bestIndex === 1 && pos.x < first.x) bestIndex = 0;
+    if (bestIndex === points.length - 1 && pos.x > last.x) bestIndex = points.length;
+
+    points.splice(bestIndex, 0, pos);
+    return bestIndex;
+  }
+
+  /** Swap the bodies and fill of one ground entry for freshly built ones. */
+  rebuildGround(index) {
+    const scene = this.scene;
+    const def = this.level.ground[index];
+
+    if (scene.grounds[index]) removeGround(scene, scene.grounds[index]);
+    scene.grounds[index] = def.points.length >= 2 ? createGround(scene, def) : { bodies: [], fill: null };
+  }
+
+  // --- Picking ---------------------------------------------------------
+
+  findPoint(points, pos) {
+    return points.findIndex(
+      (p) => Phaser.Math.Distance.Between(p.x, p.y, pos.x, pos.y) <= EDITOR_PICK_RADIUS
+    );
+  }
+
+  findNear(entities, pos) {
+    return entities.find((e) => e.rect.getBounds().contains(pos.x, pos.y)) ?? null;
+  }
+
+  // --- Actions ---------------------------------------------------------
+
+  respawn() {
+    const { x, y } = this.level.spawn;
+    // Back up mid-crash: the bail's own respawn mustn't follow
+    this.scene.bailCycle.cancel();
+    this.scene.playerController.respawn(x, y);
+  }
+
+  exportLevel() {
+    downloadJson(`${this.scene.levelKey}.json`, JSON.stringify(this.level, null, 2));
+  }
+
+  // --- Drawing ---------------------------------------------------------
+
+  redraw() {
+    const gfx = this.gfx.clear();
+    if (!this.active) return;
+
+    // Ground splines, selected one in yellow with handles
+    (this.level.ground ?? []).forEach((def, i) => {
+      const selected = i === this.groundIndex;
+      const thickness = def.type === 'spline' ? def.thickness ?? DEFAULT_GROUND_THICKNESS : 0;
+      const bottom = def.points.map((p) => ({ x: p.x, y: p.y + thickness }));
+
+      drawDebugSpline(gfx, def.points, bottom, selected ? 0xffff00 : 0x888888);
+
+      if (!selected) return;
+      const hover = this.findPoint(def.points, this.pointer);
+      def.points.forEach((p, j) => {
+        gfx.fillStyle(j === hover || j === this.dragIndex ? 0xff5252 : 0xffff00, 1);
+        gfx.fillCircle(p.x, p.y, 5);
+      });
+    });
+
+    // Collectibles and exits
+    gfx.lineStyle(2, 0xffd54f, 1);
+    for (const item of this.scene.collectibles) {
+      gfx.strokeRectShape(item.rect.getBounds());
+    }
+    gfx.lineStyle(2, 0x4fc3f7, 1);
+    for (const exit of this.scene.exits) {
+      if (exit.rect) gfx.strokeRectShape(exit.rect.getBounds());
+    }
+
+    // Spawn cross
+    const spawn = this.level.spawn;
+    gfx.lineStyle(2, 0x81c784, 1);
+    gfx.lineBetween(spawn.x - 10, spawn.y, spawn.x + 10, spawn.y);
+    gfx.lineBetween(spawn.x, spawn.y - 10, spawn.x, spawn.y + 10);
+
+    const ground = this.selectedGround;
+    const groundInfo = ground
+      ? `${this.groundIndex + 1}/${this.level.ground.length} (${ground.type}, ${ground.points.length} pts)`
+      : 'none';
+
+    this.helpText.setText([
+      `EDITOR  tool: ${this.tool}   ground: ${groundInfo}   ${this.pointer.x},${this.pointer.y}`,
+      '1 ground  2 collectible  3 exit  4 spawn  5 checkpoint',
+      'click add / drag move / right-click or DEL delete',
+      '[ ] select ground  N new ground  R respawn  O export  arrows pan  E play',
+    ]);
+  }
+}
+
+// ======================================================================
+//  TUNING PANEL – editing how skating feels while skating
+// ======================================================================
+//
+// Every feel number lives in one Tuning (see src/core/tuning.js), in the
+// registry as 'tuning'. TuningStore keeps it in localStorage under
+// TUNING_KEY with the presets saved from the panel:
+//
+//   {
+//     "current": { "gravity": 0.75 },              only what differs
+//     "presets": { "Mine": { "jumpSpeed": -11 } }  from the defaults
+//   }
+//
+// With Physics debug on, ` (backtick) opens the panel in a level; the
+// game keeps running and every change reaches the skater, ground and
+// gravity at once (see LevelScene.onTuningChange). − / + nudge a value
+// by its step, ten steps with SHIFT. Presets go in and out as the same JSON as a "current".
+// ======================================================================
+
+const TUNING_KEY = 'skate-hustle-tuning';
+
+const TUNING_PANEL_WIDTH = 340;
+const TUNING_ROW_HEIGHT = 17;
+const TUNING_NUDGE_SHIFT = 10;
+
+/**
+ * The shared Tuning's storage: loads it at boot, writes it on every
+ * change, and keeps the player's named presets next to the built-in
+ * TUNING_PRESETS.
+ */
+class TuningStore {
+  constructor(tuning, storage = SaveData.defaultStorage()) {
+    this.tuning = tuning;
+    this.storage = storage;
+    this.presets = {}; // name -> preset, saved from the panel
+
+    this.load();
+    tuning.on('change', this.write, this);
+    tuning.on('load', this.write, this);
+  }
+
+  load() {
+    const raw = this.storage?.getItem(TUNING_KEY);
+    if (!raw) return;
+
+    try {
+      const data = JSON.parse(raw);
+      for (const [name, preset] of Object.entries(data.presets ?? {})) {
+        this.presets[name] = parsePreset(preset);
+      }
+      this.tuning.load(data.current ?? {});
+    } catch (err) {
+      console.error('Tuning could not be loaded, using the defaults:', err);
+    }
+  }
+
+  write() {
+    try {
+      const data = { current: this.tuning.changes(), presets: this.presets };
+      this.storage?.setItem(TUNING_KEY, JSON.stringify(data));
+    } catch (err) {
+      console.error('Tuning could not be written:', err);
+    }
+  }
+
+  /** Built-in presets first, then the player's. */
+  get names() {
+    const own = Object.keys(this.presets).filter((name) => !(name in TUNING_PRESETS));
+    return [...Object.keys(TUNING_PRESETS), ...own];
+  }
+
+  preset(name) {
+    return this.presets[name] ?? TUNING_PRESETS[name];
+  }
+
+  /** Keep the current values as a preset; a built-in name is shadowed. */
+  save(name) {
+    this.presets[name] = this.tuning.changes();
+    this.write();
+  }
+
+  // --- Files -----------------------------------------------------------
+
+  /** Download the current values as a preset file. */
+  exportFile() {
+    downloadJson('skate-hustle-tuning.json', JSON.stringify(this.tuning.changes(), null, 2));
+  }
+
+  /**
+   * Let the player pick a preset file, save it under the file's name and
+   * load it. Resolves to that name, or null if cancelled; rejects if the
+   * file is not a preset.
+   */
+  async importFile() {
+    const picked = await pickJsonFile();
+    if (!picked) return null;
+
+    const name = picked.file.name.replace(/\.json$/i, '');
+    this.presets[name] = parsePreset(picked.data);
+    this.tuning.load(this.presets[name]);
+    this.write();
+    return name;
+  }
+}
+
+/**
+ * The dev panel over a level: every TUNING_PARAMS value with − / +
+ * buttons, a preset picker and the file buttons. Mouse only, so the
+ * skater's keys keep skating. Toggle with ` (backtick), with Physics debug
+ * on (see LevelScene.createDevTools).
+ */
+class TuningPanel {
+  constructor(scene, store) {
+    this.scene = scene;
+    this.store = store;
+    this.tuning = store.tuning;
+
+    this.active = false;
+    this.presetIndex = 0;
+    this.objects = [];
+    this.values = {}; // param key -> value text
+
+    this.toggleKey = scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.BACKTICK);
+
+    this.x = scene.scale.width - TUNING_PANEL_WIDTH - 8;
+    this.y = 8;
+    this.build();
+
+    this.tuning.on('change', this.redraw, this);
+    this.tuning.on('load', this.redraw, this);
+    this.setActive(false);
+  }
+
+  build() {
+    const background = this.scene.add
+      .rectangle(this.x, this.y, TUNING_PANEL_WIDTH, 0, 0x000000, 0.75)
+      .setOrigin(0)
+      .setScrollFactor(0)
+      .setDepth(1100);
+    this.objects.push(background);
+
+    let y = 6;
+    this.text(8, y, 'TUNING   ` close   SHIFT+click ×10', { color: '#9aa0ac' });
+
+    let group = null;
+    for (const [key, param] of Object.entries(TUNING_PARAMS)) {
+      if (param.group !== group) {
+        group = param.group;
+        y += TUNING_ROW_HEIGHT + 4;
+        this.text(8, y, group.toUpperCase(), { color: '#4fc3f7' });
+      }
+      y += TUNING_ROW_HEIGHT;
+      this.text(8, y, param.label);
+      this.values[key] = this.text(226, y, '');
+      this.button(290, y, '−', (shift) => this.tuning.nudge(key, shift ? -TUNING_NUDGE_SHIFT : -1));
+      this.button(314, y, '+', (shift) => this.tuning.nudge(key, shift ? TUNING_NUDGE_SHIFT : 1));
+    }
+
+    y += TUNING_ROW_HEIGHT + 8;
+    this.button(8, y, '◀', () => this.cyclePreset(-1));
+    this.presetText = this.text(28, y, '');
+    this.button(200, y, '▶', () => this.cyclePreset(1));
+    this.button(226, y, '[Load]', () => this.loadPreset());
+
+    y += TUNING_ROW_HEIGHT + 4;
+    this.button(8, y, '[Save as…]', () => this.savePreset());
+    this.button(104, y, '[Export]', () => {
+      this.store.exportFile();
+      this.setStatus('Tuning exported');
+    });
+    this.button(184, y, '[Import]', () => this.importPreset());
+    this.button(264, y, '[Reset]', () => {
+      this.tuning.load({});
+      this.setStatus('Back to the defaults');
+    });
+
+    y += TUNING_ROW_HEIGHT + 4;
+    this.status = this.text(8, y, '', { color: '#9aa0ac' });
+
+    // Clicks between the buttons stop here too
+    background.setSize(TUNING_PANEL_WIDTH, y + TUNING_ROW_HEIGHT + 6).setInteractive();
+  }
+
+  text(x, y, str, style = {}) {
+    const text = this.scene.add
+      .text(this.x + x, this.y + y, str, {
+        fontSize: '13px',
+        fontFamily: 'monospace',
+        color: '#ffffff',
+        ...style,
+      })
+      .setScrollFactor(0)
+      .setDepth(1101);
+    this.objects.push(text);
+    return text;
+  }
+
+  /** A clickable text; `onClick(shift)` gets whether SHIFT was held. */
+  button(x, y, label, onClick) {
+    const text = this.text(x, y, label, { color: '#ffd54f' }).setInteractive({ useHandCursor: true });
+    text.on('pointerdown', (pointer) => onClick(pointer.event.shiftKey));
+    return text;
+  }
+
+  setStatus(message) {
+    this.status.setText(message);
+  }
+
+  // --- Mode ------------------------------------------------------------
+
+  setActive(active) {
+    this.active = active;
+    for (const object of this.objects) {
+      object.setVisible(active);
+      if (object.input) object.input.enabled = active;
+    }
+    if (active) this.redraw();
+  }
+
+  update() {
+    if (Phaser.Input.Keyboard.JustDown(this.toggleKey)) this.setActive(!this.active);
+  }
+
+  redraw() {
+    if (!this.active) return;
+
+    for (const [key, text] of Object.entries(this.values)) {
+      const value = this.tuning.get(key);
+      text.setText(String(value));
+      text.setColor(value === TUNING_DEFAULTS[key] ? '#ffffff' : '#81c784');
+    }
+    this.presetText.setText(this.presetName);
+  }
+
+  // --- Presets ---------------------------------------------------------
+
+  get presetName() {
+    const names = this.store.names;
+    return names[this.presetIndex % names.length];
+  }
+
+  cyclePreset(dir) {
+    const count = this.store.names.length;
+    this.presetIndex = (this.presetIndex + count + dir) % count;
+    this.redraw();
+  }
+
+  loadPreset() {
+    const name = this.presetName;
+    this.tuning.load(this.store.preset(name));
+    this.setStatus(`Loaded ${name}`);
+  }
+
+  savePreset() {
+    const name = window.prompt('Save tuning as:', this.presetName)?.trim();
+    if (!name) return;
+
+    this.store.save(name);
+    this.presetIndex = this.store.names.indexOf(name);
+    this.setStatus(`Saved ${name}`);
+    this.redraw();
+  }
+
+  importPreset() {
+    this.store.importFile().then(
+      (name) => {
+        if (this.destroyed) return;
+        if (!name) {
+          this.setStatus('Import cancelled');
+          return;
+        }
+        this.presetIndex = this.store.names.indexOf(name);
+        this.setStatus(`Loaded ${name}`);
+        this.redraw();
+      },
+      (err) => {
+        if (!this.destroyed) this.setStatus(`Import failed: ${err.message}`);
+      }
+    );
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.tuning.off('change', this.redraw, this);
+    this.tuning.off('load', this.redraw, this);
+  }
+}
+
+// ======================================================================
+//  SESSION – timed run with goals
+// ======================================================================
+//
+// A level opts in with a `session` block:
+//
+//   "session": {
+//     "duration": 120,                                  seconds
+//     "goals": [
+//       { "type": "score",   "target": 3000 },
+//       { "type": "letters", "word": "SKATE" },         collectibles with "letter"
+//       { "type": "trick",   "trick": "kickflip" },     TRICKS key, must be landed
+//       { "type": "line",    "tricks": ["kickflip", "manual"] },  in this order,
+//                                                       in one combo
+//       { "type": "exit",    "to": "ramp", "within": 30 }
+//     ]
+//   }
+//
+// Every goal can override its text with "label".
+// ======================================================================
+
+const SESSION_DEFAULT_DURATION = 120;
+
+const GOAL_LABELS = {
+  score: (def) => `Score ${def.target}`,
+  letters: (def) => `Collect ${def.word.split('').join('-')}`,
+  trick: (def) => `Land a ${TRICKS[def.trick]?.name ?? def.trick}`,
+  line: (def) => `Line: ${lineName(def.tricks)}`,
+  exit: (def) => `Hit the hustle point in ${def.within}s`,
+};
+
+/**
+ * Clock and goal list for one timed run of a level.
+ *
+ * Goals are checked against what the scene and the trick system report:
+ * scene events 'score', 'collect' and 'exit', and the trick system's
+ * 'comboLanded'.
+ *
+ * Emits:
+ *  - 'goal' (goal)      a goal was just completed
+ *  - 'progress' (goal)  a goal moved closer (a letter was picked up)
+ *  - 'end'  (results)   time ran out or finish() was called;
+ *                       results = { score, goals: [{ label, done }] }
+ */
+class Session extends Phaser.Events.EventEmitter {
+  constructor(scene, tricks, def) {
+    super();
+
+    this.scene = scene;
+    this.tricks = tricks;
+    this.duration = (def.duration ?? SESSION_DEFAULT_DURATION) * 1000;
+    this.elapsed = 0;
+    this.finished = false;
+    this.score = 0;
+
+    this.goals = (def.goals ?? []).map((goalDef) => ({
+      def: goalDef,
+      label: goalDef.label ?? GOAL_LABELS[goalDef.type](goalDef),
+      done: false,
+      letters: new Set(), // for 'letters' goals
+    }));
+
+    scene.events.on('score', this.onScore, this);
+    scene.events.on('collect', this.onCollect, this);
+    scene.events.on('exit', this.onExit, this);
+    tricks.on('comboLanded', this.onComboLanded, this);
+  }
+
+  get timeLeft() {
+    return Math.max(0, this.duration - this.elapsed);
+  }
+
+  update(delta) {
+    if (this.finished) return;
+
+    this.elapsed += delta;
+    if (this.elapsed >= this.duration) this.finish();
+  }
+
+  finish() {
+    if (this.finished) return;
+
+    // A combo still rolling when the buzzer goes counts
+    if (this.tricks.combo && !this.tricks.controller.bailing) this.tricks.bankCombo();
+
+    this.finished = true;
+    this.emit('end', {
+      score: this.score,
+      goals: this.goals.map((g) => ({ label: g.label, done: g.done })),
+    });
+  }
+
+  // --- Goal checks -----------------------------------------------------
+
+  complete(goal) {
+    if (goal.done || this.finished) return;
+    goal.done = true;
+    this.emit('goal', goal);
+  }
+
+  goalsOfType(type) {
+    return this.goals.filter((g) => g.def.type === type && !g.done);
+  }
+
+  // Counts from the session's start, not from whatever the scene had
+  onScore(total, points) {
+    this.score += points;
+    for (const goal of this.goalsOfType('score')) {
+      if (this.score >= goal.def.target) this.complete(goal);
+    }
+  }
+
+  onCollect(item) {
+    if (!item.letter) return;
+
+    for (const goal of this.goalsOfType('letters')) {
+      if (!goal.def.word.includes(item.letter)) continue;
+      goal.letters.add(item.letter);
+      if ([...goal.def.word].every((l) => goal.letters.has(l))) this.complete(goal);
+      else this.emit('progress', goal);
+    }
+  }
+
+  onComboLanded(score, combo) {
+    for (const goal of this.goalsOfType('trick')) {
+      if (combo.tricks.some((t) => t.id === goal.def.trick)) this.complete(goal);
+    }
+
+    for (const goal of this.goalsOfType('line')) {
+      if (landsLine(combo.tricks.map((t) => t.id), goal.def.tricks)) this.complete(goal);
+    }
+  }
+
+  onExit(exit) {
+    for (const goal of this.goalsOfType('exit')) {
+      if (exit.to === goal.def.to && this.elapsed <= goal.def.within * 1000) this.complete(goal);
+    }
+  }
+
+  destroy() {
+    this.scene.events.off('score', this.onScore, this);
+    this.scene.events.off('collect', this.onCollect, this);
+    this.scene.events.off('exit', this.onExit, this);
+    this.tricks.off('comboLanded', this.onComboLanded, this);
+    super.destroy();
+  }
+}
+
+/** Clock top right, goal checklist under it. `title` goes above both. */
+function createSessionHud(scene, session, title = null) {
+  const ui = screenLayout(scene);
+  const right = ui.width - ui.margin;
+  const style = {
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    color: '#ffffff',
+  };
+
+  const top = title ? ui.margin + ui.line * 0.6 : ui.margin;
+  const heading = title
+    ? scene.add
+      .text(right, ui.margin, title, { ...style, fontSize: '16px', color: '#ffd54f' })
+      .setOrigin(1, 0)
+      .setScrollFactor(0)
+    : null;
+
+  const clock = scene.add
+    .text(right, top, '', { ...style, fontSize: '24px' })
+    .setOrigin(1, 0)
+    .setScrollFactor(0);
+
+  const list = scene.add
+    .text(right, top + ui.line * 0.8, '', { ...style, fontSize: '14px', align: 'right' })
+    .setOrigin(1, 0)
+    .setScrollFactor(0);
+
+  const renderGoals = () => {
+    list.setText(
+      session.goals.map((g) => {
+        const letters =
+          g.def.type === 'letters' && !g.done
+            ? `  ${[...g.def.word].map((l) => (g.letters.has(l) ? l : '_')).join(' ')}`
+            : '';
+        return `${g.done ? '✔' : '·'} ${g.label}${letters}`;
+      })
+    );
+  };
+
+  session.on('goal', renderGoals);
+  session.on('progress', renderGoals);
+  renderGoals();
+
+  return {
+    update() {
+      const seconds = Math.ceil(session.timeLeft / 1000);
+      const m = Math.floor(seconds / 60);
+      const s = String(seconds % 60).padStart(2, '0');
+      clock.setText(`${m}:${s}`);
+      clock.setColor(seconds <= 10 ? '#e57373' : '#ffffff');
+    },
+
+    destroy() {
+      heading?.destroy();
+      clock.destroy();
+      list.destroy();
+    },
+  };
+}
+
+// ======================================================================
+//  HUSTLE – NPC skaters, their challenges and the cash they pay
+// ======================================================================
+//
+// Free skate only. A level puts hustlers at its hustle points:
+//
+//   "hustlers": [
+//     { "id": "dre", "name": "Dre", "x": 2200, "y": 480,   feet on the ground
+//       "pitch": "Kickflip into a manual. Twenty seconds.",
+//       "look": { "outfit": "red" },   see SKATER SPRITE; unset layers
+//                                      are HUSTLER_LOOK's
+//       "stake": 0,       cash put up to take it, gone if you lose
+//       "payout": 100,    cash for a win, stake included
+//       "challenge": { "duration": 20, "goals": [ ...session goals ] } }
+//   ]
+//
+// Skate up to one and press talk to take the challenge. It runs as a
+// small Session of its own (score goals count from the moment it starts)
+// and is won as soon as every goal is done. A hustler with no stake only
+// pays out once; one who wants a bet takes a rematch any time.
+// ======================================================================
+
+const HUSTLER_LOOK = { body: 'tan', outfit: 'white', deck: 'black', wheels: 'white' };
+const HUSTLER_ZONE = { width: 160, height: 200 };
+
+/** Save key for a hustler, see SaveData.beat(). */
+function hustleKey(levelKey, def) {
+  return `${levelKey}:${def.id ?? def.name}`;
+}
+
+/**
+ * A hustler standing at its spot: a skater in its own look, its name,
+ * and what it says when the live skater rolls into its 'trigger' zone.
+ * The scene tells it about that (setNear) and about challenges (setBusy).
+ */
+class Hustler {
+  constructor(scene, def) {
+    this.scene = scene;
+    this.def = def;
+    this.key = hustleKey(scene.levelKey, def);
+    this.near = false;
+    this.busy = false;
+
+    const font = 'system-ui, -apple-system, sans-serif';
+
+    this.sprite = scene.add
+      .sprite(def.x, def.y, 'skater_body', SKATER_FRAMES.roll)
+      .setOrigin(0.5, 1)
+      .setFlipX(def.facingLeft ?? true)
+      .setDepth(-1);
+    dressSkater(scene, this.sprite, { ...HUSTLER_LOOK, ...def.look });
+    this.sprite.anims.play(skaterAnimKey('idle'));
+
+    const top = this.sprite.getTopCenter().y;
+    this.nameTag = scene.add
+      .text(def.x, top - 4, def.name, { fontSize: '14px', fontFamily: font, color: '#ffd54f' })
+      .setOrigin(0.5, 1);
+
+    this.speech = scene.add
+      .text(def.x, top - 24, '', {
+        fontSize: '14px',
+        fontFamily: font,
+        color: '#ffffff',
+        align: 'center',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        padding: { x: 8, y: 4 },
+      })
+      .setOrigin(0.5, 1)
+      .setVisible(false);
+
+    this.sensor = scene.addSensor(
+      def.x,
+      def.y - HUSTLER_ZONE.height / 2,
+      HUSTLER_ZONE.width,
+      HUSTLER_ZONE.height,
+      'trigger',
+      'HUSTLER',
+      { hustler: this }
+    );
+  }
+
+  /** A free challenge that has been won is done with. */
+  get available() {
+    return !this.busy && !(!this.def.stake && this.scene.save.hasBeaten(this.key));
+  }
+
+  setNear(near) {
+    this.near = near;
+    this.updateSpeech();
+  }
+
+  setBusy(busy) {
+    this.busy = busy;
+    this.updateSpeech();
+  }
+
+  updateSpeech() {
+    const { name, pitch, stake = 0, payout } = this.def;
+
+    if (!this.near || this.busy) {
+      this.speech.setVisible(false);
+      return;
+    }
+
+    if (!this.available) {
+      this.speech.setText(`${name}: "You already got me. Go spend it."`);
+    } else {
+      const talk = resolveBindings(this.scene.save.bindings).keys.talk;
+      const terms = stake ? `Bet $${stake}, win $${payout}` : `Pays $${payout}`;
+      this.speech.setText(`${name}: "${pitch}"\n${terms}  ·  ${talk} to take it`);
+    }
+    this.speech.setVisible(true);
+  }
+}
+
+// ======================================================================
+//  HAZARDS – drawing the people and cars of src/core/hazards.js
+// ======================================================================
+
+// Fill colours by type; a hazard's "color" replaces the first one
+const HAZARD_COLORS = {
+  pedestrian: [0x8d6e63, 0xe0b899],    // coat, head
+  guard: [0x283c6e, 0xc8a27a],         // uniform, head
+  car: [0xb03030, 0x9fc3e0],           // body, windows
+};
+
+// What they shout when their behaviour changes, shown for a moment
+const HAZARD_SHOUTS = {
+  startled: 'Watch it!',
+  chase: 'HEY! No grinding!',
+};
+const HAZARD_SHOUT_MS = 1500;
+
+/**
+ * One entry of a level's `hazards` list in a scene: the core Hazard, its
+ * sensor in the world, and a shape drawn where it is every frame. The
+ * scene steps it (see LevelScene.fixedStep) and passes on touches.
+ */
+class HazardActor {
+  constructor(scene, def) {
+    this.scene = scene;
+    this.hazard = new Hazard(M, def);
+
+    scene.collisions.register(this.hazard.body, 'hazard', { hazard: this.hazard });
+    scene.matter.world.add(this.hazard.body);
+
+    const colors = HAZARD_COLORS[def.type];
+    this.colors = [parseColor(def.color, colors[0]), colors[1]];
+    this.gfx = scene.add.graphics().setDepth(-1);
+
+    this.shout = scene.add
+      .text(0, 0, '', {
+        fontSize: '14px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        color: '#ffffff',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        padding: { x: 6, y: 3 },
+      })
+      .setOrigin(0.5, 1)
+      .setVisible(false);
+    this.shoutUntil = 0;
+
+    this.hazard.on('enter', (state) => {
+      if (!HAZARD_SHOUTS[state]) return;
+      this.shout.setText(HAZARD_SHOUTS[state]).setVisible(true);
+      this.shoutUntil = this.hazard.now + HAZARD_SHOUT_MS;
+    });
+  }
+
+  /** Once per frame, after the steps. */
+  draw() {
+    const { x, y, width, height, facing, type } = this.hazard;
+    const gfx = this.gfx.clear();
+    const [main, detail] = this.colors;
+
+    if (this.hazard.hidden) {
+      this.shout.setVisible(false);
+      return;
+    }
+
+    if (type === 'car') {
+      gfx.fillStyle(main).fillRoundedRect(x - width / 2, y - height + 22, width, height - 36, 8);
+      gfx.fillStyle(main).fillRoundedRect(x - width / 4 - facing * 10, y - height, width / 2, 30, 8);
+      gfx.fillStyle(detail).fillRect(x - width / 4 - facing * 10 + 8, y - height + 6, width / 2 - 16, 16);
+      gfx.fillStyle(0x222222);
+      gfx.fillCircle(x - width / 3, y - 12, 12).fillCircle(x + width / 3, y - 12, 12);
+    } else {
+      // Legs, body, head; guards get a cap
+      gfx.fillStyle(0x33363d).fillRect(x - width / 4, y - 40, width / 2, 40);
+      gfx.fillStyle(main).fillRoundedRect(x - width / 2, y - height + 24, width, height - 60, 6);
+      gfx.fillStyle(detail).fillCircle(x, y - height + 12, 12);
+      if (type === 'guard') {
+        gfx.fillStyle(main).fillRect(x - 13, y - height - 2, 26, 8).fillRect(x + facing * 6, y - height + 2, 12, 4);
+      }
+    }
+
+    this.shout.setPosition(x, y - height - 8).setVisible(this.hazard.now < this.shoutUntil);
+  }
+
+  destroy() {
+    this.hazard.destroy();
+    this.gfx.destroy();
+    this.shout.destroy();
+  }
+}
+
+// ======================================================================
+//  SAVE DATA
+// ======================================================================
+//
+// One JSON blob in localStorage under SAVE_KEY:
+//
+//   {
+//     "version": 6,
+//     "levels": {
+//       "street": {
+//         "highScore": 4200,
+//         "goals": ["score:3000", "letters:SKATE"],
+//         "collected": ["680,460"],   collectibleKey()s, free skate only
+//         "opened": ["ramp"]          exits whose gate has opened
+//       }
+//     },
+//     "unlocked": ["ramp"],          levels opened by their "unlock" rule
+//     "discovered": ["street"],      rooms shown on the map
+//     "skater": {                    palette per layer, see SKATER SPRITE
+//       "body": "light", "outfit": "red", "deck": "maple", "wheels": "cream"
+//     },
+//     "cash": 250,
+//     "gear": {
+//       "board": "popsicle",         GEAR ids, see src/core/gear.js
+//       "wheels": "stock",
+//       "owned": ["board:popsicle"]  bought items; stock is always owned
+//     },
+//     "hustles": ["street:dre"],     hustlers beaten (levelKey:id)
+//     "settings": {
+//       "bindings": {                only what differs from the defaults
+//         "keys": { "jump": "W" },   action -> Phaser KeyCodes name
+//         "pad": { "grind": 7 }      action -> standard-mapping button
+//       },
+//       "musicVolume": 1,            0..1
+//       "sfxVolume": 1,
+//       "physicsDebug": false        draw Matter bodies; levels get the
+//                                    editor and tuning panel
+//     }
+//   }
+//
+// When the shape changes, bump SAVE_VERSION and add a migration to
+// SAVE_MIGRATIONS that turns version n into n + 1. Old saves are walked
+// up to the current version when they are loaded or imported.
+// ======================================================================
+
+const SAVE_KEY = 'skate-hustle-save';
+const SAVE_VERSION = 6;
+
+// SAVE_MIGRATIONS[n] takes a version n save and returns version n + 1
+const SAVE_MIGRATIONS = {
+  // 1 -> 2: control bindings
+  1: (data) => ({
+    ...data,
+    version: 2,
+    settings: { bindings: { keys: {}, pad: {} } },
+  }),
+
+  // 2 -> 3: volumes and the physics debug toggle
+  2: (data) => ({
+    ...data,
+    version: 3,
+    settings: { ...defaultSettings(), ...data.settings },
+  }),
+
+  // 3 -> 4: world map; every room with progress counts as discovered
+  3: (data) => ({
+    ...data,
+    version: 4,
+    levels: Object.fromEntries(
+      Object.entries(data.levels).map(([key, level]) => [key, { ...defaultLevelProgress(), ...level }])
+    ),
+    discovered: Object.keys(data.levels),
+  }),
+
+  // 4 -> 5: hustle cash and shop gear
+  4: (data) => ({
+    ...data,
+    version: 5,
+    cash: 0,
+    gear: defaultGear(),
+    hustles: [],
+  }),
+
+  // 5 -> 6: the skater's look (see SKATER SPRITE); anything an older
+  // build left under "skater" is dropped
+  5: (data) => ({
+    ...data,
+    version: 6,
+    skater: { ...DEFAULT_LOOK },
+  }),
+};
+
+function defaultLevelProgress() {
+  return { highScore: 0, goals: [], collected: [], opened: [] };
+}
+
+function defaultGear() {
+  return { board: 'stock', wheels: 'stock', owned: [] };
+}
+
+function defaultSettings() {
+  return {
+    bindings: { keys: {}, pad: {} },
+    musicVolume: 1,
+    sfxVolume: 1,
+    physicsDebug: false,
+  };
+}
+
+function defaultSaveData() {
+  return {
+    version: SAVE_VERSION,
+    levels: {},
+    unlocked: [],
+    discovered: [],
+    skater: { ...DEFAULT_LOOK },
+    cash: 0,
+    gear: defaultGear(),
+    hustles: [],
+    settings: defaultSettings(),
+  };
+}
+
+/**
+ * Bring a parsed save up to SAVE_VERSION. Throws on saves from a newer
+ * game or with a version we have no migration for.
+ */
+function migrateSaveData(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    throw new Error('Not a Skate Hustle save');
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`Save is from a newer version (${data.version} > ${SAVE_VERSION})`);
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[migrated.version];
+    if (!migrate) throw new Error(`No migration from save version ${migrated.version}`);
+    migrated = migrate(migrated);
+  }
+
+  // Fill in anything a hand-edited file left out
+  return {
+    ...defaultSaveData(),
+    ...migrated,
+    skater: { ...DEFAULT_LOOK, ...migrated.skater },
+    gear: { ...defaultGear(), ...migrated.gear },
+    settings: { ...defaultSettings(), ...migrated.settings },
+  };
+}
+
+/** Stable key for a session goal, used to remember it was completed. */
+function goalKey(def) {
+  const what = def.target ?? def.word ?? def.trick ?? def.tricks?.join('+') ?? def.to ?? '';
+  return `${def.type}:${what}`;
+}
+
+/**
+ * Progress that survives a reload. Lives in the game registry as 'save'.
+ *
+ * Every change is written straight through to localStorage. If storage is
+ * unavailable (private mode, blocked cookies) it quietly keeps the data
+ * in memory for this visit only.
+ */
+class SaveData {
+  constructor(storage = SaveData.defaultStorage()) {
+    this.storage = storage;
+    this.data = this.load();
+  }
+
+  static defaultStorage() {
+    try {
+      return window.localStorage;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  load() {
+    const raw = this.storage?.getItem(SAVE_KEY);
+    if (!raw) return defaultSaveData();
+
+    try {
+      return migrateSaveData(JSON.parse(raw));
+    } catch (err) {
+      // Keep the unreadable save around instead of overwriting it
+      console.error('Save data could not be loaded, starting fresh:', err);
+      this.storage.setItem(`${SAVE_KEY}-broken-${Date.now()}`, raw);
+      return defaultSaveData();
+    }
+  }
+
+  write() {
+    try {
+      this.storage?.setItem(SAVE_KEY, JSON.stringify(this.data));
+    } catch (err) {
+      console.error('Save data could not be written:', err);
+    }
+  }
+
+  // --- Levels ----------------------------------------------------------
+
+  level(key) {
+    return { ...defaultLevelProgress(), ...this.data.levels[key] };
+  }
+
+  /** Store a score if it beats the best. Returns true for a new best. */
+  recordScore(levelKey, score) {
+    const level = this.level(levelKey);
+    if (score <= level.highScore) return false;
+
+    this.data.levels[levelKey] = { ...level, highScore: score };
+    this.write();
+    return true;
+  }
+
+  hasCompletedGoal(levelKey, key) {
+    return this.level(levelKey).goals.includes(key);
+  }
+
+  completeGoal(levelKey, key) {
+    const level = this.level(levelKey);
+    if (level.goals.includes(key)) return;
+
+    this.data.levels[levelKey] = { ...level, goals: [...level.goals, key] };
+    this.write();
+  }
+
+  // --- World -----------------------------------------------------------
+
+  collect(levelKey, itemKey) {
+    const level = this.level(levelKey);
+    if (level.collected.includes(itemKey)) return;
+
+    this.data.levels[levelKey] = { ...level, collected: [...level.collected, itemKey] };
+    this.write();
+  }
+
+  openPath(levelKey, name) {
+    const level = this.level(levelKey);
+    if (level.opened.includes(name)) return;
+
+    this.data.levels[levelKey] = { ...level, opened: [...level.opened, name] };
+    this.write();
+  }
+
+  isDiscovered(levelKey) {
+    return this.data.discovered.includes(levelKey);
+  }
+
+  discover(levelKey) {
+    if (this.isDiscovered(levelKey)) return;
+    this.data.discovered = [...this.data.discovered, levelKey];
+    this.write();
+  }
+
+  isUnlocked(levelKey) {
+    return this.data.unlocked.includes(levelKey);
+  }
+
+  unlock(levelKey) {
+    if (this.isUnlocked(levelKey)) return;
+    this.data.unlocked = [...this.data.unlocked, levelKey];
+    this.write();
+  }
+
+  // --- Skater ----------------------------------------------------------
+
+  /** The player's look, see SKATER SPRITE. */
+  get skater() {
+    return this.data.skater;
+  }
+
+  set skater(look) {
+    this.data.skater = { ...look };
+    this.write();
+  }
+
+  // --- Hustle ----------------------------------------------------------
+
+  get cash() {
+    return this.data.cash;
+  }
+
+  earn(amount) {
+    this.data.cash += amount;
+    this.write();
+  }
+
+  /** Take `amount` if there is enough. Returns false if there isn't. */
+  spend(amount) {
+    if (amount > this.data.cash) return false;
+
+    this.data.cash -= amount;
+    this.write();
+    return true;
+  }
+
+  hasBeaten(hustleKey) {
+    return this.data.hustles.includes(hustleKey);
+  }
+
+  beat(hustleKey) {
+    if (this.hasBeaten(hustleKey)) return;
+    this.data.hustles = [...this.data.hustles, hustleKey];
+    this.write();
+  }
+
+  // --- Gear ------------------------------------------------------------
+
+  /** { board, wheels } being ridden. */
+  get equipped() {
+    return { board: this.data.gear.board, wheels: this.data.gear.wheels };
+  }
+
+  ownsGear(slot, id) {
+    return gearItem(slot, id).price === 0 || this.data.gear.owned.includes(`${slot}:${id}`);
+  }
+
+  /** Pay for an item. Returns false if it's owned already or too dear. */
+  buyGear(slot, id) {
+    if (this.ownsGear(slot, id) || !this.spend(gearItem(slot, id).price)) return false;
+
+    this.data.gear = { ...this.data.gear, owned: [...this.data.gear.owned, `${slot}:${id}`] };
+    this.write();
+    return true;
+  }
+
+  equip(slot, id) {
+    if (!this.ownsGear(slot, id)) return;
+    this.data.gear = { ...this.data.gear, [slot]: id };
+    this.write();
+  }
+
+  // --- Settings --------------------------------------------------------
+
+  get musicVolume() {
+    return this.data.settings.musicVolume;
+  }
+
+  set musicVolume(value) {
+    this.updateSettings({ musicVolume: Phaser.Math.Clamp(value, 0, 1) });
+  }
+
+  get sfxVolume() {
+    return this.data.settings.sfxVolume;
+  }
+
+  set sfxVolume(value) {
+    this.updateSettings({ sfxVolume: Phaser.Math.Clamp(value, 0, 1) });
+  }
+
+  get physicsDebug() {
+    return this.data.settings.physicsDebug;
+  }
+
+  set physicsDebug(value) {
+    this.updateSettings({ physicsDebug: value });
+  }
+
+  updateSettings(changes) {
+    this.data.settings = { ...this.data.settings, ...changes };
+    this.write();
+  }
+
+  // --- Controls --------------------------------------------------------
+
+  /** The player's binding overrides, see resolveBindings(). */
+  get bindings() {
+    return this.data.settings.bindings;
+  }
+
+  /**
+   * Bind an action on 'keys' or 'pad'. If another action already had
+   * that key or button, the two swap so nothing is left unreachable.
+   */
+  setBinding(device, action, value) {
+    const current = resolveBindings(this.bindings)[device];
+    const overrides = { ...this.bindings[device] };
+
+    const taken = Object.keys(current).find((other) => current[other] === value);
+    if (taken && taken !== action) overrides[taken] = current[action];
+    overrides[action] = value;
+
+    this.updateSettings({ bindings: { ...this.bindings, [device]: overrides } });
+  }
+
+  resetBindings() {
+    this.updateSettings({ bindings: { keys: {}, pad: {} } });
+  }
+
+  // --- Files -----------------------------------------------------------
+
+  /** Download the save as a JSON file, for passing progress around. */
+  exportFile() {
+    downloadJson('skate-hustle-save.json', JSON.stringify(this.data, null, 2));
+  }
+
+  /**
+   * Let the player pick a save file and replace the current progress
+   * with it. Resolves to true once imported, false if cancelled; rejects
+   * if the file is not a save this version can read.
+   */
+  async importFile() {
+    const picked = await pickJsonFile();
+    if (!picked) return false;
+
+    this.data = migrateSaveData(picked.data);
+    this.write();
+    return true;
+  }
+}
+
+// ======================================================================
+//  SCREEN – size, fullscreen and layout
+// ======================================================================
+//
+// The game draws at GAME_WIDTH × GAME_HEIGHT and Phaser's scale manager
+// fits that into the page, centred and letterboxed, whatever the window
+// or phone is. Scenes place their UI from this.scale through
+// screenLayout() rather than fixed pixel offsets, so a different game
+// size keeps every screen together.
+//
+// Fullscreen is the title screen's button (or F) and a pause-menu
+// setting; browsers without the Fullscreen API just don't offer it.
+// ======================================================================
+
+const GAME_WIDTH = 800;
+const GAME_HEIGHT = 600;
+
+/**
+ * Where a scene puts things, from its screen size:
+ *
+ *   line        one line of menu text, the spacing everything is made of
+ *   margin      gap to the screen edges
+ *   title       y of a screen's title
+ *   top         y of the first row under the title (and its subtitle)
+ *   footer(n)   y of the n-th line of key hints up from the bottom
+ *   col(f)      x at fraction f of the width
+ */
+function screenLayout(scene) {
+  const { width, height } = scene.scale;
+  const line = Math.round(height / 15);
+
+  return {
+    width,
+    height,
+    line,
+    margin: Math.round(line * 0.4),
+    centerX: width / 2,
+    centerY: height / 2,
+    title: line * 1.25,
+    top: line * 3.5,
+    footer: (n = 0) => height - line * (n + 1),
+    col: (f) => Math.round(width * f),
+  };
+}
+
+function canFullscreen(scene) {
+  return scene.scale.fullscreen.available;
+}
+
+function toggleFullscreen(scene) {
+  if (scene.scale.isFullscreen) scene.scale.stopFullscreen();
+  else scene.scale.startFullscreen();
+}
+
+/** Let a tap (or click) on `object` do `fn` too, for touch screens. */
+function onTap(object, fn) {
+  return object.setInteractive({ useHandCursor: true }).on('pointerup', fn);
+}
+
+/** This browser has a touch screen: show touch controls and hints. */
+function isTouchDevice(scene) {
+  return scene.sys.game.device.input.touch;
+}
+
+// ======================================================================
+//  INPUT – actions instead of keys
+// ======================================================================
+
+/** Everything the skater can be told to do, in settings-screen order. */
+const ACTIONS = {
+  left:   'Push left',
+  right:  'Push right',
+  brake:  'Brake',
+  jump:   'Jump / ollie',
+  flip:   'Flip trick',
+  shove:  'Shove trick',
+  manual: 'Manual',
+  grind:  'Grind',
+  pause:  'Pause',
+  talk:   'Talk',
+};
+
+// Phaser KeyCodes names
+const DEFAULT_KEY_BINDINGS = {
+  left: 'LEFT',
+  right: 'RIGHT',
+  brake: 'DOWN',
+  jump: 'UP',
+  flip: 'Z',
+  shove: 'X',
+  manual: 'C',
+  grind: 'SPACE',
+  pause: 'ESC',
+  talk: 'T',
+};
+
+// Button indices in the browser's standard gamepad mapping
+const DEFAULT_PAD_BINDINGS = {
+  left: 14,
+  right: 15,
+  brake: 13,
+  jump: 0,
+  flip: 2,
+  shove: 1,
+  manual: 3,
+  grind: 5,
+  pause: 9,
+  talk: 4,
+};
+
+const PAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+  'Back', 'Start', 'L3', 'R3', 'D-Up', 'D-Down', 'D-Left', 'D-Right',
+];
+
+// Left stick: ignored below the deadzone, rescaled to 0..1 above it
+const STICK_DEADZONE = 0.25;
+
+// Which stick direction drives which action
+const STICK_ACTIONS = {
+  left: { axis: 0, sign: -1 },
+  right: { axis: 0, sign: 1 },
+  brake: { axis: 1, sign: 1 },
+};
+
+/** Defaults with the player's overrides on top. */
+function resolveBindings(overrides = {}) {
+  return {
+    keys: { ...DEFAULT_KEY_BINDINGS, ...overrides.keys },
+    pad: { ...DEFAULT_PAD_BINDINGS, ...overrides.pad },
+  };
+}
+
+function keyName(keyCode) {
+  const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+  return Object.keys(KeyCodes).find((name) => KeyCodes[name] === keyCode) ?? `#${keyCode}`;
+}
+
+function padButtonName(index) {
+  return PAD_BUTTON_NAMES[index] ?? `Button ${index}`;
+}
+
+/**
+ * Action state for one player, read from the keyboard and/or a gamepad.
+ *
+ * Call update() once per frame before anything reads it; justDown() is
+ * true on the first frame an action is held, for everyone who asks.
+ *
+ *   opts.keyboard   read the keyboard (default true)
+ *   opts.padIndex   which gamepad to read (default 0), or null for none
+ *   opts.touch      TouchControls to read too (default none)
+ */
+class InputActions {
+  constructor(scene, overrides, opts = {}) {
+    this.scene = scene;
+    this.useKeyboard = opts.keyboard ?? true;
+    this.padIndex = opts.padIndex === undefined ? 0 : opts.padIndex;
+    this.touch = opts.touch ?? null;
+
+    this.state = {};
+    for (const action of Object.keys(ACTIONS)) {
+      this.state[action] = { down: false, justDown: false, strength: 0 };
+    }
+
+    this.setBindings(overrides);
+  }
+
+  setBindings(overrides) {
+    this.bindings = resolveBindings(overrides);
+
+    // Keys that lost their action are left registered: addKey() hands out
+    // the scene's one Key per keycode, so the editor, the tuning panel or
+    // the other versus rider may be holding the same one
+    this.keys = {};
+    if (this.useKeyboard) {
+      for (const [action, name] of Object.entries(this.bindings.keys)) {
+        this.keys[action] = this.scene.input.keyboard.addKey(name);
+      }
+    }
+  }
+
+  get pad() {
+    const gamepad = this.scene.input.gamepad;
+    if (!gamepad || this.padIndex === null) return null;
+    return gamepad.getPad(this.padIndex) ?? null;
+  }
+
+  update() {
+    const pad = this.pad;
+
+    for (const action of Object.keys(ACTIONS)) {
+      let strength = this.keys[action]?.isDown || this.touch?.isDown(action) ? 1 : 0;
+
+      if (pad) {
+        const button = pad.buttons[this.bindings.pad[action]];
+        if (button?.pressed) strength = 1;
+
+        const stick = STICK_ACTIONS[action];
+        if (stick) {
+          const value = (pad.axes[stick.axis]?.value ?? 0) * stick.sign;
+          if (value > STICK_DEADZONE) {
+            strength = Math.max(strength, (value - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+          }
+        }
+      }
+
+      const state = this.state[action];
+      const down = strength > 0;
+      state.justDown = down && !state.down;
+      state.down = down;
+      // Whole 1/255ths, so a replay stores exactly what was played
+      state.strength = Math.round(strength * 255) / 255;
+    }
+    this.touch?.endUpdate();
+  }
+
+  isDown(action) {
+    return this.state[action].down;
+  }
+
+  justDown(action) {
+    return this.state[action].justDown;
+  }
+
+  /** 0..1 – analog for the stick, 0 or 1 for keys and buttons. */
+  strength(action) {
+    return this.state[action].strength;
+  }
+}
+
+// --- Touch -------------------------------------------------------------
+
+// On-screen buttons: the action held while a finger is on it, and where
+// it sits in button radii from its `anchor` – the bottom 'left' or
+// 'right' corner, or the 'top' middle. `size` scales its radius.
+const TOUCH_BUTTONS = [
+  { action: 'left', label: '◀', anchor: 'left', x: 1.5, y: 3 },
+  { action: 'right', label: '▶', anchor: 'left', x: 4.5, y: 3 },
+  { action: 'brake', label: '▼', anchor: 'left', x: 3, y: 1.4 },
+  { action: 'jump', label: 'OLLIE', anchor: 'right', x: 2, y: 2, size: 1.3 },
+  { action: 'flip', label: 'FLIP', anchor: 'right', x: 4.6, y: 1.5 },
+  { action: 'shove', label: 'SHOVE', anchor: 'right', x: 2, y: 4.8 },
+  { action: 'grind', label: 'GRIND', anchor: 'right', x: 4.6, y: 4.2 },
+  { action: 'manual', label: 'MANUAL', anchor: 'right', x: 7, y: 1.5 },
+  { action: 'talk', label: 'TALK', anchor: 'right', x: 1.4, y: 7.2, size: 0.75 },
+  { action: 'pause', label: 'II', anchor: 'top', x: 0, y: 1, size: 0.7 },
+];
+
+// Button radius as a share of the screen height, and how far past the
+// drawn circle a touch still counts
+const TOUCH_BUTTON_RADIUS = 0.065;
+const TOUCH_HIT_SLOP = 1.15;
+
+// A swipe anywhere off the buttons is a quick press of an action
+const TOUCH_SWIPES = { up: 'jump', down: 'manual', left: 'shove', right: 'flip' };
+
+// Shortest swipe as a share of the screen height, and its longest time
+const SWIPE_MIN_DISTANCE = 0.08;
+const SWIPE_MAX_MS = 400;
+
+/**
+ * On-screen buttons and swipes for a gameplay scene, read by an
+ * InputActions like one more keyboard: a button is held for as long as
+ * a finger is on it (sliding between buttons works), and a swipe holds
+ * its TOUCH_SWIPES action for one update.
+ *
+ * Needs the game's input.activePointers to be more than one, or only
+ * the first finger counts.
+ */
+class TouchControls {
+  constructor(scene) {
+    this.scene = scene;
+    this.held = new Map();   // pointer id -> action under it
+    this.swipes = new Map(); // pointer id -> { x, y, time } where it went down
+    this.pulses = new Set(); // actions swiped since the last update
+
+    const { width, height } = scene.scale;
+    this.radius = height * TOUCH_BUTTON_RADIUS;
+    const r = this.radius;
+
+    this.buttons = TOUCH_BUTTONS.map((def) => {
+      const size = def.size ?? 1;
+      const x = def.anchor === 'top' ? width / 2 + def.x * r : def.anchor === 'left' ? def.x * r : width - def.x * r;
+      const y = def.anchor === 'top' ? def.y * r : height - def.y * r;
+      return { ...def, x, y, radius: r * size };
+    });
+
+    this.gfx = scene.add.graphics().setScrollFactor(0).setDepth(900);
+    this.labels = this.buttons.map((button) =>
+      scene.add
+        .text(button.x, button.y, button.label, {
+          fontSize: `${Math.round(button.radius * 0.42)}px`,
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          fontStyle: 'bold',
+          color: '#ffffff',
+        })
+        .setOrigin(0.5)
+        .setScrollFactor(0)
+        .setDepth(901)
+        .setAlpha(0.8)
+    );
+
+    scene.input.on('pointerdown', this.onPointerDown, this);
+    scene.input.on('pointermove', this.onPointerMove, this);
+    scene.input.on('pointerup', this.onPointerUp, this);
+    scene.input.on('pointerupoutside', this.onPointerUp, this);
+
+    // Fingers lifted while the scene was paused never reach it
+    scene.events.on('pause', this.release, this);
+
+    this.draw();
+  }
+
+  isDown(action) {
+    if (this.pulses.has(action)) return true;
+    for (const held of this.held.values()) if (held === action) return true;
+    return false;
+  }
+
+  /** InputActions read this update's swipes. */
+  endUpdate() {
+    this.pulses.clear();
+  }
+
+  buttonAt(x, y) {
+    return (
+      this.buttons.find((b) => Phaser.Math.Distance.Between(x, y, b.x, b.y) <= b.radius * TOUCH_HIT_SLOP) ?? null
+    );
+  }
+
+  onPointerDown(pointer, over) {
+    // Clicks on panels (see TuningPanel) are theirs
+    if (over.length) return;
+
+    const button = this.buttonAt(pointer.x, pointer.y);
+    if (button) {
+      this.held.set(pointer.id, button.action);
+      this.draw();
+    } else {
+      this.swipes.set(pointer.id, { x: pointer.x, y: pointer.y, time: pointer.downTime });
+    }
+  }
+
+  onPointerMove(pointer) {
+    if (!this.held.has(pointer.id)) return;
+
+    const action = this.buttonAt(pointer.x, pointer.y)?.action ?? null;
+    if (action === this.held.get(pointer.id)) return;
+    this.held.set(pointer.id, action);
+    this.draw();
+  }
+
+  onPointerUp(pointer) {
+    if (this.held.delete(pointer.id)) this.draw();
+
+    const start = this.swipes.get(pointer.id);
+    if (!start) return;
+    this.swipes.delete(pointer.id);
+
+    const dx = pointer.x - start.x;
+    const dy = pointer.y - start.y;
+    const far = Math.hypot(dx, dy) >= this.scene.scale.height * SWIPE_MIN_DISTANCE;
+    if (!far || pointer.upTime - start.time > SWIPE_MAX_MS) return;
+
+    const direction = Math.abs(dx) > Math.abs(dy) ? (dx < 0 ? 'left' : 'right') : dy < 0 ? 'up' : 'down';
+    this.pulses.add(TOUCH_SWIPES[direction]);
+  }
+
+  release() {
+    this.held.clear();
+    this.swipes.clear();
+    this.pulses.clear();
+    this.draw();
+  }
+
+  draw() {
+    const gfx = this.gfx.clear();
+    const held = new Set(this.held.values());
+
+    for (const button of this.buttons) {
+      const down = held.has(button.action);
+      gfx.fillStyle(down ? 0xffd54f : 0x000000, down ? 0.5 : 0.3);
+      gfx.fillCircle(button.x, button.y, button.radius);
+      gfx.lineStyle(2, 0xffffff, 0.5);
+      gfx.strokeCircle(button.x, button.y, button.radius);
+    }
+  }
+
+  destroy() {
+    const input = this.scene.input;
+    input.off('pointerdown', this.onPointerDown, this);
+    input.off('pointermove', this.onPointerMove, this);
+    input.off('pointerup', this.onPointerUp, this);
+    input.off('pointerupoutside', this.onPointerUp, this);
+    this.scene.events.off('pause', this.release, this);
+  }
+}
+
+// ======================================================================
+//  AUDIO – music, sound effects and the rolling loop
+// ======================================================================
+//
+// One AudioManager for the whole game, in the registry as 'audio'.
+// Scenes only say which track they want and it crossfades to it, so a
+// scene change never cuts the music dead.
+//
+// Sound effects and the rolling loops are synthesized into the audio
+// cache at boot – there are no sample files for them. Without Web Audio
+// (HTML5 audio or none) the music still plays and they stay silent.
+// Volumes come from the save's settings. Music tracks are audio assets
+// from the manifest (see BOOT), loaded with the levels that play them.
+// ======================================================================
+
+const MUSIC_FADE_MS = 1200;
+
+// Rolling loop per ground material: loudness and pitch at full speed.
+// Pitch runs from ROLLING_MIN_RATE (barely moving) up to 1.
+const ROLLING_SURFACES = {
+  concrete: { volume: 0.5, rate: 1 },
+  wood: { volume: 0.6, rate: 0.8 },
+  metal: { volume: 0.45, rate: 1 },
+};
+const ROLLING_MIN_RATE = 0.6;
+
+// How quickly the rolling loop follows speed and surface changes
+const ROLLING_EASE_MS = 80;
+
+// --- Synthesis ---------------------------------------------------------
+
+function whiteNoise() {
+  return Math.random() * 2 - 1;
+}
+
+/** One-pole low-pass; `amount` 0..1, lower is darker. */
+function lowPass(amount) {
+  let y = 0;
+  return (x) => (y += amount * (x - y));
+}
+
+/** Sine sliding from one frequency to another over `seconds`. */
+function sweep(rate, from, to, seconds) {
+  let phase = 0;
+  let t = 0;
+  return () => {
+    const f = from + (to - from) * Math.min(1, t / seconds);
+    phase += (2 * Math.PI * f) / rate;
+    t += 1 / rate;
+    return Math.sin(phase);
+  };
+}
+
+/** Struck metal: a few inharmonic partials. */
+function metal(t) {
+  return (
+    Math.sin(2 * Math.PI * 1130 * t) +
+    0.7 * Math.sin(2 * Math.PI * 1790 * t) +
+    0.4 * Math.sin(2 * Math.PI * 2530 * t)
+  ) / 2.1;
+}
+
+// name -> { duration (s), make(rate) -> (t) => sample }
+const SYNTH_SOUNDS = {
+  // Tail scraping the ground for a push
+  kick: {
+    duration: 0.18,
+    make: () => {
+      const lp = lowPass(0.2);
+      return (t) => lp(whiteNoise()) * Math.exp(-t * 25);
+    },
+  },
+
+  // Tail snapping on the ground
+  ollie: {
+    duration: 0.12,
+    make: (rate) => {
+      const tone = sweep(rate, 700, 120, 0.06);
+      return (t) => 0.8 * tone() * Math.exp(-t * 40) + 0.6 * whiteNoise() * Math.exp(-t * 90);
+    },
+  },
+
+  // Four wheels back on the ground
+  land: {
+    duration: 0.3,
+    make: (rate) => {
+      const thump = sweep(rate, 140, 45, 0.2);
+      const lp = lowPass(0.1);
+      return (t) => thump() * Math.exp(-t * 18) + 0.7 * lp(whiteNoise()) * Math.exp(-t * 30);
+    },
+  },
+
+  // Trucks locking onto a rail
+  grind: {
+    duration: 0.35,
+    make: () => {
+      const lp = lowPass(0.3);
+      return (t) => 0.6 * metal(t) * Math.exp(-t * 12) + 0.5 * lp(whiteNoise()) * Math.exp(-t * 8);
+    },
+  },
+
+  // Body and board hitting the floor
+  bail: {
+    duration: 0.7,
+    make: (rate) => {
+      const thump = sweep(rate, 100, 40, 0.3);
+      const lp = lowPass(0.08);
+      return (t) => thump() * Math.exp(-t * 10) + lp(whiteNoise()) * 3 * Math.exp(-t * 6);
+    },
+  },
+
+  // Two-note chime
+  pickup: {
+    duration: 0.24,
+    make: () => (t) => {
+      const [f, start] = t < 0.08 ? [988, 0] : [1319, 0.08];
+      return Math.sin(2 * Math.PI * f * t) * Math.exp(-(t - start) * 20);
+    },
+  },
+
+  // --- Rolling loops (one second, played looped) ---
+
+  roll_concrete: {
+    duration: 1,
+    make: () => {
+      const rumble = lowPass(0.08);
+      const grit = lowPass(0.4);
+      return () => rumble(whiteNoise()) * 2 + 0.25 * grit(whiteNoise());
+    },
+  },
+
+  // Softer, with a knock at every plank joint
+  roll_wood: {
+    duration: 1,
+    make: () => {
+      const rumble = lowPass(0.05);
+      return (t) => {
+        const sinceJoint = t % 0.25;
+        return rumble(whiteNoise()) * 2 + 0.5 * Math.sin(2 * Math.PI * 90 * sinceJoint) * Math.exp(-sinceJoint * 40);
+      };
+    },
+  },
+
+  // The grind itself: hiss and ring
+  roll_metal: {
+    duration: 1,
+    make: () => {
+      const lp = lowPass(0.5);
+      return (t) => {
+        const x = whiteNoise();
+        return 0.4 * (x - lp(x)) + 0.15 * metal(t) * (1 + 0.3 * Math.sin(2 * Math.PI * 7 * t));
+      };
+    },
+  },
+};
+
+/** Render one SYNTH_SOUNDS entry into a mono AudioBuffer, peaking at 0.9. */
+function renderSound(context, def) {
+  const rate = context.sampleRate;
+  const buffer = context.createBuffer(1, Math.ceil(def.duration * rate), rate);
+  const data = buffer.getChannelData(0);
+  const sample = def.make(rate);
+
+  let peak = 0;
+  for (let i = 0; i < data.length; i++) {
+    data[i] = sample(i / rate);
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  if (peak > 0) for (let i = 0; i < data.length; i++) data[i] *= 0.9 / peak;
+
+  return buffer;
+}
+
+// --- Manager -----------------------------------------------------------
+
+class AudioManager {
+  constructor(game, save) {
+    this.sound = game.sound;
+    this.cache = game.cache.audio;
+    this.save = save;
+
+    this.music = null; // the track scenes asked for last
+    this.fades = [];
+
+    // Only Web Audio has a context to render the effects with
+    this.hasEffects = Boolean(this.sound.context);
+    if (this.hasEffects) {
+      for (const [key, def] of Object.entries(SYNTH_SOUNDS)) {
+        game.cache.audio.add(key, renderSound(this.sound.context, def));
+      }
+    }
+
+    // Fades belong to no scene, they run across scene changes
+    game.events.on(Phaser.Core.Events.STEP, (time, delta) => this.update(delta));
+  }
+
+  // --- Music -----------------------------------------------------------
+
+  /** Crossfade to `key`, or to silence for null. Same track: no change. */
+  playMusic(key, fadeMs = MUSIC_FADE_MS) {
+    if (key && this.music?.key === key) {
+      if (this.music.isPaused) this.music.resume();
+      return;
+    }
+
+    this.stopMusic(fadeMs);
+    if (!key) return;
+    if (!this.cache.exists(key)) {
+      // Not in a loaded asset group, or it failed to load (see BOOT)
+      console.error(`Music "${key}" is not loaded`);
+      return;
+    }
+
+    this.music = this.sound.add(key, { loop: true, volume: 0 });
+    this.music.play();
+    this.fadeTo(this.music, this.save.musicVolume, fadeMs);
+  }
+
+  stopMusic(fadeMs = MUSIC_FADE_MS) {
+    const music = this.music;
+    if (!music) return;
+
+    this.music = null;
+    if (music.isPaused) music.destroy();
+    else this.fadeTo(music, 0, fadeMs, true);
+  }
+
+  // --- Effects ---------------------------------------------------------
+
+  /** A one-shot effect from SYNTH_SOUNDS, `volume` on top of the setting. */
+  play(key, volume = 1) {
+    if (!this.hasEffects) return;
+    this.sound.play(key, { volume: volume * this.save.sfxVolume });
+  }
+
+  createRollingSound() {
+    return new RollingSound(this);
+  }
+
+  // --- Settings and pause ----------------------------------------------
+
+  /** Pick up changed volumes from the save. */
+  applySettings() {
+    if (!this.music) return;
+    this.fades = this.fades.filter((fade) => fade.sound !== this.music);
+    this.music.setVolume(this.save.musicVolume);
+  }
+
+  pause() {
+    this.sound.pauseAll();
+  }
+
+  resume() {
+    this.sound.resumeAll();
+  }
+
+  // --- Fades -----------------------------------------------------------
+
+  fadeTo(sound, volume, duration, destroyAtEnd = false) {
+    this.fades = this.fades.filter((fade) => fade.sound !== sound);
+    this.fades.push({
+      sound,
+      from: sound.volume,
+      to: volume,
+      elapsed: 0,
+      duration: Math.max(1, duration),
+      destroyAtEnd,
+    });
+  }
+
+  update(delta) {
+    this.fades = this.fades.filter((fade) => {
+      // Hold still under the pause menu
+      if (fade.sound.isPaused) return true;
+
+      fade.elapsed += delta;
+      const t = Math.min(1, fade.elapsed / fade.duration);
+      fade.sound.setVolume(Phaser.Math.Linear(fade.from, fade.to, t));
+      if (t < 1) return true;
+
+      if (fade.destroyAtEnd) fade.sound.destroy();
+      return false;
+    });
+  }
+}
+
+/**
+ * The sound of the wheels: one loop per ground material, all running,
+ * with only the one under the skater turned up. Louder and higher the
+ * faster it rolls; silent in the air.
+ */
+class RollingSound {
+  constructor(audio) {
+    this.audio = audio;
+    this.loops = [];
+
+    if (!audio.hasEffects) return;
+
+    for (const [material, def] of Object.entries(ROLLING_SURFACES)) {
+      const sound = audio.sound.add(`roll_${material}`, { loop: true, volume: 0 });
+      sound.play();
+      this.loops.push({ material, def, sound, level: 0 });
+    }
+  }
+
+  /**
+   * Once per frame. `material` as PlayerController.material (null in the
+   * air), `speed` 0..1 of top speed.
+   */
+  update(material, speed, delta) {
+    const surface = material && (ROLLING_SURFACES[material] ? material : 'concrete');
+    const ease = Math.min(1, delta / ROLLING_EASE_MS);
+    speed = Phaser.Math.Clamp(speed, 0, 1);
+
+    for (const loop of this.loops) {
+      const target = loop.material === surface ? speed : 0;
+      loop.level = Phaser.Math.Linear(loop.level, target, ease);
+
+      loop.sound.setVolume(loop.level * loop.def.volume * this.audio.save.sfxVolume);
+      loop.sound.setRate(loop.def.rate * Phaser.Math.Linear(ROLLING_MIN_RATE, 1, speed));
+    }
+  }
+
+  destroy() {
+    for (const loop of this.loops) loop.sound.destroy();
+    this.loops = [];
+  }
+}
+
+// ======================================================================
+//  REPLAYS & GHOSTS
+// ======================================================================
+//
+// A replay is how a run started plus the actions held on every fixed
+// step, run-length encoded:
+//
+//   {
+//     "version": 5,
+//     "level": "street",
+//     "mode": "session",
+//     "seed": 1234567,                PlayerController random seed
+//     "spawn": { "x": 120, "y": 280 },
+//     "velocity": { "x": 0, "y": 0 }, coming in through an exit keeps speed
+//     "facingLeft": false,
+//     "controller": { "maxVelX": 10 }, PlayerController options from gear
+//     "tuning": { "gravity": 0.75 },  tuning preset it was ridden with
+//     "steps": 7200,                  fixed steps recorded
+//     "runs": [40, 0, 0, 95, 2, 255, ...]
+//   }
+//
+// `runs` is flat triples of (steps, action mask, push): bit i of the mask
+// is the i-th action in ACTIONS, push is the left / right strength in
+// 1/255ths. The world and PlayerController both step at FIXED_STEP_MS, so
+// feeding a replay back through a ReplayInput rides the same run again.
+// A ghost rides its own tuning but the world's gravity and ground
+// friction, so a ghost of a run tuned otherwise there drifts off.
+// ======================================================================
+
+const REPLAY_VERSION = 5;
+
+// Oldest replay that still plays; version 2 had no velocity (it was 0),
+// version 3 no gear (it was stock), version 4 no tuning (the defaults)
+const REPLAY_MIN_VERSION = 2;
+const GHOST_ALPHA = 0.4;
+const GHOST_FADE_MS = 500;
+
+const ACTION_BITS = Object.keys(ACTIONS);
+
+/** Collects one run's inputs, one record() per fixed step. */
+class ReplayRecorder {
+  constructor(start) {
+    this.start = start; // { level, mode, seed, spawn, velocity, facingLeft, controller, tuning }
+    this.steps = 0;
+    this.runs = [];
+  }
+
+  record(actions) {
+    let mask = 0;
+    ACTION_BITS.forEach((action, i) => {
+      if (actions.isDown(action)) mask |= 1 << i;
+    });
+    const push = Math.round(Math.max(actions.strength('left'), actions.strength('right')) * 255);
+
+    const last = this.runs[this.runs.length - 1];
+    if (last && last[1] === mask && last[2] === push) last[0]++;
+    else this.runs.push([1, mask, push]);
+
+    this.steps++;
+  }
+
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      ...this.start,
+      steps: this.steps,
+      runs: this.runs.flat(),
+    };
+  }
+}
+
+/**
+ * Plays a replay back with the same reading API as InputActions.
+ * strength() is only exact for left / right, the only ones that use it.
+ */
+class ReplayInput {
+  constructor(replay) {
+    this.runs = replay.runs;
+    this.next = 0;      // index of the next triple
+    this.remaining = 0; // steps left in the current one
+    this.mask = 0;
+    this.prevMask = 0;
+    this.push = 0;
+    this.finished = false;
+  }
+
+  update() {
+    this.prevMask = this.mask;
+
+    while (this.remaining === 0) {
+      if (this.next >= this.runs.length) {
+        this.finished = true;
+        this.mask = 0;
+        this.push = 0;
+        return;
+      }
+      [this.remaining, this.mask, this.push] = this.runs.slice(this.next, this.next + 3);
+      this.next += 3;
+    }
+    this.remaining--;
+  }
+
+  isDown(action) {
+    return (this.mask & (1 << ACTION_BITS.indexOf(action))) !== 0;
+  }
+
+  justDown(action) {
+    return this.isDown(action) && (this.prevMask & (1 << ACTION_BITS.indexOf(action))) === 0;
+  }
+
+  strength(action) {
+    return this.isDown(action) ? this.push / 255 : 0;
+  }
+}
+
+/** Throws unless `data` is a replay this version can play. */
+function parseReplay(data) {
+  if (
+    !data ||
+    !(data.version >= REPLAY_MIN_VERSION && data.version <= REPLAY_VERSION) ||
+    !Array.isArray(data.runs) ||
+    !data.spawn
+  ) {
+    throw new Error('Not a Skate Hustle replay');
+  }
+  return { velocity: { x: 0, y: 0 }, facingLeft: false, controller: {}, tuning: {}, ...data };
+}
+
+/** Download a replay as a JSON file. */
+function exportReplay(replay) {
+  downloadJson(`skate-hustle-${replay.level}-replay.json`, JSON.stringify(replay));
+}
+
+/**
+ * Let the player pick a replay file. Resolves to the replay, or null if
+ * cancelled; rejects if the file is not a replay.
+ */
+async function importReplay() {
+  const picked = await pickJsonFile();
+  return picked && parseReplay(picked.data);
+}
+
+/**
+ * A see-through skater riding a replay. It has its own controller and
+ * tricks (so a late flip still bails it) and respawns at the checkpoints
+ * it passes, but it collects nothing and rides straight through the live
+ * skater. Fades out when the replay ends.
+ *
+ * It also has its own unseen copy of the level's hazards, stepped on its
+ * own clock, so it meets the traffic the recorded run met and not what
+ * the live skater has stirred up since (see src/core/hazards.js).
+ *
+ * step() has to run in the same place in the fixed step as the live
+ * skater's update did when the replay was recorded.
+ */
+class Ghost {
+  constructor(scene, replay) {
+    this.scene = scene;
+    this.input = new ReplayInput(replay);
+
+    this.player = createPlayer(scene, replay.spawn.x, replay.spawn.y, scene.save.skater).setAlpha(GHOST_ALPHA);
+    this.meter = scene.add.graphics().setDepth(50).setAlpha(GHOST_ALPHA);
+
+    this.controller = new PlayerController(M, this.player.body, this.input, {
+      seed: replay.seed,
+      tuning: parsePreset(replay.tuning),
+      ...replay.controller,
+    });
+    this.controller.setVelocity(replay.velocity.x, replay.velocity.y);
+    this.controller.facingLeft = replay.facingLeft;
+    animateSkater(this.player, this.controller);
+    this.tricks = new TrickSystem(this.controller);
+
+    this.bailCycle = new BailCycle(this.controller, replay.spawn);
+    this.finished = false;
+
+    scene.collisions.register(this.player.body, 'ghost');
+    scene.collisions.on('enteredTrigger', this.onTrigger, this);
+
+    this.hazards = (scene.level.hazards ?? []).map((def) => new Hazard(M, def));
+    for (const hazard of this.hazards) {
+      scene.collisions.register(hazard.body, 'ghostHazard', { hazard });
+      scene.matter.world.add(hazard.body);
+    }
+  }
+
+  onTrigger(skater, trigger, data) {
+    if (skater === this.player.body && data.checkpoint) this.bailCycle.checkpoint = data.checkpoint.def;
+  }
+
+  step() {
+    if (this.finished) return;
+
+    this.input.update();
+    if (this.input.finished) {
+      this.finish();
+      return;
+    }
+
+    const controller = this.controller;
+    controller.update();
+    this.tricks.update(controller.now, FIXED_STEP_MS);
+    for (const hazard of this.hazards) hazard.update(controller.now, [controller]);
+    this.bailCycle.step();
+  }
+
+  /** Once per frame, after the steps. */
+  draw() {
+    if (!this.finished) updateSkaterSprite(this.player, this.controller, this.meter);
+  }
+
+  finish() {
+    this.finished = true;
+    this.meter.clear();
+    this.scene.tweens.add({
+      targets: this.player,
+      alpha: 0,
+      duration: GHOST_FADE_MS,
+      onComplete: () => this.destroy(),
+    });
+  }
+
+  destroy() {
+    this.scene.collisions.off('enteredTrigger', this.onTrigger, this);
+    for (const hazard of this.hazards) {
+      this.scene.matter.world.remove(hazard.body);
+      hazard.destroy();
+    }
+    this.bailCycle.destroy();
+    this.tricks.destroy();
+    this.controller.destroy();
+    this.meter.destroy();
+    this.player.destroy();
+  }
+}
+
+// ======================================================================
+//  BOOT – the asset manifest, loading bars and the boot scene
+// ======================================================================
+//
+// Nothing is loaded by hand: BootScene reads ASSET_MANIFEST (see
+// src/core/assets.js) and the level list, then the manifest's boot
+// groups, and only then starts the title. A level's own groups load in
+// its scene's preload(), the first time it's entered.
+//
+// Any load shows a progress bar (trackLoad). A file that fails is logged
+// with its key and url; at boot they're listed on screen before going
+// on, in a level or a versus match they're shown as a message. A broken
+// manifest leaves the game running on an empty one: nothing more loads,
+// and every level says which of its groups are missing.
+// ======================================================================
+
+const ASSET_MANIFEST = 'assets/manifest.json';
+
+/** Queue the assets of `groups` on a loader. Throws on an unknown group. */
+function queueAssets(loader, manifest, groups) {
+  for (const asset of groupAssets(manifest, groups)) {
+    switch (asset.type) {
+      case 'image':
+        loader.image(asset.key, asset.url);
+        break;
+      case 'spritesheet':
+        loader.spritesheet(asset.key, asset.url, { frameWidth: asset.frameWidth, frameHeight: asset.frameHeight });
+        break;
+      case 'audio':
+        // Phaser picks the first url this browser can play
+        loader.audio(asset.key, asset.url);
+        break;
+    }
+  }
+}
+
+// What BootScene keeps when the manifest is broken or missing: levels
+// then load nothing, and say so
+const EMPTY_MANIFEST = { assets: {}, groups: {}, boot: [] };
+
+/**
+ * Queue a scene's asset groups from the manifest BootScene kept. Returns
+ * the groups it doesn't have (all of them if it didn't load), in the
+ * same "what – why" form as trackLoad()'s failed files.
+ */
+function queueGroups(scene, groups) {
+  const manifest = scene.registry.get('manifest') ?? EMPTY_MANIFEST;
+  const known = groups.filter((name) => manifest.groups[name]);
+  queueAssets(scene.load, manifest, known);
+
+  return groups.filter((name) => !known.includes(name)).map((name) => `group "${name}" – not in the manifest`);
+}
+
+/**
+ * Show a progress bar while the scene's loader works through what's
+ * queued, if anything is. Returns the list of files that failed
+ * ("key – url"), filled in as they do.
+ */
+function trackLoad(scene) {
+  const loader = scene.load;
+  const failed = [];
+  if (loader.list.size === 0) return failed;
+
+  const ui = screenLayout(scene);
+  const width = ui.width / 2;
+  const height = ui.line * 0.4;
+  const left = ui.centerX - width / 2;
+  const style = { fontSize: '16px', fontFamily: 'system-ui, -apple-system, sans-serif', color: '#b0b6c2' };
+
+  const frame = scene.add.rectangle(ui.centerX, ui.centerY, width, height).setStrokeStyle(2, 0xffffff);
+  const bar = scene.add.rectangle(left, ui.centerY, 0, height - 6, 0xffd54f).setOrigin(0, 0.5);
+  const label = scene.add.text(ui.centerX, ui.centerY + ui.line, 'Loading', style).setOrigin(0.5);
+  const shown = [frame, bar, label];
+  for (const object of shown) object.setScrollFactor(0).setDepth(2000);
+
+  const onProgress = (value) => (bar.width = (width - 6) * value);
+  const onFile = (file) => label.setText(`Loading ${file.key}`);
+  const onError = (file) => {
+    failed.push(`${file.key} – ${file.url}`);
+    console.error(`Asset "${file.key}" failed to load from ${file.url}`);
+  };
+
+  loader.on('progress', onProgress);
+  loader.on('fileprogress', onFile);
+  loader.on('loaderror', onError);
+  // The loader outlives the scene's restarts, so let go of it
+  loader.once('complete', () => {
+    loader.off('progress', onProgress);
+    loader.off('fileprogress', onFile);
+    loader.off('loaderror', onError);
+    for (const object of shown) object.destroy();
+  });
+
+  return failed;
+}
+
+class BootScene extends Phaser.Scene {
+  constructor() {
+    super('BootScene');
+  }
+
+  preload() {
+    this.load.json('manifest', ASSET_MANIFEST);
+    loadLevels(this.load);
+    this.failed = trackLoad(this);
+
+    // Scenes queue their groups from the registry's copy (see queueGroups)
+    this.registry.set('manifest', EMPTY_MANIFEST);
+    this.load.once('filecomplete-json-manifest', (key, type, data) => {
+      try {
+        const manifest = parseManifest(data);
+        this.registry.set('manifest', manifest);
+        queueAssets(this.load, manifest, manifest.boot);
+      } catch (err) {
+        this.failed.push(`${ASSET_MANIFEST} – ${err.message}`);
+        console.error('Asset manifest is broken:', err);
+      }
+    });
+  }
+
+  create() {
+    if (!this.failed.length) {
+      this.scene.start('TitleScene');
+      return;
+    }
+
+    // List what's broken; the game may well run without it
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
+
+    this.cameras.main.setBackgroundColor('#171a21');
+    this.add
+      .text(ui.centerX, ui.title, 'Some assets failed to load', { fontSize: '28px', fontFamily: font, color: '#e57373' })
+      .setOrigin(0.5);
+    this.add
+      .text(ui.centerX, ui.top - ui.line, this.failed, {
+        fontSize: '14px',
+        fontFamily: 'monospace',
+        color: '#ffffff',
+        align: 'center',
+        wordWrap: { width: ui.width - ui.margin * 2 },
+      })
+      .setOrigin(0.5, 0);
+    this.add
+      .text(ui.centerX, ui.footer(), 'Any key or tap to carry on  ·  details in the console', {
+        fontSize: '16px',
+        fontFamily: font,
+        color: '#b0b6c2',
+      })
+      .setOrigin(0.5);
+
+    const carryOn = () => this.scene.start('TitleScene');
+    this.input.keyboard.once('keydown', carryOn);
+    this.input.once('pointerup', carryOn);
+  }
+}
+
+// ======================================================================
+//  TITLE SCENE
+// ======================================================================
+
+class TitleScene extends Phaser.Scene {
+  constructor() {
+    super('TitleScene');
+  }
+
+  create() {
+    const { width, height } = this.scale;
+    const ui = screenLayout(this);
+    const touch = isTouchDevice(this);
+
+this.add.image(width / 2, height / 2, 'titleBg')
+  .setOrigin(0.5)
+  .setDisplaySize(width, height);
+
+    /*const { width, height } = this.scale;
+
+    this.add
+      .text(width / 2, height / 2 - 40, 'Skate Hustle', {
+        fontSize: '48px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+      })
+      .setOrigin(0.5);
+
+    this.add
+      .text(width / 2, height / 2 + 20, 'Press SPACE to start', {
+        fontSize: '20px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+      })
+      .setOrigin(0.5);
+
+    this.add
+      .text(
+        width / 2,
+        height / 2 + 60,
+        'Arrows to move & jump, DOWN to brake',
+        {
+          fontSize: '16px',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+        }
+      )
+      .setOrigin(0.5);
+    */
+    this.add
+      .text(ui.centerX, ui.height - ui.line * 0.6, touch ? 'Tap to skate  ·  ENTER – two-minute session' : 'ENTER – two-minute session', {
+        fontSize: '16px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        color: '#ffffff',
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        padding: { x: 8, y: 4 },
+      })
+      .setOrigin(0.5);
+
+    this.registry.get('audio').playMusic('titleMusic');
+
+    this.input.keyboard.once('keydown-SPACE', () => {
+      this.scene.start('LevelScene');
+    });
+    this.input.keyboard.once('keydown-ENTER', () => {
+      this.scene.start('LevelScene', { mode: 'session' });
+    });
+    // A tap anywhere but on a button skates too
+    this.input.on('pointerup', (pointer, over) => {
+      if (!over.length) this.scene.start('LevelScene');
+    });
+
+    // --- Fullscreen ----------------------------------------------------
+    if (canFullscreen(this)) {
+      const button = this.add
+        .text(ui.width - ui.margin, ui.height - ui.line * 0.6, '⛶ Fullscreen', {
+          fontSize: '16px',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+          color: '#ffffff',
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          padding: { x: 8, y: 4 },
+        })
+        .setOrigin(1, 0.5);
+      onTap(button, () => toggleFullscreen(this));
+      this.input.keyboard.on('keydown-F', () => toggleFullscreen(this));
+    }
+
+    // --- Save file -----------------------------------------------------
+    const save = this.registry.get('save');
+    const status = this.add
+      .text(ui.centerX, ui.line * 0.6, 'E export save  ·  I import save  ·  K controls  ·  M map  ·  S shop  ·  C skater  ·  V versus  ·  G race a replay  ·  D daily spot  ·  R random spot', {
+        fontSize: '14px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        color: '#ffffff',
+        align: 'center',
+        wordWrap: { width: ui.width - ui.margin * 2 },
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        padding: { x: 8, y: 4 },
+      })
+      .setOrigin(0.5);
+
+    this.input.keyboard.on('keydown-E', () => {
+      save.exportFile();
+      status.setText('Save exported');
+    });
+
+    this.input.keyboard.on('keydown-G', () => {
+      importReplay().then(
+        (replay) => {
+          if (!replay) {
+            status.setText('Import cancelled');
+            return;
+          }
+          if (!replay.level.startsWith(SPOT_PREFIX) && !this.cache.json.exists(`level:${replay.level}`)) {
+            status.setText(`Import failed: no level "${replay.level}"`);
+            return;
+          }
+          this.scene.start('LevelScene', { level: replay.level, mode: replay.mode, ghost: replay });
+        },
+        (err) => status.setText(`Import failed: ${err.message}`)
+      );
+    });
+
+    this.input.keyboard.once('keydown-K', () => {
+      this.scene.start('ControlsScene', { returnTo: 'TitleScene' });
+    });
+
+    this.input.keyboard.once('keydown-M', () => {
+      this.scene.start('MapScene', { returnTo: 'TitleScene' });
+    });
+
+    this.input.keyboard.once('keydown-S', () => {
+      this.scene.start('ShopScene', { returnTo: 'TitleScene' });
+    });
+
+    this.input.keyboard.once('keydown-C', () => {
+      this.scene.start('SkaterScene', { returnTo: 'TitleScene' });
+    });
+
+    this.input.keyboard.once('keydown-V', () => {
+      this.scene.start('VersusMenuScene');
+    });
+
+    // Generated spots: today's as a session, or any one to free skate
+    this.input.keyboard.once('keydown-D', () => {
+      this.scene.start('LevelScene', { level: spotKey(dailySeed()), mode: 'session' });
+    });
+    this.input.keyboard.once('keydown-R', () => {
+      this.scene.start('LevelScene', { level: spotKey(Phaser.Math.Between(1, 999999)) });
+    });
+
+    this.input.keyboard.on('keydown-I', () => {
+      save.importFile().then(
+        (imported) => status.setText(imported ? 'Save imported' : 'Import cancelled'),
+        (err) => status.setText(`Import failed: ${err.message}`)
+      );
+    });
+  }
+}
+
+// ======================================================================
+//  LEVEL SCENE – builds any spot from its level file
+// ======================================================================
+
+class LevelScene extends Phaser.Scene {
+  constructor() {
+    super('LevelScene');
+  }
+
+  /**
+   * data.level  level key, defaults to the start level
+   * data.mode   'free' (default) or 'session' for a timed run
+   * data.ghost  a replay of this level to race against
+   * data.arrival { spawn, velocity, facingLeft } coming in through an
+   *              exit (see leaveLevel), instead of the level's spawn
+   * data.score   score carried over from the last room
+   */
+  init(data) {
+    this.levelKey = data.level ?? this.cache.json.get('levels').start;
+    this.mode = data.mode ?? 'free';
+    this.ghostReplay = data.ghost ?? null;
+    this.arrival = data.arrival ?? null;
+    this.startScore = data.score ?? 0;
+  }
+
+  /** The level's asset groups, the first time round (see BOOT). */
+  preload() {
+    const missing = queueGroups(this, getLevel(this, this.levelKey).assets ?? []);
+    this.loadFailures = trackLoad(this);
+    this.loadFailures.push(...missing);
+  }
+
+  create() {
+    // A copy, so the editor (see LevelEditor) never touches the cached one
+    const level = structuredClone(getLevel(this, this.levelKey));
+    this.level = level;
+    this.save = this.registry.get('save');
+    this.save.discover(this.levelKey);
+
+    // Free skate remembers what was collected and opened in each room
+    this.persistent = this.mode !== 'session';
+
+    this.worldSize = getWorldSize(this, level);
+
+    this.cameras.main.setBackgroundColor(level.background ?? '#171a21');
+    this.matter.world.setBounds(0, 0, this.worldSize.width, this.worldSize.height);
+
+    this.tuning = this.registry.get('tuning');
+    applyWorldTuning(this, this.tuning.values);
+
+    // --- Collisions ----------------------------------------------------
+    // Every body registers a kind; the service turns Matter's pairs into
+    // foot contacts and typed events. The bounds are walls, not ground.
+    this.collisions = new CollisionService();
+    this.collisions.register(Object.values(this.matter.world.walls).filter(Boolean), 'wall');
+    this.matter.world.on('collisionstart', (event) => this.collisions.collisionStart(event.pairs));
+    this.matter.world.on('collisionend', (event) => this.collisions.collisionEnd(event.pairs));
+    this.collisions.on('pickedUp', this.onPickup, this);
+    this.collisions.on('enteredTrigger', this.onTrigger, this);
+    this.collisions.on('leftTrigger', this.onLeftTrigger, this);
+    this.events.once('shutdown', () => this.collisions.destroy());
+
+    createSkaterAnims(this);
+
+    // --- Art, ground, obstacles ----------------------------------------
+    for (const def of level.parallax ?? []) createParallaxLayer(this, def, this.worldSize);
+    for (const def of level.art ?? []) createArt(this, def);
+
+    this.grounds = (level.ground ?? []).map((def) => createGround(this, def));
+    this.obstacles = (level.obstacles ?? []).map((def) => createObstacle(this, def));
+    this.rails = (level.rails ?? []).map((def) => createRail(this, def));
+
+    // --- Player --------------------------------------------------------
+    // Spawn above the ground, let gravity settle him onto it
+    const spawn = this.arrival?.spawn ?? level.spawn;
+    const velocity = this.arrival?.velocity ?? { x: 0, y: 0 };
+    const facingLeft = this.arrival?.facingLeft ?? false;
+
+    this.player = createPlayer(this, spawn.x, spawn.y, this.save.skater);
+    this.collisions.register(this.player.body, 'skater');
+
+    // Touch screens get on-screen buttons on top of the keys and pads
+    this.touch = isTouchDevice(this) ? new TouchControls(this) : null;
+    this.events.once('shutdown', () => this.touch?.destroy());
+    this.actions = new InputActions(this, this.save.bindings, { touch: this.touch });
+
+    // Board and wheels from the shop (see src/core/gear.js), on top of
+    // the tuning (see TUNING PANEL)
+    const gear = gearOptions(this.save.equipped, this.tuning.values);
+    this.playerController = new PlayerController(
+      M,
+      this.player.body,
+      this.actions,
+      { seed: Phaser.Math.Between(0, 0x7fffffff), tuning: this.tuning.values, ...gear }
+    );
+    this.playerController.setVelocity(velocity.x, velocity.y);
+    this.playerController.facingLeft = facingLeft;
+    animateSkater(this.player, this.playerController);
+    this.balanceMeter = this.add.graphics().setDepth(50);
+
+    // Everything needed to ride this run again
+    this.recorder = new ReplayRecorder({
+      level: this.levelKey,
+      mode: this.mode,
+      seed: this.playerController.seed,
+      spawn: { x: spawn.x, y: spawn.y },
+      velocity: { x: velocity.x, y: velocity.y },
+      facingLeft,
+      controller: gear,
+      tuning: this.tuning.changes(),
+    });
+    this.stepAccumulator = 0;
+
+    // --- Camera --------------------------------------------------------
+    this.cameras.main.setBounds(0, 0, this.worldSize.width, this.worldSize.height);
+    this.lookAhead = 0;
+    this.followPlayer();
+
+    // --- Sound ---------------------------------------------------------
+    this.audio = this.registry.get('audio');
+    this.audio.playMusic(level.music ?? null);
+    this.rolling = this.audio.createRollingSound();
+    this.events.once('shutdown', () => this.rolling.destroy());
+
+    const controller = this.playerController;
+    controller.on('kick', () => this.audio.play('kick'));
+    controller.on('jump', () => this.audio.play('ollie'));
+    controller.on('grindStart', () => this.audio.play('grind'));
+    controller.on('bail', () => this.audio.play('bail'));
+    this.collisions.on('landed', (skater) => {
+      if (skater !== this.player.body) return;
+      // Louder the harder it comes down
+      this.audio.play('land', Phaser.Math.Clamp(Math.abs(skater.velocity.y) / 10, 0.3, 1));
+    });
+
+    // --- Collectibles and exits ---------------------------------------
+    this.collectibles = [];
+    for (const def of level.collectibles ?? []) this.addCollectible(def);
+
+    this.leaving = false;
+    this.exits = [];
+    for (const def of level.exits ?? []) this.addExit(def);
+
+    // --- Checkpoints: bails respawn at the last one passed -------------
+    this.bailCycle = new CrashingBailCycle(this, this.player, this.playerController, spawn, this.save.skater);
+    this.bailCycle.on('crash', () => {
+      this.cameras.main.startFollow(this.bailCycle.focus, true, CAMERA_LERP, CAMERA_LERP);
+    });
+    this.bailCycle.on('respawn', () => this.followPlayer());
+    this.checkpoints = [];
+    for (const def of level.checkpoints ?? []) this.addCheckpoint(def);
+
+    // --- Score ---------------------------------------------------------
+    this.score = this.startScore;
+    const ui = screenLayout(this);
+    this.scoreText = this.add.text(ui.margin, ui.margin, '', {
+      fontSize: '20px',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      color: '#ffffff',
+    }).setScrollFactor(0);
+
+    this.updateScoreText();
+
+    // --- Tricks --------------------------------------------------------
+    this.tricks = new TrickSystem(this.playerController);
+    this.comboText = createComboText(this, this.tricks);
+    this.tricks.on('comboLanded', (points) => this.addScore(points));
+
+    // --- Session (timed run) -------------------------------------------
+    this.session = null;
+    if (this.mode === 'session' && level.session) {
+      this.session = new Session(this, this.tricks, level.session);
+      this.sessionHud = createSessionHud(this, this.session);
+      this.session.on('end', this.endSession, this);
+      this.session.on('goal', (goal) => {
+        this.save.completeGoal(this.levelKey, goalKey(goal.def));
+      });
+
+      // Scene events outlive a restart; don't leave the old session listening
+      this.events.once('shutdown', () => this.session.destroy());
+    }
+
+    // --- Hustlers (free skate) -----------------------------------------
+    this.hustlers = this.session ? [] : (level.hustlers ?? []).map((def) => new Hustler(this, def));
+    this.challenge = null; // { hustler, session, hud } while one runs
+    this.events.once('shutdown', () => this.challenge?.session.destroy());
+
+    // --- Ghost ---------------------------------------------------------
+    const ghost = this.ghostReplay;
+    this.ghost = ghost && ghost.level === this.levelKey ? new Ghost(this, ghost) : null;
+
+    // --- Hazards -------------------------------------------------------
+    this.hazards = (level.hazards ?? []).map((def) => new HazardActor(this, def));
+    this.collisions.on('touchedHazard', this.onHazard, this);
+    this.events.once('shutdown', () => this.hazards.forEach((actor) => actor.destroy()));
+
+    // --- Dev tools (with Physics debug on) -----------------------------
+    this.editor = null;
+    this.tuningPanel = null;
+    if (this.save.physicsDebug) this.createDevTools();
+    this.tuning.on('change', this.onTuningChange, this);
+    this.tuning.on('load', this.onTuningChange, this);
+    this.events.once('shutdown', () => {
+      this.tuning.off('change', this.onTuningChange, this);
+      this.tuning.off('load', this.onTuningChange, this);
+      this.tuningPanel?.destroy();
+    });
+
+    // Files this level's asset groups couldn't load (see BOOT)
+    if (this.loadFailures.length) this.showMessage(`Missing assets: ${this.loadFailures.join(', ')}`);
+
+    // --- Pause (see PauseScene) ----------------------------------------
+    setPhysicsDebug(this, this.save.physicsDebug);
+    this.events.on('resume', this.onResume, this);
+    this.events.once('shutdown', () => this.events.off('resume', this.onResume, this));
+  }
+
+  // --- Pause -----------------------------------------------------------
+
+  pauseGame() {
+    this.scene.pause();
+    this.scene.launch('PauseScene', { from: this.scene.key });
+  }
+
+  // Keys released under the menu never told us; bindings may have changed
+  onResume() {
+    this.input.keyboard.resetKeys();
+    this.actions.setBindings(this.save.bindings);
+  }
+
+  /** PauseScene: a setting changed (volumes are the AudioManager's). */
+  applySettings() {
+    setPhysicsDebug(this, this.save.physicsDebug);
+    if (this.save.physicsDebug) this.createDevTools();
+  }
+
+  /**
+   * The level editor (toggle with E) and the tuning panel (toggle with `),
+   * once Physics debug is on; they stay until the level ends.
+   */
+  createDevTools() {
+    if (this.editor) return;
+    this.editor = new LevelEditor(this);
+    this.tuningPanel = new TuningPanel(this, this.registry.get('tuningStore'));
+  }
+
+  // The tuning panel changed a value: the skater, ground and gravity
+  // take it at once. The run can't be replayed any more.
+  onTuningChange() {
+    const values = this.tuning.values;
+    this.playerController.configure({ tuning: values, ...gearOptions(this.save.equipped, values) });
+    applyWorldTuning(this, values);
+    this.recorder = null;
+  }
+
+  /**
+   * PauseScene: this level's own entries – its "pause" action exits, or
+   * ending a session early.
+   */
+  pauseMenuItems() {
+    if (this.session) {
+      return [{ label: 'End session', select: () => this.session.finish() }];
+    }
+
+    return this.exits
+      .filter((exit) => exit.action === 'pause')
+      .map((exit) => {
+        const name = getLevel(this, exit.def.to).name ?? exit.def.to;
+        return exit.locked || exit.gated
+          ? { label: `${name} – locked`, disabled: true }
+          : { label: `Skate to ${name}`, select: () => this.leaveLevel(exit) };
+      });
+  }
+
+  followPlayer() {
+    this.cameras.main.startFollow(this.player, true, CAMERA_LERP, CAMERA_LERP);
+  }
+
+  /** Lead the camera in the direction of travel (see cameraLead). */
+  updateCamera() {
+    this.lookAhead = cameraLead(
+      this.lookAhead,
+      this.player.body.velocity.x,
+      this.playerController.maxVelX
+    );
+
+    // Follow offset is subtracted from the target position
+    this.cameras.main.setFollowOffset(-this.lookAhead, 0);
+  }
+
+  /** A static sensor registered as `kind`; events hand back `data`. */
+  addSensor(x, y, width, height, kind, label, data) {
+    const body = sensorBody(M, x, y, width, height, label);
+    this.collisions.register(body, kind, data);
+    this.matter.world.add(body);
+    return body;
+  }
+
+  onPickup(skater, body, { item }) {
+    if (skater === this.player.body && this.collectibles.includes(item)) this.collectItem(item);
+  }
+
+  onTrigger(skater, body, data) {
+    if (skater !== this.player.body) return;
+
+    if (data.exit) this.reachExit(data.exit);
+    else if (data.checkpoint && !data.checkpoint.reached) this.reachCheckpoint(data.checkpoint);
+    else if (data.hustler) data.hustler.setNear(true);
+  }
+
+  onLeftTrigger(skater, body, data) {
+    if (skater === this.player.body && data.hustler) data.hustler.setNear(false);
+  }
+
+  // The ghost only ever touches its own hazards (see Ghost)
+  onHazard(skater, body, { hazard }) {
+    if (skater === this.player.body) {
+      const outcome = hazard.touch(this.playerController);
+      if (outcome && outcome !== 'bail') this.audio.play('land');
+    } else if (this.ghost && skater === this.ghost.player.body) {
+      hazard.touch(this.ghost.controller);
+    }
+  }
+
+  // Collectible (yellow). Letters only show up in a session.
+  addCollectible(def) {
+    if (def.letter && this.mode !== 'session') return null;
+    if (this.persistent && this.roomState.collected.includes(collectibleKey(def))) return null;
+
+    const item = {
+      def,
+      rect: this.add.rectangle(def.x, def.y, 24, 24, 0xffd54f),
+      label: def.letter
+        ? this.add
+            .text(def.x, def.y, def.letter, {
+              fontSize: '18px',
+              fontFamily: 'system-ui, -apple-system, sans-serif',
+              color: '#171a21',
+              fontStyle: 'bold',
+            })
+            .setOrigin(0.5)
+        : null,
+    };
+    item.sensor = this.addSensor(def.x, def.y, 24, 24, 'pickup', 'PICKUP', { item });
+    this.collectibles.push(item);
+    return item;
+  }
+
+  removeCollectible(item) {
+    this.matter.world.remove(item.sensor);
+    item.rect.destroy();
+    if (item.label) item.label.destroy();
+    this.collectibles = this.collectibles.filter((c) => c !== item);
+  }
+
+  /** This room's saved state: { collected, opened }. */
+  get roomState() {
+    return this.save.level(this.levelKey);
+  }
+
+  // Exit: a blue area to skate into, or an action to press
+  // Exits to locked levels, or with a closed gate, are grey and don't
+  // let you through
+  addExit(def) {
+    const locked = !isLevelUnlocked(this, def.to);
+    const gated = this.persistent && !isGateOpen(def, this.roomState);
+    const width = def.width ?? 32;
+    const height = def.height ?? 32;
+    const exit = def.action
+      ? { def, locked, gated, action: def.action }
+      : { def, locked, gated, rect: this.add.rectangle(def.x, def.y, width, height) };
+    if (exit.rect) {
+      exit.sensor = this.addSensor(def.x, def.y, width, height, 'trigger', 'EXIT', { exit });
+      this.drawExit(exit);
+    }
+    this.exits.push(exit);
+    return exit;
+  }
+
+  drawExit(exit) {
+    exit.rect.setFillStyle(exit.locked || exit.gated ? 0x6b7080 : 0x4fc3f7);
+  }
+
+  /** Open the gates this room's collectibles now satisfy, for good. */
+  updateGates() {
+    for (const exit of this.exits) {
+      if (!exit.gated || !isGateOpen(exit.def, this.roomState)) continue;
+
+      exit.gated = false;
+      this.save.openPath(this.levelKey, exitName(exit.def));
+      if (exit.rect) this.drawExit(exit);
+      this.showMessage(`Path to ${getLevel(this, exit.def.to).name ?? exit.def.to} open`);
+    }
+  }
+
+  removeExit(exit) {
+    if (exit.sensor) this.matter.world.remove(exit.sensor);
+    if (exit.rect) exit.rect.destroy();
+    this.exits = this.exits.filter((e) => e !== exit);
+  }
+
+  // Checkpoint: a flag, grey until passed. Its trigger is a thin line
+  // the full height of the world, so it arms however high you pass it
+  addCheckpoint(def) {
+    const { height } = this.worldSize;
+    const checkpoint = { def, reached: false, flag: this.add.graphics().setDepth(-4) };
+    checkpoint.sensor = this.addSensor(def.x, height / 2, 2, height, 'trigger', 'CHECKPOINT', {
+      checkpoint,
+    });
+    this.drawCheckpoint(checkpoint);
+    this.checkpoints.push(checkpoint);
+    return checkpoint;
+  }
+
+  removeCheckpoint(checkpoint) {
+    this.matter.world.remove(checkpoint.sensor);
+    checkpoint.flag.destroy();
+    this.checkpoints = this.checkpoints.filter((c) => c !== checkpoint);
+  }
+
+  drawCheckpoint(checkpoint) {
+    const { x, y } = checkpoint.def;
+    const flag = checkpoint.flag.clear();
+
+    flag.lineStyle(3, 0xb0b6c2, 1);
+    flag.lineBetween(x, y - 30, x, y + 30);
+    flag.fillStyle(checkpoint.reached ? 0x81c784 : 0x6b7080, 1);
+    flag.fillTriangle(x, y - 30, x + 22, y - 22, x, y - 14);
+  }
+
+  reachCheckpoint(checkpoint) {
+    checkpoint.reached = true;
+    this.bailCycle.checkpoint = checkpoint.def;
+    this.drawCheckpoint(checkpoint);
+  }
+
+  collectItem(item) {
+    this.audio.play('pickup');
+    this.removeCollectible(item);
+    this.addScore(item.def.points ?? 10);
+    this.events.emit('collect', item.def);
+
+    if (this.persistent) {
+      this.save.collect(this.levelKey, collectibleKey(item.def));
+      this.updateGates();
+    }
+  }
+
+  updateScoreText() {
+    const best = this.save.level(this.levelKey).highScore;
+    this.scoreText.setText(
+      `Score: ${this.score}   Best: ${Math.max(best, this.score)}   $${this.save.cash}`
+    );
+  }
+
+  addScore(points) {
+    this.score += points;
+    this.updateScoreText();
+    this.events.emit('score', this.score, points);
+  }
+
+  // --- Hustle ----------------------------------------------------------
+
+  talkToHustler() {
+    const hustler = this.hustlers.find((h) => h.near);
+    if (hustler?.available) this.takeChallenge(hustler);
+  }
+
+  /** Put the stake down and start the hustler's clock. */
+  takeChallenge(hustler) {
+    const { name, stake = 0, challenge } = hustler.def;
+    if (!this.save.spend(stake)) {
+      this.showMessage(`${name} wants $${stake} up front – you have $${this.save.cash}`);
+      return;
+    }
+
+    const session = new Session(this, this.tricks, challenge);
+    const hud = createSessionHud(this, session, `${name}'s challenge`);
+    session.on('goal', () => {
+      if (session.goals.every((g) => g.done)) session.finish();
+    });
+    session.on('end', this.endChallenge, this);
+
+    this.challenge = { hustler, session, hud };
+    hustler.setBusy(true);
+    this.updateScoreText();
+  }
+
+  endChallenge({ goals }) {
+    const { hustler, session, hud } = this.challenge;
+    const { name, stake = 0, payout } = hustler.def;
+    this.challenge = null;
+    session.destroy();
+    hud.destroy();
+
+    if (goals.every((g) => g.done)) {
+      this.save.earn(payout);
+      this.save.beat(hustler.key);
+      this.audio.play('pickup');
+      this.showMessage(`${name} pays up: +$${payout}`);
+    } else {
+      this.showMessage(stake ? `${name} keeps your $${stake}` : `Too slow – ${name} wins this one`);
+    }
+
+    hustler.setBusy(false);
+    this.updateScoreText();
+  }
+
+  /**
+   * Skating into an exit. In free skate that leaves the level; in a
+   * session it only counts towards goals, the run stays on this spot.
+   */
+  reachExit(exit) {
+    if (this.session) {
+      this.events.emit('exit', exit.def);
+    } else if (exit.locked) {
+      this.showLockedMessage(exit.def.to);
+    } else if (exit.gated) {
+      const left = exit.def.gate.collect - this.roomState.collected.length;
+      this.showMessage(`Closed – collect ${left} more here to open it`);
+    } else {
+      this.leaveLevel(exit);
+    }
+  }
+
+  showLockedMessage(levelKey) {
+    const rule = getLevel(this, levelKey).unlock;
+    const from = getLevel(this, rule.level).name ?? rule.level;
+    this.showMessage(`Locked – finish ${rule.goals} session goal(s) in ${from}`);
+  }
+
+  showMessage(message) {
+    const ui = screenLayout(this);
+
+    const text = this.add
+      .text(ui.centerX, ui.line * 3, message, {
+        fontSize: '18px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        color: '#ffffff',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        padding: { x: 8, y: 4 },
+      })
+      .setOrigin(0.5)
+      .setScrollFactor(0);
+
+    this.time.delayedCall(2000, () => text.destroy());
+  }
+
+  endSession(results) {
+    const newBest = this.save.recordScore(this.levelKey, results.score);
+    const unlocked = updateUnlocks(this).map((key) => getLevel(this, key).name ?? key);
+
+    this.scene.start('ResultsScene', {
+      level: this.levelKey,
+      replay: this.recorder?.toJSON() ?? null,
+      levelName: this.level.name ?? this.levelKey,
+      newBest,
+      unlocked,
+      ...results,
+    });
+  }
+
+  /**
+   * Go through `exit` into the room it links to: the score comes along
+   * and the skater keeps its speed (see WorldGraph.travel).
+   */
+  leaveLevel(exit) {
+    if (this.leaving) return;
+    this.leaving = true;
+
+    this.save.recordScore(this.levelKey, this.score);
+
+    const controller = this.playerController;
+    const velocity = controller.bailing ? { x: 0, y: 0 } : this.player.body.velocity;
+    const { room, spawn, velocity: kept } = getWorldGraph(this).travel(this.levelKey, exit.def, velocity);
+
+    this.scene.start('LevelScene', {
+      level: room,
+      score: this.score,
+      arrival: { spawn, velocity: kept, facingLeft: kept.x === 0 ? controller.facingLeft : kept.x < 0 },
+    });
+  }
+
+  /**
+   * Runs as many fixed steps as the frame's time covers. Anything that
+   * reads input or moves a skater belongs in fixedStep(), or replays of
+   * this run drift away from it.
+   */
+  update(time, delta) {
+    this.editor?.update();
+    this.tuningPanel?.update();
+    if (this.editor?.active) {
+      // Edits and editor respawns can't be replayed
+      this.recorder = null;
+      this.rolling.update(null, 0, delta);
+      return;
+    }
+
+    // After a long hitch, drop time instead of trying to catch up
+    this.stepAccumulator = Math.min(
+      this.stepAccumulator + delta,
+      FIXED_STEP_MS * MAX_STEPS_PER_FRAME
+    );
+    while (this.stepAccumulator >= FIXED_STEP_MS) {
+      this.stepAccumulator -= FIXED_STEP_MS;
+      if (!this.fixedStep()) return;
+    }
+
+    const controller = this.playerController;
+    updateSkaterSprite(this.player, controller, this.balanceMeter);
+    if (this.ghost) this.ghost.draw();
+    for (const actor of this.hazards) actor.draw();
+
+    const { x: vx, y: vy } = this.player.body.velocity;
+    this.rolling.update(
+      controller.bailing ? null : controller.material,
+      Math.hypot(vx, vy) / controller.maxVelX,
+      delta
+    );
+
+    if (this.session) this.sessionHud.update();
+    this.challenge?.hud.update();
+    this.updateCamera();
+  }
+
+  /**
+   * One step of the world. Returns false when no more steps should run
+   * this frame: the run is over or the game was paused.
+   */
+  fixedStep() {
+    const controller = this.playerController;
+
+    this.actions.update();
+    this.recorder?.record(this.actions);
+
+    for (const exit of this.exits) {
+      if (exit.action && exit.action !== 'pause' && this.actions.justDown(exit.action)) {
+        // Action exits end a session early instead of leaving
+        if (this.session) this.session.finish();
+        else this.reachExit(exit);
+        return false;
+      }
+    }
+
+    // Pickups, exits and checkpoints fire from in here
+    this.matter.world.step(FIXED_STEP_MS);
+    if (this.leaving) return false;
+
+    controller.update();
+    this.tricks.update(controller.now, FIXED_STEP_MS);
+    if (this.ghost) this.ghost.step();
+    for (const actor of this.hazards) actor.hazard.update(controller.now, [controller]);
+
+    if (this.session) {
+      this.session.update(FIXED_STEP_MS);
+      if (this.session.finished) return false;
+    }
+
+    if (this.challenge) this.challenge.session.update(FIXED_STEP_MS);
+    else if (this.actions.justDown('talk')) this.talkToHustler();
+
+    this.bailCycle.step();
+
+    // Only after a whole step, so a replay of this run stays in step
+    if (this.actions.justDown('pause')) {
+      this.pauseGame();
+      return false;
+    }
+
+    return true;
+  }
+}
+
+// ======================================================================
+//  RESULTS SCENE – end of a session
+// ======================================================================
+
+class ResultsScene extends Phaser.Scene {
+  constructor() {
+    super('ResultsScene');
+  }
+
+  init(data) {
+    this.results = data;
+  }
+
+  create() {
+    const ui = screenLayout(this);
+    const { level, levelName, score, goals, newBest, unlocked, replay } = this.results;
+    const font = 'system-ui, -apple-system, sans-serif';
+
+    this.cameras.main.setBackgroundColor('#171a21');
+    this.registry.get('audio').playMusic('titleMusic');
+
+    this.add
+      .text(ui.centerX, ui.title, `${levelName} – Session over`, { fontSize: '32px', fontFamily: font })
+      .setOrigin(0.5);
+
+    this.add
+      .text(ui.centerX, ui.title + ui.line * 1.5, `Score: ${score}${newBest ? '  –  new best!' : ''}`, {
+        fontSize: '24px',
+        fontFamily: font,
+        color: '#ffd54f',
+      })
+      .setOrigin(0.5);
+
+    goals.forEach((goal, i) => {
+      this.add
+        .text(ui.centerX, ui.top + i * ui.line * 0.9, `${goal.done ? '✔' : '✘'}  ${goal.label}`, {
+          fontSize: '20px',
+          fontFamily: font,
+          color: goal.done ? '#81c784' : '#e57373',
+        })
+        .setOrigin(0.5);
+    });
+
+    const completed = goals.filter((g) => g.done).length;
+    this.add
+      .text(ui.centerX, ui.footer(3), `${completed} / ${goals.length} goals`, {
+        fontSize: '20px',
+        fontFamily: font,
+      })
+      .setOrigin(0.5);
+
+    if (unlocked.length) {
+      this.add
+        .text(ui.centerX, ui.footer(2), `Unlocked: ${unlocked.join(', ')}`, {
+          fontSize: '18px',
+          fontFamily: font,
+          color: '#4fc3f7',
+        })
+        .setOrigin(0.5);
+    }
+
+    this.add
+      .text(ui.centerX, ui.footer(1), 'SPACE or tap to run it again  ·  ESC for the title', {
+        fontSize: '16px',
+        fontFamily: font,
+        color: '#b0b6c2',
+      })
+      .setOrigin(0.5);
+
+    // No replay if the editor was used during the run
+    if (replay) {
+      this.add
+        .text(ui.centerX, ui.footer(0), 'The retry races this run\'s ghost  ·  D download the replay', {
+          fontSize: '14px',
+          fontFamily: font,
+          color: '#b0b6c2',
+        })
+        .setOrigin(0.5);
+
+      this.input.keyboard.on('keydown-D', () => exportReplay(replay));
+    }
+
+    const retry = () => this.scene.start('LevelScene', { level, mode: 'session', ghost: replay });
+    this.input.keyboard.once('keydown-SPACE', retry);
+    // Down, not up: a finger still on a button when the run ended lifts here
+    this.input.once('pointerdown', retry);
+    this.input.keyboard.once('keydown-ESC', () => {
+      this.scene.start('TitleScene');
+    });
+  }
+}
+
+// ======================================================================
+//  VERSUS – two skaters, one machine
+// ======================================================================
+//
+// P1 rides the keyboard as bound in the controls screen and the first
+// pad; P2 has P2_KEY_BINDINGS and the second pad. Both ride stock gear.
+//
+// Levels wider than the screen are split in two, one camera per skater;
+// narrower ones share one camera. The match is either:
+//
+//   battle   most points in VERSUS_BATTLE_SECONDS
+//   horse    copy the other's line or earn a letter (src/core/versus.js)
+// ======================================================================
+
+const VERSUS_BATTLE_SECONDS = 90;
+
+// HORSE: time for one try, setting or copying
+const HORSE_TURN_SECONDS = 20;
+
+// P2 starts this far right of the level's spawn
+const VERSUS_SPAWN_GAP = 120;
+
+// After the result, how long before ENTER / ESC do anything – so a
+// trick still being keyed in doesn't start the rematch
+const VERSUS_END_INPUT_DELAY = 1000;
+
+// Keyboard for P2, clear of the default P1 keys
+const P2_KEY_BINDINGS = {
+  left: 'A',
+  right: 'D',
+  brake: 'S',
+  jump: 'W',
+  flip: 'F',
+  shove: 'G',
+  manual: 'R',
+  grind: 'Q',
+  pause: 'P',
+  talk: 'Y',
+};
+
+const VERSUS_MATCHES = [
+  { mode: 'battle', level: 'ramp', label: 'Score battle – Ramp Room' },
+  { mode: 'horse', level: 'ramp', label: 'HORSE – Ramp Room' },
+  { mode: 'battle', level: 'street', label: 'Score battle – the street, split screen' },
+  { mode: 'horse', level: 'street', label: 'HORSE – the street, split screen' },
+];
+
+/** P2's look: P1's, in another outfit so they can be told apart. */
+function rivalLook(look) {
+  return { ...look, outfit: look.outfit === 'red' ? 'navy' : 'red' };
+}
+
+/**
+ * One skater in a versus match: sprite, body, controller, tricks and
+ * score, and its own CrashingBailCycle, like LevelScene's player.
+ */
+class Rider {
+  constructor(scene, index, spawn, look, actions) {
+    this.scene = scene;
+    this.index = index;
+    this.name = `P${index + 1}`;
+    this.look = look;
+    this.actions = actions;
+
+    this.sprite = createPlayer(scene, spawn.x, spawn.y, look);
+    scene.collisions.register(this.sprite.body, 'skater');
+
+    this.controller = new PlayerController(M, this.sprite.body, actions, {
+      seed: Phaser.Math.Between(0, 0x7fffffff),
+      tuning: scene.registry.get('tuning').values,
+    });
+    animateSkater(this.sprite, this.controller);
+    this.meter = scene.add.graphics().setDepth(50);
+
+    this.tricks = new TrickSystem(this.controller);
+    this.score = 0;
+
+    this.bailCycle = new CrashingBailCycle(scene, this.sprite, this.controller, spawn, look);
+  }
+
+  get body() {
+    return this.sprite.body;
+  }
+
+  /** What a camera should follow: the skater, or the crash while he's down. */
+  get focus() {
+    return this.bailCycle.focus;
+  }
+
+  /** One fixed step, after the world's. */
+  step() {
+    const controller = this.controller;
+
+    controller.update();
+    this.tricks.update(controller.now, FIXED_STEP_MS);
+    this.bailCycle.step();
+  }
+
+  draw() {
+    updateSkaterSprite(this.sprite, this.controller, this.meter);
+  }
+}
+
+class VersusScene extends Phaser.Scene {
+  constructor() {
+    super('VersusScene');
+  }
+
+  /**
+   * data.mode   'battle' (default) or 'horse'
+   * data.level  level key (default 'ramp')
+   */
+  init(data) {
+    this.mode = data?.mode ?? 'battle';
+    this.levelKey = data?.level ?? 'ramp';
+  }
+
+  preload() {
+    const missing = queueGroups(this, getLevel(this, this.levelKey).assets ?? []);
+    this.loadFailures = trackLoad(this);
+    this.loadFailures.push(...missing);
+  }
+
+  create() {
+    const level = getLevel(this, this.levelKey);
+    this.level = level;
+    this.save = this.registry.get('save');
+    this.worldSize = getWorldSize(this, level);
+    this.split = this.worldSize.width > this.scale.width;
+
+    this.matter.world.setBounds(0, 0, this.worldSize.width, this.worldSize.height);
+    applyWorldTuning(this, this.registry.get('tuning').values);
+
+    // --- Collisions (see LevelScene) -----------------------------------
+    this.collisions = new CollisionService();
+    this.collisions.register(Object.values(this.matter.world.walls).filter(Boolean), 'wall');
+    this.matter.world.on('collisionstart', (event) => this.collisions.collisionStart(event.pairs));
+    this.matter.world.on('collisionend', (event) => this.collisions.collisionEnd(event.pairs));
+    this.collisions.on('enteredTrigger', this.onTrigger, this);
+    this.events.once('shutdown', () => this.collisions.destroy());
+
+    createSkaterAnims(this);
+
+    // --- The spot, without its pickups, exits or fixed signs -----------
+    for (const def of level.parallax ?? []) createParallaxLayer(this, def, this.worldSize);
+    for (const def of level.art ?? []) {
+      if (!def.fixed) createArt(this, def);
+    }
+
+    for (const def of level.ground ?? []) createGround(this, def);
+    for (const def of level.obstacles ?? []) createObstacle(this, def);
+    for (const def of level.rails ?? []) createRail(this, def);
+
+    for (const def of level.checkpoints ?? []) {
+      const { height } = this.worldSize;
+      this.addSensor(def.x, height / 2, 2, height, 'trigger', 'CHECKPOINT', { checkpoint: def });
+    }
+
+    // --- Riders --------------------------------------------------------
+    const { spawn } = level;
+    const look = this.save.skater;
+    this.riders = [
+      new Rider(this, 0, spawn, look, new InputActions(this, this.save.bindings)),
+      new Rider(
+        this,
+        1,
+        { x: spawn.x + VERSUS_SPAWN_GAP, y: spawn.y },
+        rivalLook(look),
+        new InputActions(this, { keys: P2_KEY_BINDINGS }, { padIndex: 1 })
+      ),
+    ];
+    this.stepAccumulator = 0;
+
+    // --- Cameras -------------------------------------------------------
+    this.views = this.createViews();
+
+    // --- Sound ---------------------------------------------------------
+    this.audio = this.registry.get('audio');
+    this.audio.playMusic(level.music ?? null);
+
+    for (const rider of this.riders) {
+      const controller = rider.controller;
+      controller.on('kick', () => this.audio.play('kick'));
+      controller.on('jump', () => this.audio.play('ollie'));
+      controller.on('grindStart', () => this.audio.play('grind'));
+      controller.on('bail', () => this.audio.play('bail'));
+
+      rider.rolling = this.audio.createRollingSound();
+      this.events.once('shutdown', () => rider.rolling.destroy());
+    }
+    this.collisions.on('landed', (skater) => {
+      if (!this.riderOf(skater)) return;
+      this.audio.play('land', Phaser.Math.Clamp(Math.abs(skater.velocity.y) / 10, 0.3, 1));
+    });
+
+    // --- HUD -----------------------------------------------------------
+    for (const rider of this.riders) this.createRiderHud(rider);
+    this.statusText = this.hudText(this.statusAnchor(), '', '18px');
+    if (this.split) {
+      // Top edge of the bottom half
+      const divider = this.add.rectangle(0, 0, this.scale.width, 2, 0x000000);
+      this.onlyIn(divider.setOrigin(0, 0).setScrollFactor(0), 1);
+    }
+
+    // Files this match's asset groups couldn't load (see BOOT), along the
+    // bottom so they don't cover the match's own messages
+    if (this.loadFailures.length) {
+      const ui = screenLayout(this);
+      const message = `Missing assets: ${this.loadFailures.join(', ')}`;
+      const text = this.hudText({ x: ui.centerX, y: ui.footer(1), originX: 0.5 }, message, '14px', '#e57373');
+      this.time.delayedCall(4000, () => text.destroy());
+    }
+
+    // --- Match ---------------------------------------------------------
+    this.over = false;
+    this.elapsed = 0;
+    this.horse = null;
+    if (this.mode === 'horse') this.startHorse();
+    else this.startBattle();
+
+    // --- Pause (see PauseScene) ----------------------------------------
+    setPhysicsDebug(this, this.save.physicsDebug);
+    this.events.on('resume', this.onResume, this);
+    this.events.once('shutdown', () => this.events.off('resume', this.onResume, this));
+  }
+
+  riderOf(skater) {
+    return this.riders.find((rider) => rider.body === skater) ?? null;
+  }
+
+  /** A static sensor registered as `kind`; events hand back `data`. */
+  addSensor(x, y, width, height, kind, label, data) {
+    const body = sensorBody(M, x, y, width, height, label);
+    this.collisions.register(body, kind, data);
+    this.matter.world.add(body);
+    return body;
+  }
+
+  onTrigger(skater, body, data) {
+    const rider = this.riderOf(skater);
+    if (rider && data.checkpoint) rider.bailCycle.checkpoint = data.checkpoint;
+  }
+
+  // --- Cameras ---------------------------------------------------------
+
+  /**
+   * Split: the main camera on the top half for P1, a second one on the
+   * bottom half for P2. Shared: the main camera alone.
+   */
+  createViews() {
+    const { width, height } = this.scale;
+    const background = this.level.background ?? '#171a21';
+    const cameras = this.split
+      ? this.riders.map((rider, i) =>
+        (i === 0 ? this.cameras.main : this.cameras.add()).setViewport(0, (i * height) / 2, width, height / 2))
+      : [this.cameras.main];
+
+    return cameras.map((camera, i) => {
+      camera.setBackgroundColor(background);
+      camera.setBounds(0, 0, this.worldSize.width, this.worldSize.height);
+      return { camera, rider: this.split ? this.riders[i] : null, target: null, lookAhead: 0 };
+    });
+  }
+
+  /** Split screen: show `obj` only in rider `index`'s half. */
+  onlyIn(obj, index) {
+    for (const view of this.views) {
+      if (view.rider && view.rider.index !== index) view.camera.ignore(obj);
+    }
+    return obj;
+  }
+
+  updateCameras() {
+    if (!this.split) {
+      // Keep both in view; on a spot the size of the screen this stays put
+      const [a, b] = this.riders.map((rider) => rider.focus);
+      this.cameras.main.centerOn((a.x + b.x) / 2, (a.y + b.y) / 2);
+      return;
+    }
+
+    for (const view of this.views) {
+      const { camera, rider } = view;
+      if (view.target !== rider.focus) {
+        view.target = rider.focus;
+        camera.startFollow(view.target, true, CAMERA_LERP, CAMERA_LERP);
+      }
+
+      view.lookAhead = cameraLead(view.lookAhead, rider.body.velocity.x, rider.controller.maxVelX);
+      camera.setFollowOffset(-view.lookAhead, 0);
+    }
+  }
+
+  // --- HUD -------------------------------------------------------------
+
+  // Split: every half has its rider top left, the clock top right.
+  // Shared: P1 top left, P2 top right, the clock in the middle.
+  riderAnchor(rider) {
+    const ui = screenLayout(this);
+    if (this.split || rider.index === 0) return { x: ui.margin, y: ui.margin, originX: 0 };
+    return { x: ui.width - ui.margin, y: ui.margin, originX: 1 };
+  }
+
+  statusAnchor() {
+    const ui = screenLayout(this);
+    return this.split
+      ? { x: ui.width - ui.margin, y: ui.margin, originX: 1 }
+      : { x: ui.centerX, y: ui.margin, originX: 0.5 };
+  }
+
+  hudText({ x, y, originX }, text, fontSize, color = '#ffffff') {
+    return this.add
+      .text(x, y, text, {
+        fontSize,
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        color,
+        align: originX === 1 ? 'right' : originX === 0 ? 'left' : 'center',
+      })
+      .setOrigin(originX, 0)
+      .setScrollFactor(0);
+  }
+
+  createRiderHud(rider) {
+    const anchor = this.riderAnchor(rider);
+    rider.scoreText = this.onlyIn(this.hudText(anchor, '', '20px'), rider.index);
+    rider.comboText = this.onlyIn(
+      createComboText(this, rider.tricks, anchor.x, anchor.y + screenLayout(this).line * 0.7).setOrigin(anchor.originX, 0),
+      rider.index
+    );
+  }
+
+  updateRiderHud(rider) {
+    if (!this.horse) {
+      rider.scoreText.setText(`${rider.name}  ${rider.score}`);
+      return;
+    }
+
+    const letters = [...this.horse.word]
+      .map((letter, i) => (i < this.horse.letters[rider.index] ? letter : '_'))
+      .join(' ');
+    const turn = this.horse.turn === rider.index && !this.over;
+    rider.scoreText.setText(`${rider.name}  ${letters}`).setColor(turn ? '#ffd54f' : '#ffffff');
+  }
+
+  updateStatus() {
+    const clock = (ms) => {
+      const seconds = Math.ceil(Math.max(0, ms) / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    if (!this.horse) {
+      const left = VERSUS_BATTLE_SECONDS * 1000 - this.elapsed;
+      this.statusText.setText(clock(left)).setColor(left <= 10000 ? '#e57373' : '#ffffff');
+      return;
+    }
+
+    const { name } = this.riders[this.horse.turn];
+    const task = this.horse.line ? `copy ${lineName(this.horse.line)}` : 'set a line';
+    this.statusText.setText(`${name}: ${task}  ${clock(HORSE_TURN_SECONDS * 1000 - this.turnElapsed)}`);
+  }
+
+  flash(message) {
+    const ui = screenLayout(this);
+    const y = this.split ? ui.line * 1.5 : ui.line * 3;
+    const text = this.hudText({ x: ui.centerX, y, originX: 0.5 }, message, '18px')
+      .setBackgroundColor('rgba(0, 0, 0, 0.6)')
+      .setPadding(8, 4);
+
+    this.time.delayedCall(2000, () => text.destroy());
+  }
+
+  // --- Match -----------------------------------------------------------
+
+  startBattle() {
+    for (const rider of this.riders) {
+      rider.tricks.on('comboLanded', (points) => {
+        rider.score += points;
+        this.updateRiderHud(rider);
+      });
+      this.updateRiderHud(rider);
+    }
+  }
+
+  /** Only the skater whose turn it is counts; a bail is a miss. */
+  startHorse() {
+    const horse = new HorseGame();
+    this.horse = horse;
+    this.turnElapsed = 0;
+
+    for (const rider of this.riders) {
+      rider.tricks.on('comboLanded', (points, combo) => {
+        if (horse.turn === rider.index) horse.landed(combo.tricks.map((t) => t.id));
+      });
+      rider.controller.on('bail', () => {
+        if (horse.turn === rider.index) horse.missed();
+      });
+    }
+
+    const nameOf = (player) => this.riders[player].name;
+    horse.on('set', (player, line) => this.flash(`${nameOf(player)} set ${lineName(line)}`));
+    horse.on('copied', (player) => this.flash(`${nameOf(player)} copied it`));
+    horse.on('letter', (player, letters) => this.flash(`${nameOf(player)} gets an ${letters.at(-1)}`));
+    horse.on('turn', () => {
+      this.turnElapsed = 0;
+      for (const rider of this.riders) this.updateRiderHud(rider);
+    });
+    horse.on('end', (winner) => this.endMatch(this.riders[winner]));
+
+    for (const rider of this.riders) this.updateRiderHud(rider);
+    this.flash(`${nameOf(horse.turn)} sets first`);
+  }
+
+  updateMatch(delta) {
+    this.elapsed += delta;
+
+    if (this.horse) {
+      // A line still rolling when the time is up gets to finish
+      this.turnElapsed += delta;
+      const rider = this.riders[this.horse.turn];
+      if (this.turnElapsed >= HORSE_TURN_SECONDS * 1000 && !rider.tricks.combo && !rider.controller.bailing) {
+        this.flash(`Time – ${rider.name} ${this.horse.line ? 'missed it' : 'passes'}`);
+        this.horse.missed();
+      }
+      return;
+    }
+
+    if (this.elapsed < VERSUS_BATTLE_SECONDS * 1000) return;
+
+    // Combos still rolling at the buzzer count, like in a session
+    for (const rider of this.riders) {
+      if (rider.tricks.combo && !rider.controller.bailing) rider.tricks.bankCombo();
+    }
+    const [a, b] = this.riders;
+    this.endMatch(a.score === b.score ? null : a.score > b.score ? a : b);
+  }
+
+  /** `winner` is a Rider, or null for a draw. The world stops there. */
+  endMatch(winner) {
+    this.over = true;
+    for (const rider of this.riders) this.updateRiderHud(rider);
+
+    const ui = screenLayout(this);
+    const middle = this.split ? ui.height / 4 : ui.centerY;
+    const result = winner ? `${winner.name} wins!` : 'Draw!';
+    this.statusText.setText(result).setColor('#ffd54f');
+    this.hudText({ x: ui.centerX, y: middle - ui.line * 1.25, originX: 0.5 }, result, '40px', '#ffd54f');
+    this.hudText({ x: ui.centerX, y: middle + ui.line * 0.1, originX: 0.5 }, 'ENTER rematch  ·  ESC other matches', '16px', '#b0b6c2');
+
+    const rematch = () => this.scene.restart();
+    const back = () => this.scene.start('VersusMenuScene');
+    this.time.delayedCall(VERSUS_END_INPUT_DELAY, () => {
+      this.input.keyboard.once('keydown-ENTER', rematch);
+      this.input.keyboard.once('keydown-ESC', back);
+      this.input.gamepad?.on('down', (pad, button) => {
+        const command = MENU_PAD_COMMANDS[button.index];
+        if (command === 'select') rematch();
+        else if (command === 'back') back();
+      });
+    });
+  }
+
+  // --- Pause -----------------------------------------------------------
+
+  pauseGame() {
+    this.scene.pause();
+    this.scene.launch('PauseScene', { from: this.scene.key });
+  }
+
+  onResume() {
+    this.input.keyboard.resetKeys();
+    this.riders[0].actions.setBindings(this.save.bindings);
+    this.riders[1].actions.setBindings({ keys: P2_KEY_BINDINGS });
+  }
+
+  /** PauseScene: a setting changed. */
+  applySettings() {
+    setPhysicsDebug(this, this.save.physicsDebug);
+  }
+
+  // --- Loop ------------------------------------------------------------
+
+  /** Fixed steps like LevelScene.update(), for both skaters. */
+  update(time, delta) {
+    if (this.over) {
+      for (const rider of this.riders) rider.rolling.update(null, 0, delta);
+      return;
+    }
+
+    this.stepAccumulator = Math.min(
+      this.stepAccumulator + delta,
+      FIXED_STEP_MS * MAX_STEPS_PER_FRAME
+    );
+    while (this.stepAccumulator >= FIXED_STEP_MS) {
+      this.stepAccumulator -= FIXED_STEP_MS;
+      if (!this.fixedStep()) return;
+    }
+
+    for (const rider of this.riders) {
+      const controller = rider.controller;
+      const { x: vx, y: vy } = rider.body.velocity;
+
+      rider.draw();
+      rider.rolling.update(
+        controller.bailing ? null : controller.material,
+        Math.hypot(vx, vy) / controller.maxVelX,
+        delta
+      );
+    }
+
+    this.updateStatus();
+    this.updateCameras();
+  }
+
+  fixedStep() {
+    for (const rider of this.riders) rider.actions.update();
+
+    this.matter.world.step(FIXED_STEP_MS);
+
+    for (const rider of this.riders) rider.step();
+    this.updateMatch(FIXED_STEP_MS);
+    if (this.over) return false;
+
+    if (this.riders.some((rider) => rider.actions.justDown('pause'))) {
+      this.pauseGame();
+      return false;
+    }
+
+    return true;
+  }
+}
+
+class VersusMenuScene extends Phaser.Scene {
+  constructor() {
+    super('VersusMenuScene');
+  }
+
+  create() {
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
+
+    this.selected = 0;
+    this.cameras.main.setBackgroundColor('#171a21');
+
+    this.add
+      .text(ui.centerX, ui.title, 'Versus', { fontSize: '32px', fontFamily: font })
+      .setOrigin(0.5);
 
-  // Foot sensor slightly below wheels
-  const footSensor = Bodies.rectangle(
-    0,
-    offsetY + BODY_HEIGHT / 2 + 5,
-    BODY_WIDTH * 0.6,
-    6,
-    {
-      isSensor: true,
-      label: 'FOOT_SENSOR'
-    }
-  );
+    this.rows = VERSUS_MATCHES.map((match, i) =>
+      this.add
+        .text(ui.centerX, ui.top + i * ui.line, match.label, { fontSize: '20px', fontFamily: font })
+        .setOrigin(0.5)
+    );
 
-  const compound = M.Body.create({
-    parts: [mainBody, footSensor],
-    friction: 0,
-    frictionStatic: 0,
-    frictionAir: 0.02,
-    restitution: 0,
-    label: 'PLAYER',
-  });
+    const p2 = P2_KEY_BINDINGS;
+    this.add
+      .text(
+        ui.centerX,
+        ui.footer(2),
+        [
+          'P1: your controls (K on the title screen) or the first pad',
+          `P2: the second pad, or ${p2.jump} ${p2.left} ${p2.brake} ${p2.right}  ·  ` +
+            `${p2.flip} flip  ·  ${p2.shove} shove  ·  ${p2.manual} manual  ·  ${p2.grind} grind  ·  ${p2.pause} pause`,
+        ],
+        { fontSize: '15px', fontFamily: font, color: '#b0b6c2', align: 'center' }
+      )
+      .setOrigin(0.5);
+
+    this.add
+      .text(ui.centerX, ui.footer(), 'UP / DOWN choose  ·  ENTER play  ·  ESC back', {
+        fontSize: '16px',
+        fontFamily: font,
+        color: '#b0b6c2',
+      })
+      .setOrigin(0.5);
 
-  sprite
-    .setExistingBody(compound)
-    .setFixedRotation()
-    .setPosition(x, y);
+    this.input.keyboard.on('keydown', (event) => this.onKey(event));
+    this.input.gamepad?.on('down', (pad, button) => {
+      const command = MENU_PAD_COMMANDS[button.index];
+      if (command) this.onCommand(command);
+    });
 
-  sprite.onGroundContacts = 0;
+    this.redraw();
+  }
 
-  return sprite;
-}
+  onKey(event) {
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+    const commands = {
+      [KeyCodes.UP]: 'up',
+      [KeyCodes.DOWN]: 'down',
+      [KeyCodes.ENTER]: 'select',
+      [KeyCodes.SPACE]: 'select',
+      [KeyCodes.ESC]: 'back',
+    };
+
+    const command = commands[event.keyCode];
+    if (command) this.onCommand(command);
+  }
 
-/**
- * Create a static ground polygon from a list of points
- * given in ABSOLUTE world coordinates.
- *
- * Works for flat and curved ground.
- */
-function createSplineGround(scene, points) {
-  // Compute a simple centroid for positioning
-  let sumX = 0;
-  let sumY = 0;
-  for (const p of points) {
-    sumX += p.x;
-    sumY += p.y;
-  }
-  const cx = sumX / points.length;
-  const cy = sumY / points.length;
-
-  // Convert absolute points to local coords around centroid
-  const localVerts = points.map((p) => ({
-    x: p.x - cx,
-    y: p.y - cy,
-  }));
-
-  const body = scene.matter.add.fromVertices(
-    cx,
-    cy,
-    [localVerts], // IMPORTANT: wrap in [ ... ]
-    {
-      isStatic: true,
-      friction: 0.001,
-      restitution: 0,
-      label: 'GROUND',
-    },
-    true
-  );
+  onCommand(command) {
+    switch (command) {
+      case 'up':
+        this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.rows.length);
+        this.redraw();
+        break;
+      case 'down':
+        this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.rows.length);
+        this.redraw();
+        break;
+      case 'select': {
+        const { mode, level } = VERSUS_MATCHES[this.selected];
+        this.scene.start('VersusScene', { mode, level });
+        break;
+      }
+      case 'back':
+        this.scene.start('TitleScene');
+        break;
+    }
+  }
 
-  return body;
+  redraw() {
+    this.rows.forEach((row, i) => row.setColor(i === this.selected ? '#ffd54f' : '#ffffff'));
+  }
 }
 
+// ======================================================================
+//  PAUSE SCENE – menu over a paused gameplay scene
+// ======================================================================
+
+// Settings: how much LEFT / RIGHT moves a volume
+const VOLUME_STEP = 0.1;
+
+// Standard-mapping pad buttons the menu answers to
+const MENU_PAD_COMMANDS = {
+  0: 'select', // A
+  1: 'back',   // B
+  9: 'back',   // Start
+  12: 'up',
+  13: 'down',
+  14: 'left',
+  15: 'right',
+};
+
 /**
- * Create many small static ramp edges that perfectly follow
- * your ramp spline. No centroid issues — this is the cleanest solution.
+ * Launched over a gameplay scene, which it freezes – scene, Matter world
+ * and sound – until Resume. The paused scene may offer:
+ *
+ *   pauseMenuItems()  extra { label, select, disabled } entries; they
+ *                     all leave the scene, so the menu closes after
+ *   applySettings()   called when a volume or the debug toggle changes
+ *
+ * Restart starts the scene again with the data it was started with.
  */
-function createRampEdges(scene, points) {
+class PauseScene extends Phaser.Scene {
+  constructor() {
+    super('PauseScene');
+  }
+
+  /**
+   * data.from  key of the gameplay scene to pause
+   * data.page  'main' (default) or 'settings'
+   */
+  init(data) {
+    this.from = data.from;
+    this.page = data.page ?? 'main';
+  }
+
+  create() {
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
+
+    this.target = this.scene.get(this.from);
+    this.save = this.registry.get('save');
+    this.audio = this.registry.get('audio');
+
+    this.target.scene.pause();
+    this.target.matter?.world.pause();
+    this.audio.pause();
+
+    this.add.rectangle(0, 0, ui.width, ui.height, 0x000000, 0.6).setOrigin(0, 0);
+    this.title = this.add
+      .text(ui.centerX, ui.title + ui.line * 2, '', { fontSize: '32px', fontFamily: font })
+      .setOrigin(0.5);
+    this.add
+      .text(ui.centerX, ui.footer(), 'UP / DOWN choose  ·  ENTER select  ·  LEFT / RIGHT adjust  ·  ESC back', {
+        fontSize: '14px',
+        fontFamily: font,
+        color: '#b0b6c2',
+      })
+      .setOrigin(0.5);
+
+    this.rows = [];
+    this.input.keyboard.on('keydown', (event) => this.onKey(event));
+    this.input.gamepad?.on('down', (pad, button) => {
+      const command = MENU_PAD_COMMANDS[button.index];
+      if (command) this.onCommand(command);
+    });
 
-  for (let i = 0; i < points.length - 1; i++) {
-    const p1 = points[i];
-    const p2 = points[i + 1];
+    // The fullscreen setting shows what the browser did
+    const redraw = () => this.redraw();
+    this.scale.on('enterfullscreen', redraw);
+    this.scale.on('leavefullscreen', redraw);
+    this.events.once('shutdown', () => {
+      this.scale.off('enterfullscreen', redraw);
+      this.scale.off('leavefullscreen', redraw);
+    });
 
-    // Midpoint of the segment
-    const midX = (p1.x + p2.x) / 2;
-    const midY = (p1.y + p2.y) / 2;
+    this.showPage(this.page);
+  }
 
-    // Segment length
-    const length = Phaser.Math.Distance.Between(p1.x, p1.y, p2.x, p2.y);
+  // --- Pages -----------------------------------------------------------
+
+  mainItems() {
+    return [
+      { label: 'Resume', select: () => this.resume() },
+      { label: 'Restart level', select: () => this.leave(() => this.restartTarget()) },
+      ...(this.target.pauseMenuItems?.() ?? []).map((item) => ({
+        ...item,
+        select: () => this.leave(item.select),
+      })),
+      { label: 'Map', select: () => this.openMap() },
+      { label: 'Settings', select: () => this.showPage('settings') },
+      { label: 'Quit to title', select: () => this.leave(() => this.target.scene.start('TitleScene')) },
+    ];
+  }
 
-    // Segment angle
-    const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+  settingsItems() {
+    const save = this.save;
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const toggleDebug = () => this.changeSettings(() => (save.physicsDebug = !save.physicsDebug));
 
-    // Create a thin static rectangle to represent this segment
-    scene.matter.add.rectangle(
-      midX,
-      midY,
-      length,
-      6, // ground thickness — small so the skater sits ON the line
+    return [
       {
-        isStatic: true,
-        angle: angle,
-        label: 'GROUND'
-      }
-    );
+        label: () => `Music volume   ${percent(save.musicVolume)}`,
+        adjust: (dir) => this.changeSettings(() => (save.musicVolume += dir * VOLUME_STEP)),
+      },
+      {
+        label: () => `SFX volume   ${percent(save.sfxVolume)}`,
+        adjust: (dir) => this.changeSettings(() => (save.sfxVolume += dir * VOLUME_STEP)),
+      },
+      {
+        label: () => `Physics debug   ${save.physicsDebug ? 'ON' : 'OFF'}`,
+        select: toggleDebug,
+        adjust: toggleDebug,
+      },
+      ...(canFullscreen(this)
+        ? [
+          {
+            label: () => `Fullscreen   ${this.scale.isFullscreen ? 'ON' : 'OFF'}`,
+            select: () => toggleFullscreen(this),
+            adjust: () => toggleFullscreen(this),
+          },
+        ]
+        : []),
+      {
+        label: 'Controls',
+        select: () =>
+          this.scene.start('ControlsScene', {
+            returnTo: 'PauseScene',
+            returnData: { from: this.from, page: 'settings' },
+          }),
+      },
+      { label: 'Back', select: () => this.showPage('main') },
+    ];
   }
-}
 
+  showPage(page) {
+    const ui = screenLayout(this);
 
-// ======================================================================
-//  PLAYER CONTROLLER (Matter-based)
-// ======================================================================
+    this.page = page;
+    this.items = page === 'settings' ? this.settingsItems() : this.mainItems();
+    this.selected = 0;
 
-class PlayerController {
-  constructor(scene, player, cursors, opts = {}) {
-    this.scene = scene;
-    this.player = player;
-    this.cursors = cursors;
+    for (const row of this.rows) row.destroy();
+    this.rows = this.items.map((item, i) => {
+      const row = this.add
+        .text(ui.centerX, ui.top + ui.line * 1.75 + i * ui.line, '', {
+          fontSize: '22px',
+          fontFamily: 'system-ui, -apple-system, sans-serif',
+        })
+        .setOrigin(0.5);
+      return onTap(row, (pointer) => this.onTapRow(i, pointer.x < ui.centerX ? 'left' : 'right'));
+    });
 
-    this.jumpSpeed = opts.jumpSpeed ?? -10;
-    this.moveAccel = opts.moveAccel ?? 0.12;
-    this.idleThreshold = opts.idleThreshold ?? 0.25;
+    this.title.setText(page === 'settings' ? 'Settings' : 'Paused');
+    this.redraw();
+  }
 
-    this.maxVelX = opts.maxVelX ?? 9;
-    this.maxVelY = opts.maxVelY ?? 30;
+  redraw() {
+    this.items.forEach((item, i) => {
+      const label = typeof item.label === 'function' ? item.label() : item.label;
+      const color = item.disabled ? '#6b7080' : i === this.selected ? '#ffd54f' : '#ffffff';
+      this.rows[i].setText(label).setColor(color);
+    });
+  }
 
-    this.isKicking = false;
-    this.isBraking = false;
+  // --- Input -----------------------------------------------------------
+
+  onKey(event) {
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+    const commands = {
+      [KeyCodes.UP]: 'up',
+      [KeyCodes.DOWN]: 'down',
+      [KeyCodes.LEFT]: 'left',
+      [KeyCodes.RIGHT]: 'right',
+      [KeyCodes.ENTER]: 'select',
+      [KeyCodes.SPACE]: 'select',
+      [KeyCodes.ESC]: 'back',
+    };
+
+    const command = commands[event.keyCode];
+    if (command) this.onCommand(command);
   }
 
-  get onGround() {
-    return this.player.onGroundContacts > 0;
+  /** A tapped row selects, or adjusts the way of the half it was tapped on. */
+  onTapRow(i, side) {
+    this.selected = i;
+    this.onCommand(this.items[i].select ? 'select' : side);
   }
 
-  update() {
-    const player = this.player;
-    const body = player.body;
-    if (!player || !body) return;
-
-    const vel = body.velocity;
-    const still = Math.abs(vel.x) < this.idleThreshold;
-
-    const left = this.cursors.left.isDown;
-    const right = this.cursors.right.isDown;
-    const down = this.cursors.down.isDown;
-    const jumpPressed = Phaser.Input.Keyboard.JustDown(this.cursors.up);
-
-    // Kick from standstill
-    if (!this.isKicking && this.onGround && still && (left || right)) {
-      this.isKicking = true;
-      player.anims.stop();
-      player.setTexture('player3');
-      player.setVelocityX(right ? 5 : -5);
-
-      this.scene.time.delayedCall(450, () => {
-        this.isKicking = false;
-      });
+  onCommand(command) {
+    const item = this.items[this.selected];
+
+    switch (command) {
+      case 'up':
+        this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.items.length);
+        break;
+      case 'down':
+        this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.items.length);
+        break;
+      case 'left':
+      case 'right':
+        item.adjust?.(command === 'left' ? -1 : 1);
+        break;
+      case 'select':
+        if (!item.disabled) item.select?.();
+        return;
+      case 'back':
+        if (this.page === 'settings') this.showPage('main');
+        else this.resume();
+        return;
     }
+    this.redraw();
+  }
 
-    // Braking – damp velocity
-    if (this.onGround && down) {
-      this.isBraking = true;
-      player.setVelocityX(vel.x * 0.75);
-    } else {
-      this.isBraking = false;
-    }
-
-    // Horizontal motion
-    let targetVX = vel.x;
-    if (!down) {
-      if (left) {
-        targetVX -= this.moveAccel;
-        player.flipX = true;
-      } else if (right) {
-        targetVX += this.moveAccel;
-        player.flipX = false;
-      } else {
-        targetVX *= 0.96; // natural drift
-      }
-    }
+  // --- Actions ---------------------------------------------------------
 
-    targetVX = Phaser.Math.Clamp(targetVX, -this.maxVelX, this.maxVelX);
-    player.setVelocityX(targetVX);
+  openMap() {
+    this.scene.start('MapScene', {
+      current: this.target.levelKey ?? null,
+      returnTo: 'PauseScene',
+      returnData: { from: this.from },
+    });
+  }
 
-    // Clamp vertical speed to avoid craziness
-    if (vel.y > this.maxVelY) {
-      player.setVelocityY(this.maxVelY);
-    }
+  changeSettings(change) {
+    change();
+    this.audio.applySettings();
+    this.target.applySettings?.();
+    this.redraw();
+  }
 
-    // Jump
-    if (this.onGround && jumpPressed) {
-      player.setVelocityY(this.jumpSpeed);
-    }
+  resume() {
+    this.audio.resume();
+    this.target.matter?.world.resume();
+    this.target.scene.resume();
+    this.scene.stop();
+  }
 
-    // Animations
-    const standing = Math.abs(player.body.velocity.x) < this.idleThreshold;
+  /**
+   * Run something that ends the paused scene, and close the menu. Sound
+   * comes back once that scene is gone, so its loops don't blip.
+   */
+  leave(action) {
+    this.target.events.once('shutdown', () => this.audio.resume());
+    action();
+    this.scene.stop();
+  }
 
-    if (!this.onGround) {
-      player.anims.stop();
-      player.setTexture('player4'); // air frame
-    } else if (this.isBraking) {
-      player.anims.stop();
-      player.setTexture('player5');
-    } else if (this.isKicking) {
-      player.anims.stop();
-      player.setTexture('player3');
-    } else if (standing) {
-      player.anims.play('idle', true);
-    } else {
-      player.anims.stop();
-      player.setTexture('player1');
-    }
+  restartTarget() {
+    this.target.scene.restart(this.target.sys.settings.data);
   }
 }
 
 // ======================================================================
-//  TITLE SCENE
+//  MAP SCENE – the rooms found so far
 // ======================================================================
 
-class TitleScene extends Phaser.Scene {
+// One map cell (see "map" in a level) and the room box drawn in it
+const MAP_CELL_WIDTH = 200;
+const MAP_CELL_HEIGHT = 120;
+const MAP_ROOM_WIDTH = 150;
+const MAP_ROOM_HEIGHT = 64;
+
+/**
+ * Discovered rooms, the links between them and how much is collected in
+ * each. Rooms a discovered room leads to show up as "?".
+ */
+class MapScene extends Phaser.Scene {
   constructor() {
-    super('TitleScene');
+    super('MapScene');
   }
 
-  preload() {
-    // Player frames
-    this.load.image('player1', 'assets/player1.png');
-    this.load.image('player2', 'assets/player2.png');
-    this.load.image('player3', 'assets/player3.png');
-    this.load.image('player4', 'assets/player4.png');
-    this.load.image('player5', 'assets/player5.png');
-
-    // Music
-    this.load.audio('mainMusic', 'assets/title.mp3');
-    this.load.audio('rampMusic', 'assets/ramp.mp3');
-
-    // Grapics
-    this.load.image('ramp_left', 'assets/ramp_left.png');
-    this.load.image('ramp_right', 'assets/ramp_right.png');
-    this.load.image('titleBg', 'assets/background1.png');
-    this.load.image('gameBg', 'assets/background.png');
-
+  /**
+   * data.current     room the skater is in, highlighted
+   * data.returnTo    scene to go back to (default TitleScene)
+   * data.returnData  ... and what to start it with
+   */
+  init(data) {
+    this.current = data?.current ?? null;
+    this.returnTo = data?.returnTo ?? 'TitleScene';
+    this.returnData = data?.returnData;
   }
 
   create() {
     const { width, height } = this.scale;
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
+    const save = this.registry.get('save');
+    const world = getWorldGraph(this);
 
-this.add.image(width / 2, height / 2, 'titleBg')
-  .setOrigin(0.5)
-  .setDisplaySize(width, height);
+    this.cameras.main.setBackgroundColor('#171a21');
+    this.add.text(ui.centerX, ui.title, 'Map', { fontSize: '32px', fontFamily: font }).setOrigin(0.5);
+    const hint = this.add
+      .text(ui.centerX, ui.footer(), 'ESC back', { fontSize: '16px', fontFamily: font, color: '#b0b6c2' })
+      .setOrigin(0.5);
 
-    /*const { width, height } = this.scale;
+    const back = () => this.scene.start(this.returnTo, this.returnData);
+    onTap(hint, back);
+    this.input.keyboard.once('keydown-ESC', back);
+    this.input.keyboard.once('keydown-M', back);
+    this.input.gamepad?.on('down', (pad, button) => {
+      if (MENU_PAD_COMMANDS[button.index] === 'back') back();
+    });
 
-    this.add
-      .text(width / 2, height / 2 - 40, 'Skate Hustle', {
-        fontSize: '48px',
-        fontFamily: 'system-ui, -apple-system, sans-serif',
-      })
-      .setOrigin(0.5);
+    const found = [...world.rooms.keys()].filter((key) => save.isDiscovered(key));
+    if (!found.length) {
+      this.add
+        .text(width / 2, height / 2, 'Nothing found yet – go skate', { fontSize: '20px', fontFamily: font })
+        .setOrigin(0.5);
+      return;
+    }
 
-    this.add
-      .text(width / 2, height / 2 + 20, 'Press SPACE to start', {
-        fontSize: '20px',
-        fontFamily: 'system-ui, -apple-system, sans-serif',
-      })
-      .setOrigin(0.5);
+    const shown = new Set(found);
+    for (const key of found) for (const next of world.neighbours(key)) shown.add(next);
 
-    this.add
-      .text(
-        width / 2,
-        height / 2 + 60,
-        'Arrows to move & jump, DOWN to brake',
-        {
-          fontSize: '16px',
-          fontFamily: 'system-ui, -apple-system, sans-serif',
-        }
-      )
-      .setOrigin(0.5);
-    */
-    this.input.keyboard.once('keydown-SPACE', () => {
-      this.scene.start('GameScene');
-    });
+    // Centre the used cells on the screen
+    const cells = [...shown].map((key) => world.room(key).map);
+    const midX = (Math.min(...cells.map((c) => c.x)) + Math.max(...cells.map((c) => c.x))) / 2;
+    const midY = (Math.min(...cells.map((c) => c.y)) + Math.max(...cells.map((c) => c.y))) / 2;
+    const centre = (key) => {
+      const { x, y } = world.room(key).map;
+      return { x: width / 2 + (x - midX) * MAP_CELL_WIDTH, y: height / 2 + (y - midY) * MAP_CELL_HEIGHT };
+    };
+
+    // Links, once per pair; grey into locked rooms
+    const gfx = this.add.graphics();
+    const drawn = new Set();
+    for (const key of found) {
+      for (const exit of world.room(key).exits) {
+        const pair = [key, exit.to].sort().join('|');
+        if (drawn.has(pair)) continue;
+        drawn.add(pair);
+
+        const a = centre(key);
+        const b = centre(exit.to);
+        gfx.lineStyle(4, isLevelUnlocked(this, exit.to) ? 0x4fc3f7 : 0x6b7080, 1);
+        gfx.lineBetween(a.x, a.y, b.x, b.y);
+      }
+    }
+
+    for (const key of shown) {
+      const { x, y } = centre(key);
+      const known = save.isDiscovered(key);
+      const here = key === this.current;
+
+      gfx.fillStyle(known ? 0x30343f : 0x202329, 1);
+      gfx.fillRect(x - MAP_ROOM_WIDTH / 2, y - MAP_ROOM_HEIGHT / 2, MAP_ROOM_WIDTH, MAP_ROOM_HEIGHT);
+      gfx.lineStyle(here ? 3 : 2, here ? 0xffd54f : 0xb0b6c2, 1);
+      gfx.strokeRect(x - MAP_ROOM_WIDTH / 2, y - MAP_ROOM_HEIGHT / 2, MAP_ROOM_WIDTH, MAP_ROOM_HEIGHT);
+
+      if (!known) {
+        this.add.text(x, y, '?', { fontSize: '24px', fontFamily: font, color: '#6b7080' }).setOrigin(0.5);
+        continue;
+      }
+
+      this.add
+        .text(x, y - 10, world.room(key).name, { fontSize: '18px', fontFamily: font })
+        .setOrigin(0.5);
+
+      // Letters are session-only, free skate never collects them
+      const total = (getLevel(this, key).collectibles ?? []).filter((c) => !c.letter).length;
+      if (total) {
+        const collected = save.level(key).collected.length;
+        this.add
+          .text(x, y + 14, `${collected} / ${total} collected`, {
+            fontSize: '13px',
+            fontFamily: font,
+            color: collected >= total ? '#81c784' : '#b0b6c2',
+          })
+          .setOrigin(0.5);
+      }
+    }
   }
 }
 
 // ======================================================================
-//  GAME SCENE – FLAT GROUND
+//  SHOP SCENE – spending hustle cash on boards and wheels
 // ======================================================================
 
-class GameScene extends Phaser.Scene {
+// How each gear stat reads in the shop: name and what one unit is worth
+const GEAR_STAT_LABELS = {
+  maxVelX: { name: 'speed', scale: 1 },
+  moveAccel: { name: 'push', scale: 100 },
+  jumpSpeed: { name: 'pop', scale: -1 }, // negative is up
+};
+
+/** "+1 speed  -0.5 pop" for an item's stats. */
+function describeGearStats(stats) {
+  const parts = GEAR_STATS.filter((stat) => stats[stat]).map((stat) => {
+    const { name, scale } = GEAR_STAT_LABELS[stat];
+    const value = Math.round(stats[stat] * scale * 10) / 10;
+    return `${value > 0 ? '+' : ''}${value} ${name}`;
+  });
+  return parts.join('  ') || 'stock';
+}
+
+/**
+ * Every board and set of wheels with its price. ENTER buys the selected
+ * one if it isn't owned yet, and rides it.
+ */
+class ShopScene extends Phaser.Scene {
   constructor() {
-    super('GameScene');
+    super('ShopScene');
+  }
+
+  /**
+   * data.returnTo    scene to go back to (default TitleScene)
+   * data.returnData  ... and what to start it with
+   */
+  init(data) {
+    this.returnTo = data?.returnTo ?? 'TitleScene';
+    this.returnData = data?.returnData;
   }
 
   create() {
-    const { width, height } = this.scale;
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
+
+    this.save = this.registry.get('save');
+    this.selected = 0;
 
     this.cameras.main.setBackgroundColor('#171a21');
-    this.matter.world.setBounds(0, 0, width, height);
-
-    // Idle animation (global)
-    if (!this.anims.exists('idle')) {
-      this.anims.create({
-        key: 'idle',
-        frames: [{ key: 'player1' }, { key: 'player2' }],
-        frameRate: 2,
-        repeat: -1,
-      });
-    }
 
-// --- Ground: explicit wheel line + physics + visuals --------------
+    this.add
+      .text(ui.centerX, ui.title, 'Skate Shop', { fontSize: '32px', fontFamily: font })
+      .setOrigin(0.5);
+    this.cashText = this.add
+      .text(ui.centerX, ui.title + ui.line, '', { fontSize: '18px', fontFamily: font, color: '#ffd54f' })
+      .setOrigin(0.5);
 
-// Where should the wheels touch the ground visually?
-const WHEEL_LINE_Y = height - 120;      // tweak this up/down to taste
+    // One heading per slot, its items under it
+    this.rows = [];
+    let y = ui.top - ui.line / 4;
+    for (const slot of GEAR_SLOTS) {
+      this.add.text(ui.col(0.125), y, slot === 'board' ? 'Boards' : 'Wheels', {
+        fontSize: '16px',
+        fontFamily: font,
+        color: '#b0b6c2',
+      });
+      y += ui.line * 0.7;
+
+      for (const [id, item] of Object.entries(GEAR[slot])) {
+        this.rows.push({
+          slot,
+          id,
+          name: this.add.text(ui.col(0.15), y, item.name, { fontSize: '18px', fontFamily: font }),
+          stats: this.add.text(ui.col(0.45), y, describeGearStats(item.stats), {
+            fontSize: '16px',
+            fontFamily: font,
+            color: '#b0b6c2',
+          }),
+          status: this.add.text(ui.col(0.875), y, '', { fontSize: '18px', fontFamily: font }).setOrigin(1, 0),
+        });
+        y += ui.line * 0.75;
+      }
+      y += ui.line * 0.3;
+    }
 
-// --- Background image ---------------------------------------------
+    this.hint = this.add
+      .text(ui.centerX, ui.footer(), '', { fontSize: '16px', fontFamily: font, color: '#b0b6c2' })
+      .setOrigin(0.5);
 
-this.add.image(
-  width / 2,
-  WHEEL_LINE_Y,
-  'gameBg'
-)
-.setOrigin(0.5, 1)   // center horizontally, bottom-aligned
-.setDepth(-20);
+    this.input.keyboard.on('keydown', (event) => this.onKey(event));
+    this.input.gamepad?.on('down', (pad, button) => {
+      const command = MENU_PAD_COMMANDS[button.index];
+      if (command) this.onCommand(command);
+    });
 
-// How thick is the invisible physics slab under the wheels?
-const GROUND_THICKNESS = 40;
+    this.redraw();
+  }
 
-// Physics body is centered below the wheel line
-const groundBodyY = WHEEL_LINE_Y + GROUND_THICKNESS / 2;
+  onKey(event) {
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+    const commands = {
+      [KeyCodes.UP]: 'up',
+      [KeyCodes.DOWN]: 'down',
+      [KeyCodes.ENTER]: 'select',
+      [KeyCodes.SPACE]: 'select',
+      [KeyCodes.ESC]: 'back',
+    };
+
+    const command = commands[event.keyCode];
+    if (command) this.onCommand(command);
+  }
 
-// Physics ground (invisible)
-this.groundBody = this.matter.add.rectangle(
-  width / 2,
-  groundBodyY,
-  width,
-  GROUND_THICKNESS,
-  {
-    isStatic: true,
-    label: 'GROUND',
-    friction: 0.001,
+  onCommand(command) {
+    switch (command) {
+      case 'up':
+        this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.rows.length);
+        this.redraw();
+        break;
+      case 'down':
+        this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.rows.length);
+        this.redraw();
+        break;
+      case 'select':
+        this.choose(this.rows[this.selected]);
+        break;
+      case 'back':
+        this.scene.start(this.returnTo, this.returnData);
+        break;
+    }
   }
-);
 
-// Visual ground strip from wheel line down to bottom of screen
-const visualGroundHeight = height - WHEEL_LINE_Y;
-this.add.rectangle(
-  width / 2,
-  WHEEL_LINE_Y + visualGroundHeight / 2,
-  width,
-  visualGroundHeight,
-  0x30343f
-).setOrigin(0.5, 0.5);
+  choose({ slot, id }) {
+    const item = gearItem(slot, id);
 
+    if (!this.save.ownsGear(slot, id)) {
+      if (!this.save.buyGear(slot, id)) {
+        this.redraw(`Not enough cash – ${item.name} is $${item.price}`);
+        return;
+      }
+      this.registry.get('audio').play('pickup');
+    }
 
+    this.save.equip(slot, id);
+    this.redraw(`Riding the ${item.name}`);
+  }
 
-    // --- Player --------------------------------------------------------
-    // Start above the ground, let gravity settle him onto it
-    this.player = createPlayer(this, 120, WHEEL_LINE_Y - 200);
-    this.player.anims.play('idle');
+  redraw(message = null) {
+    const equipped = this.save.equipped;
 
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.playerController = new PlayerController(
-      this,
-      this.player,
-      this.cursors
-    );
+    this.cashText.setText(`Cash: $${this.save.cash}`);
 
-    // --- Music ---------------------------------------------------------
-    this.bgMusic = this.sound.add('mainMusic', {
-      volume: 1,
-      loop: true,
-    });
-    this.bgMusic.play();
-
-    // --- Collectible (yellow) -----------------------------------------
-this.collectibleCollected = false;
-this.collectible = this.add.rectangle(
-  width - 120,
-  height - 140,
-  24,
-  24,
-  0xffd54f
-);
-
-// --- Hustle point (blue)  → RampScene -----------------------------
-this.hustlePoint = this.add.rectangle(
-  width - 80,
-  height - 200,
-  32,
-  32,
-  0x4fc3f7
-);
+    this.rows.forEach((row, i) => {
+      const { price } = gearItem(row.slot, row.id);
+      const riding = equipped[row.slot] === row.id;
+      const owned = this.save.ownsGear(row.slot, row.id);
 
-    // --- Score ---------------------------------------------------------
-    this.score = 0;
-    this.scoreText = this.add.text(16, 16, 'Score: 0', {
-      fontSize: '20px',
-      fontFamily: 'system-ui, -apple-system, sans-serif',
-      color: '#ffffff',
+      row.name.setColor(i === this.selected ? '#ffd54f' : '#ffffff');
+      row.status
+        .setText(riding ? 'Riding' : owned ? 'Owned' : `$${price}`)
+        .setColor(riding ? '#81c784' : owned || price <= this.save.cash ? '#ffffff' : '#6b7080');
     });
 
-    // --- Collision events ----------------------------------------------
-    this.matter.world.on('collisionstart', this.onCollisionStart, this);
-    this.matter.world.on('collisionend', this.onCollisionEnd, this);
+    this.hint.setText(message ?? 'UP / DOWN choose  ·  ENTER buy / ride  ·  ESC back');
   }
+}
 
-onCollisionStart(event) {
-  const player = this.player;
+// ======================================================================
+//  SKATER SCENE – picking the skater's look
+// ======================================================================
 
-  for (const pair of event.pairs) {
-    const A = pair.bodyA;
-    const B = pair.bodyB;
+const SKATER_SCENE_ROWS = [
+  { layer: 'body', label: 'Skin' },
+  { layer: 'outfit', label: 'Outfit' },
+  { layer: 'deck', label: 'Deck' },
+  { layer: 'wheels', label: 'Wheels' },
+];
 
-    const labelA = A.label;
-    const labelB = B.label;
+/**
+ * A big preview of the skater and a row per layer. LEFT / RIGHT goes
+ * through that layer's palettes; every change is saved straight away.
+ */
+class SkaterScene extends Phaser.Scene {
+  constructor() {
+    super('SkaterScene');
+  }
 
-    // Ground detection via foot sensor
-    if (labelA === 'FOOT_SENSOR' && B.isStatic) {
-      player.onGroundContacts++;
-    } else if (labelB === 'FOOT_SENSOR' && A.isStatic) {
-      player.onGroundContacts++;
-    }
+  /**
+   * data.returnTo    scene to go back to (default TitleScene)
+   * data.returnData  ... and what to start it with
+   */
+  init(data) {
+    this.returnTo = data?.returnTo ?? 'TitleScene';
+    this.returnData = data?.returnData;
   }
-}
 
+  create() {
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
 
-  onCollisionEnd(event) {
-    const player = this.player;
+    this.save = this.registry.get('save');
+    this.selected = 0;
 
-    for (const pair of event.pairs) {
-      const A = pair.bodyA;
-      const B = pair.bodyB;
+    this.cameras.main.setBackgroundColor('#171a21');
+    createSkaterAnims(this);
 
-      const labelA = A.label;
-      const labelB = B.label;
+    this.add
+      .text(ui.centerX, ui.title, 'Your Skater', { fontSize: '32px', fontFamily: font })
+      .setOrigin(0.5);
 
-      if (labelA === 'FOOT_SENSOR' && B.isStatic) {
-        player.onGroundContacts = Math.max(
-          0,
-          player.onGroundContacts - 1
-        );
-      } else if (labelB === 'FOOT_SENSOR' && A.isStatic) {
-        player.onGroundContacts = Math.max(
-          0,
-          player.onGroundContacts - 1
-        );
-      }
-    }
-  }
+    this.preview = this.add
+      .sprite(ui.col(0.275), ui.footer(2.5), 'skater_body', SKATER_FRAMES.roll)
+      .setOrigin(0.5, 1)
+      .setScale(2);
+    dressSkater(this, this.preview, this.save.skater);
+    this.preview.anims.play(skaterAnimKey('idle'));
+
+    this.rows = SKATER_SCENE_ROWS.map((row, i) => {
+      const y = ui.top + ui.line + i * ui.line * 1.5;
+      return {
+        ...row,
+        label: this.add.text(ui.col(0.525), y, row.label, { fontSize: '18px', fontFamily: font, color: '#b0b6c2' }),
+        value: this.add.text(ui.col(0.65), y, '', { fontSize: '20px', fontFamily: font }),
+      };
+    });
 
-  collectItem() {
-    this.collectibleCollected = true;
-    if (this.collectible) {
-      this.collectible.destroy();
-      this.collectible = null;
-    }
+    this.add
+      .text(ui.centerX, ui.footer(), 'UP / DOWN choose  ·  LEFT / RIGHT change  ·  ESC back', {
+        fontSize: '16px',
+        fontFamily: font,
+        color: '#b0b6c2',
+      })
+      .setOrigin(0.5);
 
-    this.score += 10;
-    this.scoreText.setText(`Score: ${this.score}`);
-  }
+    this.input.keyboard.on('keydown', (event) => this.onKey(event));
+    this.input.gamepad?.on('down', (pad, button) => {
+      const command = MENU_PAD_COMMANDS[button.index];
+      if (command) this.onCommand(command);
+    });
 
-  enterRampRoom() {
-    if (this.bgMusic) {
-      this.bgMusic.stop();
-      this.bgMusic = null;
-    }
-    this.scene.start('RampScene');
+    this.redraw();
   }
 
-update() {
-  this.playerController.update();
-
-  // --- Manual overlaps for collectible & hustle point (sprite-based) ---
-  const playerBounds = this.player.getBounds();
-
-  // Collectible pickup
-  if (
-    !this.collectibleCollected &&
-    this.collectible &&
-    Phaser.Geom.Intersects.RectangleToRectangle(
-      playerBounds,
-      this.collectible.getBounds()
-    )
-  ) {
-    this.collectItem();
+  onKey(event) {
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+    const commands = {
+      [KeyCodes.UP]: 'up',
+      [KeyCodes.DOWN]: 'down',
+      [KeyCodes.LEFT]: 'left',
+      [KeyCodes.RIGHT]: 'right',
+      [KeyCodes.ENTER]: 'back',
+      [KeyCodes.ESC]: 'back',
+    };
+
+    const command = commands[event.keyCode];
+    if (command) this.onCommand(command);
   }
 
-  // Hustle point → RampScene
-  if (
-    this.hustlePoint &&
-    Phaser.Geom.Intersects.RectangleToRectangle(
-      playerBounds,
-      this.hustlePoint.getBounds()
-    )
-  ) {
-    this.enterRampRoom();
+  onCommand(command) {
+    switch (command) {
+      case 'up':
+        this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.rows.length);
+        break;
+      case 'down':
+        this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.rows.length);
+        break;
+      case 'left':
+      case 'right':
+        this.cycle(this.rows[this.selected].layer, command === 'left' ? -1 : 1);
+        break;
+      case 'back':
+        this.scene.start(this.returnTo, this.returnData);
+        return;
+      default:
+        return;
+    }
+    this.redraw();
   }
-}
 
+  /** Next or previous palette for `layer`. */
+  cycle(layer, step) {
+    const look = this.save.skater;
+    const ids = Object.keys(SKATER_PALETTES[layer]);
+    const index = Math.max(0, ids.indexOf(look[layer]));
+
+    this.save.skater = { ...look, [layer]: ids[Phaser.Math.Wrap(index + step, 0, ids.length)] };
+    setSkaterLook(this.preview, this.save.skater);
+  }
 
+  redraw() {
+    const look = this.save.skater;
 
+    this.rows.forEach((row, i) => {
+      const palettes = SKATER_PALETTES[row.layer];
+      const palette = palettes[look[row.layer]] ?? palettes[DEFAULT_LOOK[row.layer]];
+      const selected = i === this.selected;
+      row.value.setText(selected ? `‹ ${palette.name} ›` : palette.name);
+      row.value.setColor(selected ? '#ffd54f' : '#ffffff');
+    });
+  }
 }
 
 // ======================================================================
-//  RAMP SCENE – CURVED GROUND
+//  CONTROLS SCENE – rebinding keys and pad buttons
 // ======================================================================
 
-class RampScene extends Phaser.Scene {
+class ControlsScene extends Phaser.Scene {
   constructor() {
-    super('RampScene');
+    super('ControlsScene');
   }
 
-  create() {
-    const { width, height } = this.scale;
-
-    this.cameras.main.setBackgroundColor('#102030');
-    this.matter.world.setBounds(0, 0, width, height);
-
-    const WHEEL_LINE_Y = height - 120;
-    this.add.image(
-  width / 2,
-  WHEEL_LINE_Y,
-  'gameBg'
-)
-.setOrigin(0.5, 1)
-.setDepth(-20);
+  /**
+   * data.returnTo    scene to go back to on ESC (default TitleScene)
+   * data.returnData  ... and what to start it with
+   */
+  init(data) {
+    this.returnTo = data?.returnTo ?? 'TitleScene';
+    this.returnData = data?.returnData;
+  }
 
+  create() {
+    const ui = screenLayout(this);
+    const font = 'system-ui, -apple-system, sans-serif';
 
-    //-------------------------------------------------------
-    // UI
-    //-------------------------------------------------------
-    this.add.text(width / 2, 40, 'Ramp Room', {
-      fontSize: '24px',
-      fontFamily: 'system-ui, -apple-system, sans-serif',
-    }).setOrigin(0.5);
-
-    //-------------------------------------------------------
-    // Ramp artwork
-    //-------------------------------------------------------
-    const rampScale = 1.7;
-    const rampOffsetY = 50;
-    this.add.image(70, height + rampOffsetY, 'ramp_left')
-      .setOrigin(0, 1)
-      .setScale(rampScale)
-      .setDepth(-10);
-
-    this.add.image(width, height + rampOffsetY, 'ramp_right')
-      .setOrigin(1, 1)
-      .setScale(rampScale)
-      .setDepth(-10);
-
-    //-------------------------------------------------------
-    // SINGLE SOURCE OF TRUTH — your yellow spline points
-    //-------------------------------------------------------
-    this.rampPoints = [
-      { x:   4, y: 286 },
-      { x:  44, y: 286 },
-      { x:  84, y: 286 },
-      { x: 123, y: 352 },
-      { x: 163, y: 413 },
-      { x: 202, y: 445 },
-      { x: 242, y: 465 },
-      { x: 282, y: 477 },
-      { x: 322, y: 482 },
-      { x: 361, y: 484 },
-      { x: 401, y: 483 },
-      { x: 441, y: 483 },
-      { x: 480, y: 480 },
-      { x: 520, y: 474 },
-      { x: 560, y: 462 },
-      { x: 600, y: 443 },
-      { x: 639, y: 412 },
-      { x: 679, y: 355 },
-      { x: 718, y: 286 },
-      { x: 758, y: 286 },
-      { x: 798, y: 286 }
-    ];
+    this.save = this.registry.get('save');
+    this.actionList = Object.keys(ACTIONS);
+    this.selected = 0;
+    this.listening = false; // waiting for the key / button to bind
 
-    //-------------------------------------------------------
-    // Create bottom offset = thickness of collision strip
-    //-------------------------------------------------------
-    const thickness = 40;
+    this.cameras.main.setBackgroundColor('#171a21');
 
-    this.bottomPoints = this.rampPoints.map(p => ({
-      x: p.x,
-      y: p.y + thickness
-    }));
+    this.add
+      .text(ui.centerX, ui.title, 'Controls', { fontSize: '32px', fontFamily: font })
+      .setOrigin(0.5);
 
-    //-------------------------------------------------------
-    // Build collision polygon from rampPoints + bottomPoints
-    //-------------------------------------------------------
-    const fullPolygon = [
-      ...this.rampPoints,
-      ...this.bottomPoints.slice().reverse()
-    ];
+    this.add.text(ui.col(0.45), ui.top - ui.line, 'Keyboard', { fontSize: '16px', fontFamily: font, color: '#b0b6c2' });
+    this.add.text(ui.col(0.675), ui.top - ui.line, 'Gamepad', { fontSize: '16px', fontFamily: font, color: '#b0b6c2' });
 
-    this.createMatterPolygon(fullPolygon);
-
-    //-------------------------------------------------------
-    // Debug draw (same data!)
-    //-------------------------------------------------------
-    //his.drawDebugSpline(this.rampPoints, this.bottomPoints);
-
-    //-------------------------------------------------------
-    // Player
-    //-------------------------------------------------------
-    this.player = createPlayer(this, 200, height - 550);
-    this.player.anims.play('idle');
-
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.playerController = new PlayerController(this, this.player, this.cursors);
-
-    this.keyEsc = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
-
-    //-------------------------------------------------------
-    // Ground contact tracking
-    //-------------------------------------------------------
-    this.matter.world.on('collisionstart', (event) => {
-      for (const pair of event.pairs) {
-        const A = pair.bodyA;
-        const B = pair.bodyB;
-        if (A.label === 'FOOT_SENSOR' && B.isStatic) this.player.onGroundContacts++;
-        if (B.label === 'FOOT_SENSOR' && A.isStatic) this.player.onGroundContacts++;
-      }
+    this.rows = this.actionList.map((action, i) => {
+      const y = ui.top + i * ui.line * 0.9;
+      return {
+        label: this.add.text(ui.col(0.15), y, ACTIONS[action], { fontSize: '18px', fontFamily: font }),
+        key: this.add.text(ui.col(0.45), y, '', { fontSize: '18px', fontFamily: font }),
+        pad: this.add.text(ui.col(0.675), y, '', { fontSize: '18px', fontFamily: font }),
+      };
     });
 
-    this.matter.world.on('collisionend', (event) => {
-      for (const pair of event.pairs) {
-        const A = pair.bodyA;
-        const B = pair.bodyB;
-        if (A.label === 'FOOT_SENSOR' && B.isStatic)
-          this.player.onGroundContacts = Math.max(0, this.player.onGroundContacts - 1);
-        if (B.label === 'FOOT_SENSOR' && A.isStatic)
-          this.player.onGroundContacts = Math.max(0, this.player.onGroundContacts - 1);
-      }
+    this.hint = this.add
+      .text(ui.centerX, ui.footer(), '', { fontSize: '16px', fontFamily: font, color: '#b0b6c2' })
+      .setOrigin(0.5);
+    // Touch screens can't rebind, but they can get back out
+    onTap(this.hint, () => {
+      if (!this.listening) this.scene.start(this.returnTo, this.returnData);
     });
-// --- Ramp music --------------------------------------------------
-this.rampMusic = this.sound.add('rampMusic', {
-  volume: 1,
-  loop: true,
-});
-
-this.rampMusic.play();
 
+    this.input.keyboard.on('keydown', (event) => this.onKey(event));
+    this.input.gamepad?.on('down', (pad, button) => this.onPadButton(button.index));
 
-    //-------------------------------------------------------
-    // Footer
-    //-------------------------------------------------------
-    this.add.text(width / 2, height - 30, 'Press ESC to return', {
-      fontSize: '14px',
-      fontFamily: 'system-ui, -apple-system, sans-serif',
-    }).setOrigin(0.5);
-  }
-
-  //---------------------------------------------------------
-  // Create a static Matter polygon from one source of truth
-  //---------------------------------------------------------
-  createMatterPolygon(points) {
-    // Compute centroid
-    let cx = 0, cy = 0;
-    for (const p of points) { cx += p.x; cy += p.y; }
-    cx /= points.length;
-    cy /= points.length;
-
-    // Convert to local coords
-    const local = points.map(p => ({
-      x: p.x - cx,
-      y: p.y - cy
-    }));
-
-    // Build polygon
-    this.matter.add.fromVertices(
-      cx,
-      cy,
-      [local],
-      { isStatic: true, label: 'GROUND' },
-      true
-    );
+    this.redraw();
   }
 
-  //---------------------------------------------------------
-  // Debug draw from the same ramp points
-  //---------------------------------------------------------
-  drawDebugSpline(rampPoints, bottomPoints) {
-    const gfx = this.add.graphics();
+  onKey(event) {
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
 
-    // Top spline
-    gfx.lineStyle(4, 0xffff00, 1);
-    gfx.beginPath();
-    gfx.moveTo(rampPoints[0].x, rampPoints[0].y);
-    for (let i = 1; i < rampPoints.length; i++) {
-      gfx.lineTo(rampPoints[i].x, rampPoints[i].y);
-    }
-    gfx.strokePath();
-
-    // Bottom spline
-    gfx.lineStyle(2, 0xff00ff, 0.8);
-    for (let i = 0; i < bottomPoints.length - 1; i++) {
-      gfx.strokeLineShape({
-        x1: bottomPoints[i].x,     y1: bottomPoints[i].y,
-        x2: bottomPoints[i+1].x,   y2: bottomPoints[i+1].y
-      });
-    }
-  }
+    if (this.listening) {
+      // ESC backs out instead of binding
+      if (event.keyCode !== KeyCodes.ESC) {
+        const name = keyName(event.keyCode);
 
-  //---------------------------------------------------------
-  update() {
-    if (Phaser.Input.Keyboard.JustDown(this.keyEsc)) {
-      if (this.rampMusic) {
-        this.rampMusic.stop();
-        this.rampMusic = null;
+        // Versus puts player 2 on these keys of the same keyboard
+        if (Object.values(P2_KEY_BINDINGS).includes(name)) {
+          this.hint.setText(`${name} is player 2's in versus  ·  press another key  ·  ESC to cancel`);
+          return;
+        }
+        this.save.setBinding('keys', this.actionList[this.selected], name);
       }
-
-      this.scene.start('GameScene');
+      this.listening = false;
+      this.redraw();
       return;
     }
 
-    this.playerController.update();
+    switch (event.keyCode) {
+      case KeyCodes.UP:
+        this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.actionList.length);
+        break;
+      case KeyCodes.DOWN:
+        this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.actionList.length);
+        break;
+      case KeyCodes.ENTER:
+        this.listening = true;
+        break;
+      case KeyCodes.R:
+        this.save.resetBindings();
+        break;
+      case KeyCodes.ESC:
+        this.scene.start(this.returnTo, this.returnData);
+        return;
+      default:
+        return;
+    }
+    this.redraw();
   }
-}
 
+  onPadButton(index) {
+    if (!this.listening) return;
+
+    this.save.setBinding('pad', this.actionList[this.selected], index);
+    this.listening = false;
+    this.redraw();
+  }
+
+  redraw() {
+    const bindings = resolveBindings(this.save.bindings);
+
+    this.actionList.forEach((action, i) => {
+      const row = this.rows[i];
+      const selected = i === this.selected;
+      const waiting = selected && this.listening;
+
+      row.label.setColor(selected ? '#ffd54f' : '#ffffff');
+      row.key.setText(waiting ? '…' : bindings.keys[action]);
+      row.pad.setText(waiting ? '…' : padButtonName(bindings.pad[action]));
+    });
 
+    this.hint.setText(
+      this.listening
+        ? 'Press a key or a pad button  ·  ESC to cancel'
+        : 'UP / DOWN choose  ·  ENTER rebind  ·  R reset all  ·  ESC back'
+    );
+  }
+}
 
 // ======================================================================
 //  GAME CONFIG
@@ -764,18 +5764,54 @@ this.rampMusic.play();
 
 const config = {
   type: Phaser.AUTO,
-  width: 800,
-  height: 600,
   parent: 'game-container',
   backgroundColor: '#1e1e1e',
+  // Fit the page, see SCREEN
+  scale: {
+    mode: Phaser.Scale.FIT,
+    autoCenter: Phaser.Scale.CENTER_BOTH,
+    width: GAME_WIDTH,
+    height: GAME_HEIGHT,
+    fullscreenTarget: 'game-container',
+  },
   physics: {
     default: 'matter',
     matter: {
-      gravity: { y: 1 },
-      debug: false, // set true if you want to see bodies
+      gravity: { y: TUNING_DEFAULTS.gravity }, // scenes set the tuned one
+      debug: false, // the pause menu's settings turn it on
+      autoUpdate: false, // LevelScene steps it, see fixedStep()
+    },
+  },
+  input: {
+    gamepad: true,
+    activePointers: 4, // fingers on TouchControls at once
+  },
+  scene: [
+    BootScene,
+    TitleScene,
+    LevelScene,
+    ResultsScene,
+    VersusMenuScene,
+    VersusScene,
+    PauseScene,
+    MapScene,
+    ShopScene,
+    SkaterScene,
+    ControlsScene,
+  ],
+  callbacks: {
+    // Progress, sound and tuning are shared by every scene through the
+    // registry
+    preBoot: (game) => {
+      const save = new SaveData();
+      game.registry.set('save', save);
+      game.registry.set('audio', new AudioManager(game, save));
+
+      const tuning = new Tuning();
+      game.registry.set('tuning', tuning);
+      game.registry.set('tuningStore', new TuningStore(tuning));
     },
   },
-  scene: [TitleScene, GameScene, RampScene],
 };
 
 new Phaser.Game(config);
@@ -0,0 +1,124 @@
+// ======================================================================
+//  ANIMATION STATE MACHINE – which animation something shows, and when
+// ======================================================================
+//
+// A table of states instead of an if/else chain:
+//
+//   {
+//     initial: 'roll',
+//     any: [ ...transitions ],         checked first from every state,
+//                                      even inside its minDuration
+//     states: {
+//       land: {
+//         anim: 'land',                what to play, up to the caller
+//         minDuration: 150,            ms before its own transitions run
+//         transitions: [
+//           { to: 'air', when: (subject) => !subject.onGround },
+//           { to: 'push', on: 'kick' },   an event of `events` since the
+//         ],                              last update()
+//       },
+//     },
+//   }
+//
+// The first transition that matches wins, and one that leads to the
+// current state keeps it there. A transition with both `on` and `when`
+// needs both.
+// Any other keys on a state are left alone for the caller to read.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+
+function allTransitions(table) {
+  return [...(table.any ?? []), ...Object.values(table.states).flatMap((s) => s.transitions ?? [])];
+}
+
+/**
+ * Runs a state table (see above) against `subject`, the object its
+ * `when` conditions read. `on` transitions listen to `events`, an
+ * emitter (default the subject itself).
+ *
+ * Emits:
+ *  - 'enter' (name, state, from)   a state was entered; from is null
+ *                                  for the initial state
+ *  - 'exit'  (name, state, to)     a state was left
+ *  - 'enter:<name>' / 'exit:<name>' with the same arguments minus the name
+ */
+export class AnimationStateMachine extends EventEmitter {
+  constructor(table, subject, events = subject) {
+    super();
+
+    const transitions = allTransitions(table);
+    for (const { to } of transitions) {
+      if (!table.states[to]) throw new Error(`Transition to unknown state "${to}"`);
+    }
+    if (!table.states[table.initial]) throw new Error(`Unknown initial state "${table.initial}"`);
+
+    this.table = table;
+    this.subject = subject;
+    this.events = events;
+
+    this.current = null;
+    this.enteredAt = 0;
+
+    // Events seen since the last update()
+    this.fired = new Set();
+    const names = new Set(transitions.map((t) => t.on).filter(Boolean));
+    this.subscriptions = [...names].map((event) => {
+      const fn = () => this.fired.add(event);
+      events.on(event, fn);
+      return [event, fn];
+    });
+  }
+
+  get state() {
+    return this.table.states[this.current];
+  }
+
+  /** Time spent in the current state as of `now` (ms). */
+  timeIn(now) {
+    return now - this.enteredAt;
+  }
+
+  /** Move on if a transition says so. `now` is in ms, on any clock that only goes up. */
+  update(now) {
+    if (this.current === null) {
+      this.enter(this.table.initial, now);
+      this.fired.clear();
+      return;
+    }
+
+    const next =
+      this.pick(this.table.any ?? []) ??
+      (this.timeIn(now) >= (this.state.minDuration ?? 0) ? this.pick(this.state.transitions ?? []) : null);
+    this.fired.clear();
+
+    if (next && next !== this.current) this.enter(next, now);
+  }
+
+  pick(transitions) {
+    for (const transition of transitions) {
+      if (transition.on && !this.fired.has(transition.on)) continue;
+      if (transition.when && !transition.when(this.subject, this)) continue;
+      return transition.to;
+    }
+    return null;
+  }
+
+  enter(name, now) {
+    const from = this.current;
+    if (from !== null) {
+      this.emit('exit', from, this.state, name);
+      this.emit(`exit:${from}`, this.state, name);
+    }
+
+    this.current = name;
+    this.enteredAt = now;
+    this.emit('enter', name, this.state, from);
+    this.emit(`enter:${name}`, this.state, from);
+  }
+
+  destroy() {
+    for (const [event, fn] of this.subscriptions) this.events.off(event, fn);
+    super.destroy();
+  }
+}
@@ -0,0 +1,111 @@
+// ======================================================================
+//  ASSETS – the asset manifest and its groups
+// ======================================================================
+//
+// Every image, sheet and music file the game loads is listed once in
+// assets/manifest.json, by the key the game uses for it:
+//
+//   {
+//     "assets": {
+//       "titleBg": { "type": "image", "url": "assets/background1.png" },
+//       "skater_body": { "type": "spritesheet", "url": "assets/skater/body.png",
+//                        "frameWidth": 128, "frameHeight": 170 },
+//       "rampMusic": { "type": "audio", "url": [
+//         "assets/ramp.m4a",              the first one the browser can
+//         "assets/ramp.mp3",              play is loaded; { type, url }
+//         { "type": "mp3", "url": "assets/ramp.mpeg" }   when the extension
+//       ] }                                              doesn't say
+//     },
+//     "groups": {                        loaded together, by name
+//       "core": ["skater_body", ...],
+//       "street": ["titleBg", "gameBg", "mainMusic"]
+//     },
+//     "boot": ["core", "title"]          groups loaded before the title
+//   }
+//
+// Levels list the groups they need in "assets"; a group is loaded the
+// first time a level that needs it starts, and stays loaded.
+// ======================================================================
+
+export const ASSET_TYPES = ['image', 'spritesheet', 'audio'];
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function checkUrl(key, url, type) {
+  if (typeof url === 'string' && url) return;
+
+  // Audio can list formats to try in order
+  const fallbacks = type === 'audio' && Array.isArray(url) && url.length > 0;
+  const valid = fallbacks && url.every((u) => (typeof u === 'string' && u) || (isObject(u) && u.type && u.url));
+  if (!valid) throw new Error(`Asset "${key}" has no usable url`);
+}
+
+function checkAsset(key, asset) {
+  if (!isObject(asset)) throw new Error(`Asset "${key}" is not an object`);
+  if (!ASSET_TYPES.includes(asset.type)) {
+    throw new Error(`Asset "${key}" has unknown type "${asset.type}" (${ASSET_TYPES.join(', ')})`);
+  }
+  checkUrl(key, asset.url, asset.type);
+
+  if (asset.type === 'spritesheet') {
+    for (const size of ['frameWidth', 'frameHeight']) {
+      if (!(asset[size] > 0)) throw new Error(`Spritesheet "${key}" needs a ${size}`);
+    }
+  }
+}
+
+/**
+ * Check a manifest (see above) and return it. Throws on the first thing
+ * wrong: a bad asset, a group naming an asset that isn't listed, or a
+ * boot group that doesn't exist.
+ */
+export function parseManifest(data) {
+  if (!isObject(data) || !isObject(data.assets) || !isObject(data.groups)) {
+    throw new Error('An asset manifest needs "assets" and "groups" objects');
+  }
+
+  for (const [key, asset] of Object.entries(data.assets)) checkAsset(key, asset);
+
+  for (const [name, keys] of Object.entries(data.groups)) {
+    if (!Array.isArray(keys)) throw new Error(`Asset group "${name}" is not a list`);
+    for (const key of keys) {
+      if (!data.assets[key]) throw new Error(`Asset group "${name}" lists unknown asset "${key}"`);
+    }
+  }
+
+  const boot = data.boot ?? [];
+  for (const name of boot) {
+    if (!data.groups[name]) throw new Error(`Boot group "${name}" is not in the manifest`);
+  }
+
+  return { assets: data.assets, groups: data.groups, boot };
+}
+
+/**
+ * Every asset in `groups`, once each, in the order listed: the manifest
+ * entry plus its `key`. Throws on a group the manifest doesn't have.
+ */
+export function groupAssets(manifest, groups) {
+  const seen = new Set();
+  const assets = [];
+
+  for (const name of groups) {
+    const keys = manifest.groups[name];
+    if (!keys) throw new Error(`Unknown asset group "${name}"`);
+
+    for (const key of keys) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      assets.push({ key, ...manifest.assets[key] });
+    }
+  }
+  return assets;
+}
+
+/** Every file an asset may load, fallbacks included. */
+export function assetUrls(asset) {
+  const urls = Array.isArray(asset.url) ? asset.url : [asset.url];
+  return urls.map((url) => (typeof url === 'string' ? url : url.url));
+}
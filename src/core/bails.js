@@ -0,0 +1,59 @@
+// ======================================================================
+//  BAILS – the crash / respawn cycle of one skater
+// ======================================================================
+//
+// A bail leaves the skater down for BAIL_RESPAWN_DELAY, then puts it
+// back at the last checkpoint it passed (its spawn until it passes one).
+// The wait runs on the controller's clock, so a replay bails and
+// respawns alike.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+
+// How long the crash plays before the respawn (ms)
+export const BAIL_RESPAWN_DELAY = 1500;
+
+/**
+ * Respawns a PlayerController after its bails. Set `checkpoint` as the
+ * skater passes one, and step() once per fixed step after the controller.
+ *
+ * Emits:
+ *  - 'crash'    the skater bailed
+ *  - 'respawn'  it is back on its feet at `checkpoint`
+ */
+export class BailCycle extends EventEmitter {
+  constructor(controller, checkpoint) {
+    super();
+
+    this.controller = controller;
+    this.checkpoint = checkpoint; // { x, y } of the next respawn
+    this.respawnAt = 0;
+
+    controller.on('bail', this.onBail, this);
+  }
+
+  onBail() {
+    this.respawnAt = this.controller.now + BAIL_RESPAWN_DELAY;
+    this.emit('crash');
+  }
+
+  step() {
+    const controller = this.controller;
+    if (controller.bailing && controller.now >= this.respawnAt) this.respawn();
+  }
+
+  respawn() {
+    this.controller.respawn(this.checkpoint.x, this.checkpoint.y);
+    this.emit('respawn');
+  }
+
+  /** Drops the pending respawn, for a skater put back up by other means. */
+  cancel() {
+    this.respawnAt = Infinity;
+  }
+
+  destroy() {
+    this.controller.off('bail', this.onBail, this);
+    super.destroy();
+  }
+}
@@ -0,0 +1,168 @@
+// ======================================================================
+//  COLLISIONS – one place that knows what touched what
+// ======================================================================
+//
+// Bodies are registered with a kind; that sets their Matter collision
+// category (and, for sensors, a mask so they only notice skaters). Feed
+// the world's collisionstart / collisionend pairs in and the service
+// keeps every skater's foot contacts up to date and emits typed events:
+//
+//  - 'landed'         (skater, ground)          first ground under the foot
+//  - 'leftGround'     (skater, ground)          last ground left the foot
+//  - 'touchedWall'    (skater, wall)            the body ran into a wall
+//  - 'touchedHazard'  (skater, hazard, data)
+//  - 'pickedUp'       (skater, pickup, data)
+//  - 'enteredTrigger' (skater, trigger, data)
+//  - 'leftTrigger'    (skater, trigger, data)
+//
+// `skater` is the skater's compound body; `data` is whatever was passed
+// to register(). Only 'ground' counts as ground – world walls don't.
+//
+// A 'ghost' is a skater riding a replay. It meets the same ground, rails
+// and triggers as a live skater, but its own traffic: 'hazard' bodies
+// only touch skaters, 'ghostHazard' bodies only ghosts.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+import { createFootContacts } from './contacts.js';
+
+// Matter's default category is 0x0001; unregistered bodies keep it
+export const CATEGORIES = {
+  ground: 0x0002,
+  wall: 0x0004,
+  hazard: 0x0008,
+  pickup: 0x0010,
+  trigger: 0x0020,
+  rail: 0x0040,
+  skater: 0x0080,
+  ghost: 0x0100,
+  ghostHazard: 0x0200,
+};
+
+const RIDERS = CATEGORIES.skater | CATEGORIES.ghost;
+
+// Sensors only need to hear about skaters
+const MASKS = {
+  hazard: CATEGORIES.skater,
+  ghostHazard: CATEGORIES.ghost,
+  pickup: RIDERS,
+  trigger: RIDERS,
+  rail: RIDERS,
+};
+
+// Event for the first part of a skater overlapping a body of this kind
+const ENTER_EVENTS = {
+  hazard: 'touchedHazard',
+  ghostHazard: 'touchedHazard',
+  pickup: 'pickedUp',
+  trigger: 'enteredTrigger',
+};
+
+/** A static sensor box, for pickups and triggers. */
+export function sensorBody(Matter, x, y, width, height, label) {
+  return Matter.Bodies.rectangle(x, y, width, height, {
+    isStatic: true,
+    isSensor: true,
+    label,
+  });
+}
+
+export class CollisionService extends EventEmitter {
+  constructor() {
+    super();
+
+    // Parts of a skater overlapping a hazard / pickup / trigger, by
+    // "skaterId:bodyId" – a skater is two parts, it should enter once
+    this.overlaps = new Map();
+  }
+
+  /** Register one body or a list of them as `kind`, with optional `data`. */
+  register(bodies, kind, data = null) {
+    const category = CATEGORIES[kind];
+    if (!category) throw new Error(`Unknown collision kind "${kind}"`);
+
+    for (const body of [].concat(bodies)) {
+      body.collisionFilter.category = category;
+      if (MASKS[kind] !== undefined) body.collisionFilter.mask = MASKS[kind];
+      body.collisionKind = kind;
+      body.collisionData = data;
+
+      if (isSkater(kind)) body.footContacts ??= createFootContacts();
+    }
+  }
+
+  collisionStart(pairs) {
+    for (const pair of pairs) this.route(pair, true);
+  }
+
+  collisionEnd(pairs) {
+    for (const pair of pairs) this.route(pair, false);
+  }
+
+  // --- Routing ---------------------------------------------------------
+
+  route(pair, touching) {
+    const { bodyA, bodyB } = pair;
+    if (isSkater(kindOf(bodyA))) this.routeSkater(bodyA, bodyB, touching);
+    if (isSkater(kindOf(bodyB))) this.routeSkater(bodyB, bodyA, touching);
+  }
+
+  routeSkater(part, other, touching) {
+    const skater = part.parent;
+    const kind = kindOf(other);
+
+    if (part.label === 'FOOT_SENSOR') {
+      this.updateFoot(skater, other, kind, touching);
+    } else if (kind === 'wall' && touching) {
+      this.emit('touchedWall', skater, other.parent);
+    }
+
+    if (ENTER_EVENTS[kind]) this.updateOverlap(skater, other.parent, kind, touching);
+  }
+
+  updateFoot(skater, other, kind, touching) {
+    const contacts = skater.footContacts;
+
+    if (kind === 'rail') {
+      if (touching) contacts.rails.add(other);
+      else contacts.rails.delete(other);
+      return;
+    }
+
+    if (kind !== 'ground') return;
+
+    const wasOnGround = contacts.ground > 0;
+    if (touching) {
+      contacts.ground++;
+      contacts.groundParts.add(other);
+    } else {
+      contacts.ground = Math.max(0, contacts.ground - 1);
+      contacts.groundParts.delete(other);
+    }
+
+    const onGround = contacts.ground > 0;
+    if (onGround !== wasOnGround) this.emit(onGround ? 'landed' : 'leftGround', skater, other.parent);
+  }
+
+  updateOverlap(skater, body, kind, touching) {
+    const key = `${skater.id}:${body.id}`;
+    const count = (this.overlaps.get(key) ?? 0) + (touching ? 1 : -1);
+
+    if (count > 0) this.overlaps.set(key, count);
+    else this.overlaps.delete(key);
+
+    if (touching && count === 1) {
+      this.emit(ENTER_EVENTS[kind], skater, body, body.collisionData);
+    } else if (!touching && count === 0 && kind === 'trigger') {
+      this.emit('leftTrigger', skater, body, body.collisionData);
+    }
+  }
+}
+
+function kindOf(part) {
+  return part.parent.collisionKind ?? null;
+}
+
+function isSkater(kind) {
+  return kind === 'skater' || kind === 'ghost';
+}
@@ -0,0 +1,23 @@
+// ======================================================================
+//  CONTACTS – what each skater's FOOT_SENSOR is touching
+// ======================================================================
+//
+// Matter only reports collisions as they start and end, so every skater
+// body keeps a running tally in `body.footContacts` (see
+// createPlayerBody). CollisionService keeps it up to date and
+// PlayerController reads it.
+// ======================================================================
+
+export function createFootContacts() {
+  return {
+    ground: 0,              // 'ground' bodies touching the foot
+    groundParts: new Set(), // ... and which parts they are
+    rails: new Set(),       // RAIL sensors under the foot
+  };
+}
+
+export function clearFootContacts(contacts) {
+  contacts.ground = 0;
+  contacts.groundParts.clear();
+  contacts.rails.clear();
+}
@@ -0,0 +1,69 @@
+// ======================================================================
+//  EVENT EMITTER – same calls as Phaser.Events.EventEmitter
+// ======================================================================
+
+/**
+ * Just enough of Phaser's emitter for the core classes: on / once / off
+ * with an optional context, emit, and destroy.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, fn, context) {
+    return this.addListener(event, fn, context, false);
+  }
+
+  once(event, fn, context) {
+    return this.addListener(event, fn, context, true);
+  }
+
+  addListener(event, fn, context, once) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push({ fn, context, once });
+    return this;
+  }
+
+  /** Remove a listener; without `fn`, every listener for `event`. */
+  off(event, fn, context) {
+    const list = this.listeners.get(event);
+    if (!list) return this;
+
+    const kept = fn
+      ? list.filter((l) => l.fn !== fn || (context !== undefined && l.context !== context))
+      : [];
+    if (kept.length) this.listeners.set(event, kept);
+    else this.listeners.delete(event);
+
+    return this;
+  }
+
+  emit(event, ...args) {
+    const list = this.listeners.get(event);
+    if (!list) return false;
+
+    // Copy: listeners may add or remove listeners
+    for (const listener of [...list]) {
+      if (listener.once) this.removeEntry(event, listener);
+      listener.fn.apply(listener.context, args);
+    }
+    return true;
+  }
+
+  removeEntry(event, entry) {
+    const kept = (this.listeners.get(event) ?? []).filter((l) => l !== entry);
+    if (kept.length) this.listeners.set(event, kept);
+    else this.listeners.delete(event);
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) this.listeners.clear();
+    else this.listeners.delete(event);
+    return this;
+  }
+
+  destroy() {
+    this.removeAllListeners();
+  }
+}
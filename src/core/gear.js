@@ -0,0 +1,75 @@
+// ======================================================================
+//  GEAR – boards and wheels, and what they do to the skater
+// ======================================================================
+//
+// Every item's "stats" are added to the PlayerController option of the
+// same name, on top of the controller's own default:
+//
+//   maxVelX    top speed pushing on the flat
+//   moveAccel  how hard each push is
+//   jumpSpeed  ollie pop; negative is up, so -1 pops higher
+//
+// A skater rides one board and one set of wheels. The "stock" ones are
+// free and always owned.
+// ======================================================================
+
+export const GEAR_SLOTS = ['board', 'wheels'];
+
+export const GEAR_STATS = ['maxVelX', 'moveAccel', 'jumpSpeed'];
+
+export const GEAR = {
+  board: {
+    stock: { name: 'Stock deck', price: 0, stats: {} },
+    popsicle: { name: 'Popsicle pro deck', price: 120, stats: { jumpSpeed: -1 } },
+    cruiser: { name: 'Cruiser', price: 180, stats: { maxVelX: 1.5, jumpSpeed: 0.5 } },
+    carbon: { name: 'Carbon deck', price: 400, stats: { maxVelX: 0.5, jumpSpeed: -1.5 } },
+  },
+  wheels: {
+    stock: { name: 'Stock wheels', price: 0, stats: {} },
+    street: { name: '99a street wheels', price: 90, stats: { maxVelX: 1 } },
+    soft: { name: '78a soft wheels', price: 150, stats: { moveAccel: 0.04, maxVelX: -0.5 } },
+    ceramic: { name: 'Ceramic bearings', price: 300, stats: { maxVelX: 1, moveAccel: 0.03 } },
+  },
+};
+
+/** The catalog entry for `id` in `slot`; unknown ids fall back to stock. */
+export function gearItem(slot, id) {
+  return GEAR[slot][id] ?? GEAR[slot].stock;
+}
+
+/**
+ * PlayerController options for riding `equipped` ({ board, wheels }):
+ * only the stats the gear changes, ready to spread into the options.
+ */
+export function gearOptions(equipped, defaults) {
+  const options = {};
+
+  for (const slot of GEAR_SLOTS) {
+    const { stats } = gearItem(slot, equipped[slot]);
+    for (const stat of GEAR_STATS) {
+      if (!stats[stat]) continue;
+      options[stat] = (options[stat] ?? defaults[stat]) + stats[stat];
+    }
+  }
+  return options;
+}
+
+// Which way each stat gets worse: slower, weaker push, lower pop
+const WORSE = { maxVelX: Math.min, moveAccel: Math.min, jumpSpeed: Math.max };
+
+/**
+ * PlayerController options for the weakest skater the shop allows: every
+ * stat at its worst in each slot, so whatever that rides, any gear rides.
+ */
+export function weakestGearOptions(defaults) {
+  const options = {};
+
+  for (const stat of GEAR_STATS) {
+    let value = defaults[stat];
+    for (const slot of GEAR_SLOTS) {
+      value += WORSE[stat](...Object.values(GEAR[slot]).map((item) => item.stats[stat] ?? 0));
+    }
+    options[stat] = value;
+  }
+  return options;
+}
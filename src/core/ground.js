@@ -0,0 +1,263 @@
+// ======================================================================
+//  GROUND – Matter bodies for a level's ground, obstacles and rails
+// ======================================================================
+//
+// Builders only make the bodies; adding them to a world (and drawing
+// anything) is up to the caller. `Matter` is passed in so the same code
+// runs on Phaser's bundled copy in the browser and on matter-js in Node.
+// Friction comes from `tuning` (tuning values, see tuning.js).
+// ======================================================================
+
+import { clamp, degToRad, distance } from './math.js';
+import { TUNING_DEFAULTS } from './tuning.js';
+
+export const DEFAULT_GROUND_THICKNESS = 40;
+
+// What ground is made of when its def doesn't say (`"material"`); the
+// rolling sound follows it. Grind lines default to metal.
+export const DEFAULT_GROUND_MATERIAL = 'concrete';
+export const DEFAULT_RAIL_MATERIAL = 'metal';
+
+// How thick the invisible RAIL sensor along a grind line is
+export const RAIL_SENSOR_THICKNESS = 16;
+
+/**
+ * Top points of a spline + the same points pushed down by `thickness`,
+ * as one closed polygon (top left→right, bottom right→left).
+ */
+export function splineStripPolygon(points, thickness) {
+  const bottom = points.map((p) => ({ x: p.x, y: p.y + thickness }));
+  return [...points, ...bottom.reverse()];
+}
+
+/**
+ * A static ground polygon from a list of points given in ABSOLUTE world
+ * coordinates.
+ *
+ * Works for flat and curved ground.
+ */
+export function splineGroundBody(Matter, points) {
+  // Compute a simple centroid for positioning
+  let sumX = 0;
+  let sumY = 0;
+  for (const p of points) {
+    sumX += p.x;
+    sumY += p.y;
+  }
+  const cx = sumX / points.length;
+  const cy = sumY / points.length;
+
+  // Convert absolute points to local coords around centroid
+  const localVerts = points.map((p) => ({
+    x: p.x - cx,
+    y: p.y - cy,
+  }));
+
+  const body = Matter.Bodies.fromVertices(
+    cx,
+    cy,
+    [localVerts], // IMPORTANT: wrap in [ ... ]
+    {
+      isStatic: true,
+      friction: TUNING_DEFAULTS.groundFriction,
+      restitution: 0,
+      label: 'GROUND',
+    },
+    true
+  );
+
+  // fromVertices centres the body on its centre of mass, not on (cx, cy);
+  // for anything lopsided that moves it off the points it was made from
+  const minX = Math.min(...points.map((p) => p.x));
+  const minY = Math.min(...points.map((p) => p.y));
+  Matter.Body.setPosition(body, {
+    x: body.position.x + minX - body.bounds.min.x,
+    y: body.position.y + minY - body.bounds.min.y,
+  });
+
+  return body;
+}
+
+/**
+ * Many small static edges that follow a spline exactly, one thin
+ * rectangle per segment.
+ */
+export function rampEdgeBodies(Matter, points) {
+  const bodies = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const p1 = points[i];
+    const p2 = points[i + 1];
+
+    bodies.push(
+      Matter.Bodies.rectangle(
+        (p1.x + p2.x) / 2,
+        (p1.y + p2.y) / 2,
+        distance(p1.x, p1.y, p2.x, p2.y),
+        6, // ground thickness — small so the skater sits ON the line
+        {
+          isStatic: true,
+          angle: Math.atan2(p2.y - p1.y, p2.x - p1.x),
+          label: 'GROUND',
+        }
+      )
+    );
+  }
+
+  return bodies;
+}
+
+/** Bodies for one entry of a level's `ground` list. */
+export function buildGround(Matter, def, tuning = TUNING_DEFAULTS) {
+  let bodies;
+
+  switch (def.type) {
+    case 'spline': {
+      const thickness = def.thickness ?? DEFAULT_GROUND_THICKNESS;
+      const body = splineGroundBody(Matter, splineStripPolygon(def.points, thickness));
+
+      // Top line, for slope-following (see groundSurfaceAt)
+      body.surface = def.points;
+      bodies = [body];
+      break;
+    }
+
+    case 'edges':
+      bodies = rampEdgeBodies(Matter, def.points);
+      break;
+
+    default:
+      throw new Error(`Unknown ground type "${def.type}"`);
+  }
+
+  for (const body of bodies) {
+    body.material = def.material ?? DEFAULT_GROUND_MATERIAL;
+    body.friction = tuning.groundFriction;
+  }
+  return bodies;
+}
+
+/** A solid box from a level's `obstacles` list. */
+export function buildObstacle(Matter, def, tuning = TUNING_DEFAULTS) {
+  const body = Matter.Bodies.rectangle(def.x, def.y, def.width, def.height, {
+    isStatic: true,
+    angle: degToRad(def.angle ?? 0),
+    friction: tuning.groundFriction,
+    label: 'GROUND',
+  });
+  body.material = def.material ?? DEFAULT_GROUND_MATERIAL;
+  return body;
+}
+
+/**
+ * A grindable line from two points in ABSOLUTE world coordinates.
+ *
+ *  - 'rail'   a free-standing pole: sensor only, you ride through it
+ *             unless you lock on
+ *  - 'ledge'  a solid GROUND box hanging below the line (`height` deep)
+ *  - 'coping' just the line, for the lip of a ramp that already has ground
+ *
+ * Returns { rail, bodies, ledge }. The RAIL sensor body carries `rail`
+ * (the geometry PlayerController snaps to) as `body.rail`; `ledge` is the
+ * box's { x, y, width, height, angle } for drawing, or null.
+ */
+export function buildRail(Matter, def, tuning = TUNING_DEFAULTS) {
+  const [p1, p2] = def.points;
+  const [a, b] = p1.x <= p2.x ? [p1, p2] : [p2, p1];
+
+  const type = def.type ?? 'rail';
+  const length = distance(a.x, a.y, b.x, b.y);
+  const angle = Math.atan2(b.y - a.y, b.x - a.x);
+  const midX = (a.x + b.x) / 2;
+  const midY = (a.y + b.y) / 2;
+
+  const rail = {
+    type,
+    a,
+    b,
+    length,
+    angle,
+    dir: { x: (b.x - a.x) / length, y: (b.y - a.y) / length },
+    material: def.material ?? DEFAULT_RAIL_MATERIAL,
+  };
+
+  const sensor = Matter.Bodies.rectangle(midX, midY, length, RAIL_SENSOR_THICKNESS, {
+    isStatic: true,
+    isSensor: true,
+    angle,
+    label: 'RAIL',
+  });
+  sensor.rail = rail;
+
+  const bodies = [sensor];
+  let ledge = null;
+
+  if (type === 'ledge') {
+    const height = def.height ?? 40;
+
+    // Solid box, top edge on the grind line
+    ledge = {
+      x: midX - Math.sin(angle) * (height / 2),
+      y: midY + Math.cos(angle) * (height / 2),
+      width: length,
+      height,
+      angle,
+    };
+    const box = Matter.Bodies.rectangle(ledge.x, ledge.y, length, height, {
+      isStatic: true,
+      angle,
+      friction: tuning.groundFriction,
+      label: 'GROUND',
+    });
+    box.material = DEFAULT_GROUND_MATERIAL;
+    bodies.unshift(box);
+  }
+
+  return { rail, bodies, ledge };
+}
+
+/**
+ * The surface of a ground part nearest to (x, y).
+ *
+ * Spline ground carries its top line as `body.surface`, so curved ramps
+ * give the real curve and not the edges of the convex pieces Matter cut
+ * the polygon into. Anything else (boxes, ramp edges) uses the part's own
+ * edges, skipping near-vertical ones – those are walls.
+ *
+ * Returns { tangent, normal, distance, material }: tangent points right,
+ * normal points up out of the ground.
+ */
+export function groundSurfaceAt(part, x, y) {
+  let best = null;
+
+  const consider = (a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0 || Math.abs(dx) / length < 0.05) return;
+
+    // Distance to the segment
+    const t = clamp(((x - a.x) * dx + (y - a.y) * dy) / (length * length), 0, 1);
+    const d = distance(x, y, a.x + t * dx, a.y + t * dy);
+    if (best && d >= best.distance) return;
+
+    const sign = dx < 0 ? -1 : 1;
+    const tangent = { x: (sign * dx) / length, y: (sign * dy) / length };
+    best = {
+      tangent,
+      normal: { x: tangent.y, y: -tangent.x },
+      distance: d,
+      material: part.parent.material ?? DEFAULT_GROUND_MATERIAL,
+    };
+  };
+
+  const surface = part.parent.surface;
+  if (surface) {
+    for (let i = 0; i < surface.length - 1; i++) consider(surface[i], surface[i + 1]);
+  } else {
+    const verts = part.vertices;
+    for (let i = 0; i < verts.length; i++) consider(verts[i], verts[(i + 1) % verts.length]);
+  }
+
+  return best;
+}
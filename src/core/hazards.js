@@ -0,0 +1,360 @@
+// ======================================================================
+//  HAZARDS – people and cars in the way, and what they do to skaters
+// ======================================================================
+//
+// A level's "hazards" list; every y is where feet or wheels touch down:
+//
+//   { "type": "pedestrian", "path": [{ "x": 400, "y": 480 }, { "x": 700, "y": 480 }],
+//     "speed": 1, "wait": 1500 }     walks the path back and forth,
+//                                    standing `wait` ms at each end
+//   { "type": "car", "from": { "x": -200, "y": 480 }, "to": { "x": 2600, "y": 480 },
+//     "every": 9000, "offset": 3000, "speed": 8 }
+//                                    drives across every `every` ms,
+//                                    the first time at `offset`
+//   { "type": "guard", "path": [...], "sight": 320, "facing": -1 }
+//                                    patrols like a pedestrian, and
+//                                    chases anyone it sees grinding in
+//                                    front of it; one path point and a
+//                                    long wait make it stand watch
+//
+// Sizes, speeds, `sight` and `outcome` from HAZARD_TYPES can be set per
+// hazard too.
+//
+// A hazard is a HAZARD sensor (see CollisionService) moved by hand every
+// fixed step; whatever it does is a state table run by the same
+// AnimationStateMachine as the skater's animations. What touching one
+// does to a skater is its state's `outcome`, or its type's:
+//
+//   'slow'  loses most of its speed
+//   'bump'  knocked back off its feet (and off any rail)
+//   'bail'  crash
+//   null    nothing
+//
+// Everything runs on the clock passed to update() and reacts only to the
+// skaters passed with it. A ghost rides a replay against its own copy of
+// the level's hazards ('ghostHazard' bodies, see CollisionService), stepped
+// on its own controller's clock, so it meets the traffic the recorded run
+// met whatever the live skater does to the live one.
+// ======================================================================
+
+import { AnimationStateMachine } from './animstate.js';
+import { EventEmitter } from './emitter.js';
+import { distance } from './math.js';
+
+// A skater a hazard just hit is left alone this long (ms)
+const HIT_COOLDOWN = 1000;
+
+// What a hit does to the skater's velocity
+const SLOW_FACTOR = 0.3;
+const BUMP_SPEED = 4;
+const BUMP_LIFT = 5;
+
+// Guards: how much further than they see a skater can get before they
+// give up, and how long they run after one at most (ms)
+const GUARD_LOSE_FACTOR = 1.5;
+const GUARD_GIVE_UP = 6000;
+
+// Close enough to a point on the path to count as there
+const ARRIVE_DISTANCE = 1;
+
+// Where walkers go next, checked from every walking state
+const WALKING = [{ to: 'wait', when: (h) => h.atWaypoint }];
+
+const SPOTTING = [{ to: 'chase', when: (h) => h.spotSkater() !== null }];
+
+export const HAZARD_TYPES = {
+  pedestrian: {
+    width: 36,
+    height: 110,
+    speed: 1,
+    wait: 1500,
+    outcome: 'slow',
+    behaviour: {
+      initial: 'walk',
+      states: {
+        walk: { move: 'patrol', transitions: [{ to: 'startled', on: 'hit' }, ...WALKING] },
+        wait: {
+          transitions: [
+            { to: 'startled', on: 'hit' },
+            { to: 'walk', when: (h, m) => m.timeIn(h.now) >= h.wait },
+          ],
+        },
+        // Stops and shakes a fist; walking into them again does nothing
+        startled: { minDuration: 1200, outcome: null, transitions: [{ to: 'walk', when: () => true }] },
+      },
+    },
+  },
+
+  car: {
+    width: 180,
+    height: 70,
+    speed: 8,
+    every: 9000,
+    offset: 0,
+    outcome: 'bail',
+    behaviour: {
+      initial: 'parked',
+      states: {
+        parked: { hidden: true, outcome: null, transitions: [{ to: 'driving', when: (h) => h.now >= h.nextDriveAt }] },
+        driving: { move: 'drive', transitions: [{ to: 'parked', when: (h) => h.arrived }] },
+      },
+    },
+  },
+
+  guard: {
+    width: 44,
+    height: 120,
+    speed: 1.2,
+    chaseSpeed: 5,
+    sight: 320,
+    wait: 2000,
+    outcome: 'slow',
+    behaviour: {
+      initial: 'patrol',
+      states: {
+        patrol: { move: 'patrol', transitions: [...SPOTTING, ...WALKING] },
+        wait: {
+          transitions: [...SPOTTING, { to: 'patrol', when: (h, m) => m.timeIn(h.now) >= h.wait }],
+        },
+        chase: {
+          move: 'chase',
+          outcome: 'bump',
+          transitions: [
+            { to: 'return', on: 'hit' },
+            { to: 'return', when: (h, m) => h.lostTarget || m.timeIn(h.now) >= GUARD_GIVE_UP },
+          ],
+        },
+        // Back to the path; a bump is enough for now, so no spotting
+        return: { move: 'patrol', transitions: [{ to: 'patrol', when: (h) => h.atWaypoint }] },
+      },
+    },
+  },
+};
+
+/** A static sensor box standing on (x, y). */
+function hazardBody(Matter, x, y, width, height) {
+  return Matter.Bodies.rectangle(x, y - height / 2, width, height, {
+    isStatic: true,
+    isSensor: true,
+    label: 'HAZARD',
+  });
+}
+
+/**
+ * One entry of a level's `hazards` list. Register `body` as a 'hazard'
+ * (or a ghost's 'ghostHazard') with the CollisionService, call update()
+ * every fixed step after the world has moved, and touch() when a skater
+ * runs into it.
+ *
+ * Emits:
+ *  - 'hit'   (controller, outcome)   a skater ran into it
+ *  - 'enter' (state)                 its behaviour changed, e.g. 'chase'
+ */
+export class Hazard extends EventEmitter {
+  constructor(Matter, def) {
+    super();
+
+    const type = HAZARD_TYPES[def.type];
+    if (!type) throw new Error(`Unknown hazard type "${def.type}"`);
+
+    const opts = { ...type, ...def };
+
+    this.Body = Matter.Body;
+    this.def = def;
+    this.type = def.type;
+    this.width = opts.width;
+    this.height = opts.height;
+    this.speed = opts.speed;
+    this.wait = opts.wait;
+    this.chaseSpeed = opts.chaseSpeed;
+    this.sight = opts.sight;
+    this.every = opts.every;
+    this.baseOutcome = opts.outcome;
+    this.path = def.path;
+    this.from = def.from;
+    this.to = def.to;
+
+    // Walkers start on their first point, cars where they set off
+    const start = this.path?.[0] ?? this.from;
+    this.x = start.x;
+    this.y = start.y;
+    this.facing = def.facing ?? 1;
+    this.now = 0;
+
+    this.waypoint = 0;        // path point walked towards
+    this.step = 1;            // +1 or -1 along the path
+    this.nextDriveAt = opts.offset ?? 0;
+    this.target = null;       // controller being chased
+    this.skaters = [];
+    this.lastHit = new Map(); // skater body id -> time
+
+    this.body = hazardBody(Matter, this.x, this.y, this.width, this.height);
+    this.body.hazard = this;
+
+    this.behaviour = new AnimationStateMachine(type.behaviour, this);
+    this.behaviour.on('enter', (name) => this.onEnter(name));
+  }
+
+  get state() {
+    return this.behaviour.state;
+  }
+
+  get hidden() {
+    return Boolean(this.state?.hidden);
+  }
+
+  /** What touching it does right now (see above). */
+  get outcome() {
+    const state = this.state;
+    if (!state || state.hidden) return null;
+    return 'outcome' in state ? state.outcome : this.baseOutcome;
+  }
+
+  get atWaypoint() {
+    const point = this.path[this.waypoint];
+    return distance(this.x, this.y, point.x, point.y) <= ARRIVE_DISTANCE;
+  }
+
+  get arrived() {
+    return distance(this.x, this.y, this.to.x, this.to.y) <= ARRIVE_DISTANCE;
+  }
+
+  /** The chased skater got away, bailed or is gone. */
+  get lostTarget() {
+    const target = this.target;
+    if (!target || target.bailing || !this.skaters.includes(target)) return true;
+    return Math.abs(target.body.position.x - this.x) > this.sight * GUARD_LOSE_FACTOR;
+  }
+
+  /** The first skater grinding in front of it and within sight, or null. */
+  spotSkater() {
+    for (const controller of this.skaters) {
+      if (!controller.grinding) continue;
+
+      const { x, y } = controller.body.position;
+      const dx = x - this.x;
+      if (Math.sign(dx) !== this.facing && dx !== 0) continue;
+      if (Math.abs(dx) <= this.sight && Math.abs(y - this.y) <= this.sight / 2) return controller;
+    }
+    return null;
+  }
+
+  // --- Per-step update -------------------------------------------------
+
+  /**
+   * One fixed step at time `now` (ms). `skaters` are the PlayerControllers
+   * it can see and chase.
+   */
+  update(now, skaters = []) {
+    this.now = now;
+    this.skaters = skaters;
+
+    this.behaviour.update(now);
+
+    switch (this.state.move) {
+      case 'patrol':
+        this.moveTowards(this.path[this.waypoint], this.speed);
+        break;
+      case 'chase':
+        this.moveTowards({ x: this.target.body.position.x, y: this.y }, this.chaseSpeed);
+        break;
+      case 'drive':
+        this.moveTowards(this.to, this.speed);
+        break;
+    }
+
+    this.Body.setPosition(this.body, { x: this.x, y: this.y - this.height / 2 });
+  }
+
+  moveTowards(point, speed) {
+    const dx = point.x - this.x;
+    const dy = point.y - this.y;
+    const length = Math.hypot(dx, dy);
+
+    if (length <= speed) {
+      this.x = point.x;
+      this.y = point.y;
+    } else {
+      this.x += (dx / length) * speed;
+      this.y += (dy / length) * speed;
+    }
+    if (dx !== 0) this.facing = Math.sign(dx);
+  }
+
+  onEnter(name) {
+    switch (name) {
+      case 'wait':
+        this.nextWaypoint();
+        break;
+      case 'chase':
+        this.target = this.spotSkater();
+        break;
+      case 'return':
+        this.target = null;
+        break;
+      case 'driving':
+        this.x = this.from.x;
+        this.y = this.from.y;
+        this.nextDriveAt += this.every;
+        break;
+    }
+    this.emit('enter', name);
+  }
+
+  /** Ping-pong along the path. */
+  nextWaypoint() {
+    if (this.path.length < 2) return;
+    if (this.waypoint + this.step < 0 || this.waypoint + this.step >= this.path.length) this.step = -this.step;
+    this.waypoint += this.step;
+  }
+
+  // --- Hits ------------------------------------------------------------
+
+  /**
+   * A skater (its PlayerController) ran into it. Applies and returns the
+   * outcome, or null if nothing happens – nothing to do right now, or the
+   * same skater was hit a moment ago.
+   */
+  touch(controller) {
+    const outcome = this.outcome;
+    if (!outcome || controller.bailing) return null;
+
+    const last = this.lastHit.get(controller.body.id);
+    if (last !== undefined && this.now - last < HIT_COOLDOWN) return null;
+    this.lastHit.set(controller.body.id, this.now);
+
+    hitSkater(controller, outcome, this.x);
+    this.emit('hit', controller, outcome);
+    return outcome;
+  }
+
+  destroy() {
+    this.behaviour.destroy();
+    super.destroy();
+  }
+}
+
+/** What a hazard at `fromX` does to a skater, for an outcome (see above). */
+export function hitSkater(controller, outcome, fromX) {
+  const { body } = controller;
+
+  switch (outcome) {
+    case 'bail':
+      controller.bail('hazard');
+      break;
+
+    case 'bump': {
+      if (controller.grinding) controller.endGrind('fell');
+      const away = Math.sign(body.position.x - fromX) || 1;
+      controller.setVelocity(away * BUMP_SPEED, -BUMP_LIFT);
+      break;
+    }
+
+    case 'slow':
+      controller.setVelocity(body.velocity.x * SLOW_FACTOR, body.velocity.y);
+      break;
+
+    default:
+      throw new Error(`Unknown hazard outcome "${outcome}"`);
+  }
+}
@@ -0,0 +1,61 @@
+// ======================================================================
+//  MATH – the few Phaser.Math helpers the core needs, without Phaser
+// ======================================================================
+
+export function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function linear(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function distance(x1, y1, x2, y2) {
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+export function degToRad(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/** Angle wrapped into -PI..PI (Phaser.Math.Angle.Wrap). */
+export function wrapAngle(angle) {
+  const range = Math.PI * 2;
+  return -Math.PI + ((((angle + Math.PI) % range) + range) % range);
+}
+
+/**
+ * Turn `current` towards `target` by at most `step` radians, the short
+ * way round (Phaser.Math.Angle.RotateTo).
+ */
+export function rotateTo(current, target, step) {
+  if (current === target) return current;
+
+  const PI2 = Math.PI * 2;
+  const diff = Math.abs(target - current);
+  if (diff <= step || diff >= PI2 - step) return target;
+
+  if (diff > Math.PI) target += target < current ? PI2 : -PI2;
+  return target > current ? current + step : current - step;
+}
+
+/**
+ * Small seeded random generator (mulberry32). The same seed always gives
+ * the same numbers, which is what keeps replays in step.
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  const frac = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    frac,
+    realInRange: (min, max) => min + frac() * (max - min),
+  };
+}
@@ -0,0 +1,586 @@
+// ======================================================================
+//  PLAYER – the skater's body and the controller that drives it
+// ======================================================================
+//
+// No Phaser in here: the controller moves a bare Matter body and keeps
+// its own state (facing, kicking, grinding...). The game draws a sprite
+// from that state; the headless tests don't draw at all.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+import { clamp, createRng, degToRad, linear, rotateTo, wrapAngle } from './math.js';
+import { FIXED_STEP_MS, SKATER_GROUP } from './world.js';
+import { clearFootContacts, createFootContacts } from './contacts.js';
+import { groundSurfaceAt } from './ground.js';
+import { TUNING_DEFAULTS } from './tuning.js';
+
+// The sprite is 128x170 with the wheels on its bottom edge; the body is
+// the legs + torso, not including the board & wheels
+export const SPRITE_HEIGHT = 170;
+const BODY_HEIGHT = 120;
+const BODY_WIDTH = 60;
+
+/**
+ * The skater's compound body at (x, y): a box whose bottom meets the
+ * wheels, and a FOOT_SENSOR just under them. Never rotates by itself,
+ * and carries its `footContacts` (see contacts.js).
+ */
+export function createPlayerBody(Matter, x, y) {
+  // Where is the bottom of the BODY relative to the sprite?
+  // Sprite bottom = wheels = true contact point.
+  // Body bottom must meet wheels.
+  //
+  // Sprite bottom (center + 85)
+  // Body bottom (center + BODY_HEIGHT/2)
+  // offsetY = (SPRITE_HEIGHT/2) - (BODY_HEIGHT/2)
+  const offsetY = (SPRITE_HEIGHT / 2) - (BODY_HEIGHT / 2);
+
+  const mainBody = Matter.Bodies.rectangle(
+    0,
+    offsetY,            // shift downward so body bottom touches wheels
+    BODY_WIDTH,
+    BODY_HEIGHT,
+    { label: 'PLAYER' }
+  );
+
+  // Foot sensor slightly below wheels
+  const footSensor = Matter.Bodies.rectangle(
+    0,
+    offsetY + BODY_HEIGHT / 2 + 5,
+    BODY_WIDTH * 0.6,
+    6,
+    {
+      isSensor: true,
+      label: 'FOOT_SENSOR'
+    }
+  );
+
+  const compound = Matter.Body.create({
+    parts: [mainBody, footSensor],
+    friction: 0,
+    frictionStatic: 0,
+    frictionAir: TUNING_DEFAULTS.airFriction,
+    restitution: 0,
+    label: 'PLAYER',
+    collisionFilter: { group: SKATER_GROUP },
+  });
+
+  Matter.Body.setInertia(compound, Infinity);
+  Matter.Body.setPosition(compound, { x, y });
+
+  compound.footContacts = createFootContacts();
+
+  return compound;
+}
+
+// What the controller takes from the tuning values (see tuning.js)
+const CONTROLLER_TUNING = [
+  'jumpSpeed',
+  'moveAccel',
+  'idleThreshold',
+  'maxVelX',
+  'maxVelY',
+  'maxSlopeSpeed',
+  'slopeGravity',
+  'kickSpeed',
+  'brakeFactor',
+  'driftFlat',
+  'driftSlope',
+  'airFriction',
+];
+
+// Grinding: speed lost per frame, slope pull, and how the balance drifts
+const GRIND_FRICTION = 0.995;
+const GRIND_GRAVITY = 0.25;
+const GRIND_MIN_SPEED = 3;
+const GRIND_BALANCE_DRIFT = 0.025;   // how fast an off-centre balance tips over
+const GRIND_BALANCE_NOISE = 0.012;   // random wobble per frame
+const GRIND_BALANCE_CONTROL = 0.04;  // correction per frame from LEFT / RIGHT
+
+// Slopes: how hard we press into the ground, how fast the board turns to
+// match it, and how steep a wall has to be to launch straight up off it
+const SURFACE_STICK = 0.5;
+const SURFACE_MAX_DISTANCE = 20;
+const SLOPE_ROTATE_SPEED = 0.15;     // radians per frame
+const LIP_LAUNCH_SLOPE = 0.7;        // |sin| of the wall angle, ~45°
+
+// How long a push-off from a standstill lasts
+const KICK_TIME = 450;               // ms
+
+// Landings worse than this are bails
+const BAIL_ANGLE = degToRad(50);     // board vs. slope
+const BAIL_IMPACT_SPEED = 20;        // speed into the ground
+
+/**
+ * Drives a skater body (see createPlayerBody) from anything with the
+ * InputActions reading API: isDown / justDown / strength.
+ *
+ * On the ground the skater moves along the surface under FOOT_SENSOR:
+ * gravity is applied along the slope by hand, the board is rotated to
+ * lie on it, and steep walls launch straight up at the lip.
+ *
+ * Holding grind while coming down onto a RAIL locks into a grind: the
+ * skater is snapped to the rail's line, keeps speed along it, and has to
+ * be balanced with left / right. Jump pops out of it.
+ *
+ * Landing with the board too far off the slope, or too hard, is a bail:
+ * the skater is frozen (not colliding) until whoever runs the world
+ * calls respawn(). Other systems can force a bail with bail(reason).
+ *
+ * Its numbers come from opts.tuning (tuning values, TUNING_DEFAULTS if
+ * not given), and any of them passed as an option of its own wins over
+ * that – that's how gear works. configure() swaps them while riding.
+ *
+ * Each update() is one fixed step of FIXED_STEP_MS. The controller keeps
+ * its own clock (`now`) and random wobble (seeded by opts.seed) instead
+ * of the scene's, so the same inputs always give the same run.
+ *
+ * Emits:
+ *  - 'kick'       when a push gets the skater rolling from a standstill
+ *  - 'jump'       when an ollie is popped from the ground or a rail
+ *  - 'takeoff'    when the foot sensor leaves the ground (jump or roll-off)
+ *  - 'landed'     when the foot sensor touches ground again
+ *  - 'grindStart' (rail)          locked onto a rail
+ *  - 'grindEnd'   (rail, reason)  'end' of the rail, 'jump', 'fell' or 'bail'
+ *  - 'bail'       (reason)        'angle', 'impact', 'fell' or from bail()
+ *  - 'respawn'                    back in control after a bail
+ */
+export class PlayerController extends EventEmitter {
+  constructor(Matter, body, actions, opts = {}) {
+    super();
+
+    this.Body = Matter.Body;
+    this.body = body;
+    this.contacts = body.footContacts;
+    this.actions = actions;
+
+    this.configure(opts);
+
+    // Simulated time and randomness, see above
+    this.now = 0;
+    this.seed = opts.seed ?? Date.now();
+    this.rng = createRng(this.seed);
+
+    this.footPart = body.parts.find((part) => part.label === 'FOOT_SENSOR');
+    this.surface = null; // last surface rolled on
+
+    this.facingLeft = false;
+    this.isKicking = false;
+    this.kickEndsAt = 0;
+    this.isBraking = false;
+    this.bailing = false;
+
+    // Velocity on the last frame in the air, before the landing ate it
+    this.airVelocity = { x: 0, y: 0 };
+
+    // Last frame's ground state, used to detect takeoff / landing
+    this.wasOnGround = this.onGround;
+
+    // Grind state
+    this.grindRail = null;
+    this.grindSpeed = 0;
+    this.balance = 0;
+    this.needGrindRelease = false; // grind must come up before the next lock
+  }
+
+  /** Take new numbers: `opts` as for the constructor, minus the seed. */
+  configure(opts = {}) {
+    const tuning = { ...TUNING_DEFAULTS, ...opts.tuning };
+    for (const key of CONTROLLER_TUNING) this[key] = opts[key] ?? tuning[key];
+  }
+
+  get grinding() {
+    return this.grindRail !== null;
+  }
+
+  get onGround() {
+    return this.contacts.ground > 0;
+  }
+
+  /** What the wheels are rolling on ('concrete', 'metal', ...), or null in the air. */
+  get material() {
+    if (this.grinding) return this.grindRail.material;
+    return this.onGround && this.surface ? this.surface.material : null;
+  }
+
+  /**
+   * Standing still on the ground (the idle pose). Only speed along the
+   * surface counts: the push that keeps the wheels stuck to it doesn't.
+   */
+  get standing() {
+    const vel = this.body.velocity;
+    const tangent = this.onGround ? this.surface?.tangent : null;
+    const speed = tangent ? vel.x * tangent.x + vel.y * tangent.y : Math.hypot(vel.x, vel.y);
+    return Math.abs(speed) < this.idleThreshold;
+  }
+
+  // --- Body helpers ----------------------------------------------------
+
+  setVelocity(x, y) {
+    this.Body.setVelocity(this.body, { x, y });
+  }
+
+  setPosition(x, y) {
+    this.Body.setPosition(this.body, { x, y });
+  }
+
+  setIgnoreGravity(value) {
+    this.body.ignoreGravity = value;
+  }
+
+  // --- Per-step update -------------------------------------------------
+
+  update() {
+    this.now += FIXED_STEP_MS;
+
+    const body = this.body;
+    if (this.bailing) return;
+
+    if (this.isKicking && this.now >= this.kickEndsAt) this.isKicking = false;
+
+    const actions = this.actions;
+    const input = {
+      left: actions.isDown('left'),
+      right: actions.isDown('right'),
+      down: actions.isDown('brake'),
+      jump: actions.justDown('jump'),
+      // How hard to push: 1 on keys, less on a half-tilted stick
+      push: Math.max(actions.strength('left'), actions.strength('right')),
+    };
+    const grindHeld = actions.isDown('grind');
+
+    if (!grindHeld) this.needGrindRelease = false;
+
+    // Grinding replaces all normal movement
+    if (this.grinding) {
+      this.updateGrind(input.left, input.right, input.jump);
+      return;
+    }
+
+    // Coming down onto a rail with grind held locks into a grind
+    if (grindHeld && !this.needGrindRelease && !this.wasOnGround && body.velocity.y >= -1) {
+      const sensor = this.contacts.rails.values().next().value;
+      if (sensor) {
+        this.startGrind(sensor.rail);
+        return;
+      }
+    }
+
+    // Air / ground transitions (contacts come from CollisionService)
+    const onGround = this.onGround;
+    if (onGround !== this.wasOnGround) {
+      this.wasOnGround = onGround;
+
+      if (onGround) {
+        const badLanding = this.checkLanding();
+        if (badLanding) {
+          this.bail(badLanding);
+          return;
+        }
+      } else {
+        this.launchFromSurface();
+      }
+
+      this.emit(onGround ? 'landed' : 'takeoff');
+
+      // A listener may have bailed us (e.g. landing mid-flip)
+      if (this.bailing) return;
+    }
+
+    // On the ground we do gravity ourselves, along the surface. Air drag
+    // is for the air only: on the ground we set the speed ourselves, and
+    // drag on top would cap a push well under maxVelX
+    const surface = onGround ? this.findSurface() : null;
+    this.setIgnoreGravity(surface !== null);
+    body.frictionAir = surface ? 0 : this.airFriction;
+
+    if (surface) {
+      this.surface = surface;
+      this.updateGround(surface, input);
+    } else {
+      this.updateAir(input);
+    }
+  }
+
+  /**
+   * Rolling: all motion happens along the surface tangent. Pushing gets
+   * you up to maxVelX, gravity on a slope can take you up to
+   * maxSlopeSpeed, and the board is turned to lie on the slope.
+   */
+  updateGround(surface, input) {
+    const { tangent, normal } = surface;
+    const vel = this.body.velocity;
+
+    // Signed speed along the surface (positive = rightwards)
+    let speed = vel.x * tangent.x + vel.y * tangent.y;
+    const still = Math.abs(speed) < this.idleThreshold;
+
+    // Kick from standstill
+    if (!this.isKicking && still && (input.left || input.right)) {
+      this.isKicking = true;
+      speed = input.right ? this.kickSpeed : -this.kickSpeed;
+      this.kickEndsAt = this.now + KICK_TIME;
+      this.emit('kick');
+    }
+
+    // Braking – damp velocity
+    this.isBraking = input.down;
+    if (input.down) speed *= this.brakeFactor;
+
+    // Gravity, split along the slope
+    speed += this.slopeGravity * tangent.y;
+
+    // Pushing
+    if (!input.down) {
+      if (input.left) {
+        if (speed > -this.maxVelX) speed = Math.max(speed - this.moveAccel * input.push, -this.maxVelX);
+        this.facingLeft = true;
+      } else if (input.right) {
+        if (speed < this.maxVelX) speed = Math.min(speed + this.moveAccel * input.push, this.maxVelX);
+        this.facingLeft = false;
+      } else {
+        // Natural drift, much lighter on slopes so ramps can be pumped
+        const steepness = Math.min(1, Math.abs(tangent.y) / 0.3);
+        speed *= linear(this.driftFlat, this.driftSlope, steepness);
+      }
+    }
+
+    speed = clamp(speed, -this.maxSlopeSpeed, this.maxSlopeSpeed);
+
+    // Move along the surface, pressed lightly into it so curves hold us
+    let vx = tangent.x * speed - normal.x * SURFACE_STICK;
+    let vy = tangent.y * speed - normal.y * SURFACE_STICK;
+
+    // Jump – pop off along the surface normal
+    if (input.jump) {
+      vx = tangent.x * speed + normal.x * -this.jumpSpeed;
+      vy = tangent.y * speed + normal.y * -this.jumpSpeed;
+      this.setIgnoreGravity(false);
+      this.emit('jump');
+    }
+
+    this.setVelocity(vx, vy);
+
+    // Board follows the slope
+    const slopeAngle = Math.atan2(tangent.y, tangent.x);
+    this.setBoardAngle(rotateTo(this.body.angle, slopeAngle, SLOPE_ROTATE_SPEED));
+  }
+
+  /** Airborne: steer a little, keep whatever angle we left the ground at. */
+  updateAir(input) {
+    const vel = this.body.velocity;
+
+    this.isBraking = false;
+
+    this.airVelocity = { x: vel.x, y: vel.y };
+
+    let vx = vel.x;
+    if (input.left) {
+      if (vx > -this.maxVelX) vx = Math.max(vx - this.moveAccel * input.push, -this.maxVelX);
+      this.facingLeft = true;
+    } else if (input.right) {
+      if (vx < this.maxVelX) vx = Math.min(vx + this.moveAccel * input.push, this.maxVelX);
+      this.facingLeft = false;
+    }
+
+    // Clamp vertical speed to avoid craziness
+    this.setVelocity(vx, Math.min(vel.y, this.maxVelY));
+  }
+
+  /**
+   * Leaving a steep wall going up (a quarter pipe lip) sends the skater
+   * straight up, so he comes back down into the ramp instead of flying
+   * onto the deck.
+   */
+  launchFromSurface() {
+    const surface = this.surface;
+    const vel = this.body.velocity;
+    if (!surface || vel.y >= 0) return;
+
+    if (Math.abs(surface.tangent.y) > LIP_LAUNCH_SLOPE) {
+      this.setVelocity(0, -Math.hypot(vel.x, vel.y));
+    }
+  }
+
+  /**
+   * Is the landing we just made a bail? Returns the reason, or null for
+   * a clean one.
+   */
+  checkLanding() {
+    const surface = this.findSurface();
+    if (!surface) return null;
+
+    const slopeAngle = Math.atan2(surface.tangent.y, surface.tangent.x);
+    const offBy = Math.abs(wrapAngle(this.body.angle - slopeAngle));
+    if (offBy > BAIL_ANGLE) return 'angle';
+
+    const v = this.airVelocity;
+    const impact = -(v.x * surface.normal.x + v.y * surface.normal.y);
+    if (impact > BAIL_IMPACT_SPEED) return 'impact';
+
+    return null;
+  }
+
+  // --- Bail ------------------------------------------------------------
+
+  /**
+   * Crash. The skater is taken out of the physics world until respawn();
+   * the game is expected to hide it, show a crash and call respawn().
+   */
+  bail(reason) {
+    if (this.bailing) return;
+
+    if (this.grinding) this.endGrind('bail');
+
+    const body = this.body;
+    this.bailing = true;
+    this.isKicking = false;
+    this.isBraking = false;
+
+    // Keep the velocity around so the crash can fly off with it
+    this.bailVelocity = { ...body.velocity };
+
+    this.savedCollisionMask = body.collisionFilter.mask;
+    body.collisionFilter.mask = 0;
+    this.setIgnoreGravity(true);
+    this.setVelocity(0, 0);
+
+    this.emit('bail', reason);
+  }
+
+  respawn(x, y) {
+    const body = this.body;
+
+    this.Body.setAngle(body, 0);
+    this.setPosition(x, y);
+    this.setVelocity(0, 0);
+    body.collisionFilter.mask = this.savedCollisionMask;
+    this.setIgnoreGravity(false);
+
+    // Contacts come back through the world's collision events
+    clearFootContacts(this.contacts);
+
+    this.bailing = false;
+    this.wasOnGround = false;
+    this.surface = null;
+    this.airVelocity = { x: 0, y: 0 };
+
+    this.emit('respawn');
+  }
+
+  /** The closest surface under the foot sensor, or null. */
+  findSurface() {
+    const foot = this.footPart.position;
+    let best = null;
+
+    for (const part of this.contacts.groundParts) {
+      const surface = groundSurfaceAt(part, foot.x, foot.y);
+      if (!surface || surface.distance > SURFACE_MAX_DISTANCE) continue;
+      if (!best || surface.distance < best.distance) best = surface;
+    }
+
+    return best;
+  }
+
+  /** Rotate the skater around the wheels, so the board stays put. */
+  setBoardAngle(angle) {
+    const foot = this.footPart.position;
+    const before = { x: foot.x, y: foot.y };
+
+    this.Body.setAngle(this.body, angle);
+    this.Body.translate(this.body, { x: before.x - foot.x, y: before.y - foot.y });
+  }
+
+  // --- Grinding --------------------------------------------------------
+
+  startGrind(rail) {
+    const body = this.body;
+
+    // Keep the momentum that runs along the rail
+    const along = body.velocity.x * rail.dir.x + body.velocity.y * rail.dir.y;
+    const facing = this.facingLeft ? -1 : 1;
+    this.grindSpeed = Math.abs(along) < GRIND_MIN_SPEED ? facing * GRIND_MIN_SPEED : along;
+
+    this.grindRail = rail;
+    this.balance = this.rng.realInRange(-0.15, 0.15);
+
+    this.setIgnoreGravity(true);
+    this.setBoardAngle(rail.angle);
+
+    this.emit('grindStart', rail);
+    if (this.grinding) this.snapToRail();
+  }
+
+  endGrind(reason) {
+    const rail = this.grindRail;
+
+    this.grindRail = null;
+    this.needGrindRelease = true;
+    this.setIgnoreGravity(false);
+
+    // Let the next frame work out whether we came off onto ground or air
+    this.wasOnGround = false;
+
+    this.emit('grindEnd', rail, reason);
+  }
+
+  updateGrind(left, right, jumpPressed) {
+    const rail = this.grindRail;
+
+    if (jumpPressed) {
+      this.endGrind('jump');
+      this.setVelocity(this.body.velocity.x, this.jumpSpeed);
+      this.emit('jump');
+      return;
+    }
+
+    // Slope pulls along the rail, friction slowly eats speed
+    this.grindSpeed = (this.grindSpeed + GRIND_GRAVITY * rail.dir.y) * GRIND_FRICTION;
+
+    // Balance tips further the more off-centre it is; LEFT / RIGHT correct
+    this.balance += this.balance * GRIND_BALANCE_DRIFT;
+    this.balance += this.rng.realInRange(-GRIND_BALANCE_NOISE, GRIND_BALANCE_NOISE);
+    if (left) this.balance -= GRIND_BALANCE_CONTROL;
+    if (right) this.balance += GRIND_BALANCE_CONTROL;
+
+    if (Math.abs(this.balance) >= 1) {
+      this.endGrind('fell');
+      this.bail('fell');
+      return;
+    }
+
+    if (!this.snapToRail()) {
+      this.endGrind('end');
+      return;
+    }
+
+    this.facingLeft = this.grindSpeed < 0;
+  }
+
+  /**
+   * Put the wheels on the rail's line at the skater's current distance
+   * along it, moving at `grindSpeed`. Returns false once past either end.
+   */
+  snapToRail() {
+    const rail = this.grindRail;
+    const body = this.body;
+    const foot = this.footPart.position;
+
+    const t = (foot.x - rail.a.x) / (rail.b.x - rail.a.x || 1);
+    if (t < 0 || t > 1) return false;
+
+    // The sensor's centre is 5px under the wheels (see createPlayerBody)
+    const railX = rail.a.x + (rail.b.x - rail.a.x) * t;
+    const railY = rail.a.y + (rail.b.y - rail.a.y) * t;
+    const footX = railX - Math.sin(rail.angle) * 5;
+    const footY = railY + Math.cos(rail.angle) * 5;
+
+    this.setPosition(
+      body.position.x + footX - foot.x,
+      body.position.y + footY - foot.y
+    );
+    this.setVelocity(this.grindSpeed * rail.dir.x, this.grindSpeed * rail.dir.y);
+
+    return true;
+  }
+}
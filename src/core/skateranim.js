@@ -0,0 +1,57 @@
+// ======================================================================
+//  SKATER ANIMATIONS – the state table for a PlayerController's skater
+// ======================================================================
+//
+// Reads the controller and its events, nothing else: a new move is a new
+// state here (and its animation in main.js), not a change to the
+// movement code. `anim` names the animation to play; `hidden` states
+// hide the sprite (the scene shows crash debris during a bail).
+// ======================================================================
+
+import { AnimationStateMachine } from './animstate.js';
+
+// Where every state on the ground can go next, first match wins
+const ON_GROUND = [
+  { to: 'air', when: (c) => !c.onGround },
+  { to: 'push', on: 'kick' },
+  { to: 'brake', when: (c) => c.isBraking },
+  { to: 'idle', when: (c) => c.standing },
+  { to: 'roll', when: () => true },
+];
+
+export const SKATER_ANIMATIONS = {
+  initial: 'idle',
+
+  any: [
+    { to: 'bail', when: (c) => c.bailing },
+    { to: 'grind', when: (c) => c.grinding },
+    { to: 'ollie', on: 'jump' },
+  ],
+
+  states: {
+    idle: { anim: 'idle', transitions: ON_GROUND },
+    roll: { anim: 'roll', transitions: ON_GROUND },
+    push: { anim: 'push', minDuration: 450, transitions: ON_GROUND },
+    brake: { anim: 'brake', transitions: ON_GROUND },
+
+    ollie: {
+      anim: 'ollie',
+      minDuration: 150,
+      transitions: [
+        { to: 'land', when: (c) => c.onGround },
+        { to: 'air', when: () => true },
+      ],
+    },
+    air: { anim: 'air', transitions: [{ to: 'land', when: (c) => c.onGround }] },
+    land: { anim: 'land', minDuration: 200, transitions: ON_GROUND },
+
+    grind: { anim: 'grind', transitions: [{ to: 'air', when: (c) => !c.grinding }] },
+
+    bail: { anim: 'bail', hidden: true, transitions: [{ to: 'roll', when: (c) => !c.bailing }] },
+  },
+};
+
+/** A state machine for `controller`'s skater; update() it with controller.now. */
+export function createSkaterAnimator(controller, table = SKATER_ANIMATIONS) {
+  return new AnimationStateMachine(table, controller);
+}
@@ -0,0 +1,450 @@
+// ======================================================================
+//  SPOT GENERATOR – seeded skate spots from parameterized pieces
+// ======================================================================
+//
+// generateSpot(seed) lays out a level, in the same shape as the files in
+// levels/, from left to right: a quarter pipe, a run of pieces with flat
+// run-ups between them, a flat with the exit, and a quarter pipe back.
+// The ground is one continuous spline that every piece adds on to:
+//
+//   bank     a slope up or down to a new ground height
+//   funbox   bank up, flat top with coping to grind, bank down
+//   stairs   steps down with a handrail over them
+//   gap      a trench to ollie over
+//   rail     a free-standing rail over the flat
+//
+// Rideable by construction, for the PlayerController options given in
+// opts.controller (on top of TUNING_DEFAULTS):
+//
+//  - no slope up is steeper than pushing can climb from a standstill
+//  - gaps and stairs are sized from ollieReach(): an ollie at full speed
+//    from the lip clears them, and one from a trench floor climbs back out
+//  - rails and collectibles hang no higher than an ollie reaches
+//  - every piece has a run-up long enough to get back to full speed
+//
+// Only for those options: the game passes the weakest gear on the default
+// tuning, so a spot stays the same for everyone who rides its seed. With
+// a tuning preset that is slower, weaker or heavier than the defaults
+// (see tuning.js) the guarantee is off, and a gap may not clear.
+//
+// The same seed and options give the same spot, so a date makes a daily
+// challenge (see dailySeed). The level's `generated` entry lists where a
+// skater holding forward has to ollie: `jumps`, the x of every lip.
+// ======================================================================
+
+import { createRng } from './math.js';
+import { TUNING_DEFAULTS } from './tuning.js';
+import { FIXED_STEP_MS } from './world.js';
+
+// Matter's gravity scale: velocity gained per ms² for 1 of gravity
+const GRAVITY_SCALE = 0.001;
+
+const WORLD_HEIGHT = 600;
+
+// Ground heights the pieces keep between, and where the spot starts
+const GROUND_TOP = 300;
+const GROUND_BOTTOM = 520;
+const START_GROUND = 480;
+
+// Share of a physical limit a piece may use, so nothing is frame-perfect
+const REACH_MARGIN = 0.6;
+
+// Risers and trench walls lean by 1px: x keeps going up along the
+// spline, and edges this steep count as walls (see groundSurfaceAt)
+const WALL_LEAN = 1;
+
+const MAX_DOWN_SLOPE = 0.5;              // sin of the steepest way down, 30°
+
+// Slopes are eased in and out (smoothstep), so the board's box doesn't
+// catch on a sharp kink at the foot. Their steepest part is this much
+// steeper than the average, and they're laid down in this many segments
+const SLOPE_PEAK = 1.5;
+const SLOPE_SEGMENTS = 8;
+const RUN_UP = { min: 260, max: 420 };   // flat before every piece
+const GAP_TAKEOFF = 24;                  // ollie this far before the lip
+const EXIT_RUN = 320;
+
+const QUARTER_DECK = 80;
+const QUARTER_ARC_STEPS = 8;
+const QUARTER_MAX_ANGLE = Math.PI / 3;   // past LIP_LAUNCH_SLOPE, so the lip sends you straight up
+
+// Collectibles ride this far above whatever they hang over
+const PICKUP_HEIGHT = 30;
+
+const SPOT_WORD = 'SKATE';
+
+export const SPOT_STYLE = {
+  background: '#171a21',
+  music: 'mainMusic',
+  assets: ['street'],
+  parallax: [
+    { texture: 'titleBg', scrollFactor: 0.2, y: 0, height: 480, tint: '#555555', depth: -40 },
+    { texture: 'gameBg', scrollFactor: 0.5, y: 200, height: 280, offsetY: 279, depth: -30 },
+  ],
+  ground: { material: 'concrete', fill: '#30343f' },
+};
+
+/** 20261019 for 19 Oct 2026 (local time): one seed, one spot per day. */
+export function dailySeed(date = new Date()) {
+  return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
+/**
+ * The arc of an ollie popped on the flat at full speed, holding forward
+ * the whole way like PlayerController.updateAir() does, until it comes
+ * back down to the takeoff height.
+ *
+ * Returns { height, distance, arc }: the highest point and where it
+ * lands, in px, and the path as { x, y } offsets from the takeoff.
+ */
+export function ollieReach(controller = {}) {
+  const { maxVelX, moveAccel, jumpSpeed, airFriction, gravity } = { ...TUNING_DEFAULTS, ...controller };
+  const gravityPerStep = gravity * GRAVITY_SCALE * FIXED_STEP_MS ** 2;
+
+  let x = 0;
+  let y = 0;
+  let vx = maxVelX;
+  let vy = jumpSpeed;
+  let height = 0;
+  const arc = [];
+
+  do {
+    // Matter: drag and gravity, then the controller's push
+    vx *= 1 - airFriction;
+    vy = vy * (1 - airFriction) + gravityPerStep;
+    x += vx;
+    y += vy;
+    height = Math.max(height, -y);
+    arc.push({ x, y });
+    vx = Math.min(vx + moveAccel, maxVelX);
+  } while (y < 0);
+
+  return { height, distance: x, arc };
+}
+
+/** How high the ollie arc is `dx` past the takeoff (0 past its end). */
+function arcHeightAt(reach, dx) {
+  const point = reach.arc.find((p) => p.x >= dx);
+  return point ? -point.y : 0;
+}
+
+/**
+ * Steepest slope up (as a sine) pushing can still climb: the push has to
+ * beat gravity along it.
+ */
+export function maxClimb(controller = {}) {
+  const { moveAccel, slopeGravity } = { ...TUNING_DEFAULTS, ...controller };
+  return Math.min(MAX_DOWN_SLOPE, (moveAccel / slopeGravity) * 0.9);
+}
+
+/**
+ * Horizontal length of a slope (see SpotBuilder.slope) of `rise` px that
+ * is `sin` steep at its steepest.
+ */
+function runFor(rise, sin) {
+  return Math.ceil((SLOPE_PEAK * rise * Math.sqrt(1 - sin * sin)) / sin);
+}
+
+// ======================================================================
+//  Pieces: fits(b) says whether there is room for it at the end of the
+//  ground so far, build(b) adds it
+// ======================================================================
+
+const PIECES = {
+  bank: {
+    weight: 3,
+    fits: () => true,
+    build(b) {
+      const { y } = b.end;
+      const roomUp = y - GROUND_TOP;
+      const roomDown = GROUND_BOTTOM - y;
+      const up = roomDown < 40 || (roomUp >= 40 && b.chance(0.5));
+
+      const rise = b.int(40, Math.min(120, up ? roomUp : roomDown));
+      const sin = (up ? b.climb : MAX_DOWN_SLOPE) * b.real(0.6, 1);
+      const run = runFor(rise, sin);
+
+      b.pickup(b.end.x + run / 2, y + (up ? -rise : rise) / 2 - PICKUP_HEIGHT);
+      b.slope(run, up ? -rise : rise);
+    },
+  },
+
+  funbox: {
+    weight: 3,
+    fits: (b) => b.end.y - GROUND_TOP >= 40,
+    build(b) {
+      const height = b.int(40, Math.min(80, b.end.y - GROUND_TOP));
+      const top = b.int(140, 260);
+
+      b.slope(runFor(height, b.climb * b.real(0.7, 1)), -height);
+      const { x, y } = b.end;
+      b.by(top, 0);
+      b.rails.push({ type: 'coping', points: [{ x, y }, { x: x + top, y }] });
+      b.pickup(x + top / 2, y - PICKUP_HEIGHT);
+      b.slope(runFor(height, MAX_DOWN_SLOPE * b.real(0.6, 1)), height);
+    },
+  },
+
+  stairs: {
+    weight: 2,
+    fits: (b) => GROUND_BOTTOM - b.end.y >= 3 * 16,
+    build(b) {
+      const stepHeight = b.int(16, 24);
+      const tread = b.int(36, 52);
+      // Short enough to ollie down all at once: rolling off every step
+      // catches the board on the next nose
+      const steps = b.int(
+        3,
+        Math.min(
+          6,
+          Math.floor((GROUND_BOTTOM - b.end.y) / stepHeight),
+          Math.floor((b.reach.distance * REACH_MARGIN) / tread)
+        )
+      );
+      const railHeight = b.int(44, Math.min(60, Math.floor(b.reach.height * REACH_MARGIN)));
+
+      const start = b.end;
+      b.jumps.push(start.x - GAP_TAKEOFF);
+      for (let i = 0; i < steps; i++) {
+        b.by(WALL_LEAN, stepHeight);
+        if (i < steps - 1) b.by(tread, 0);
+      }
+      const bottom = b.end;
+      b.by(tread, 0);
+      b.landing(start.x - GAP_TAKEOFF);
+
+      // Handrail from the top nose to the last riser
+      const a = { x: start.x, y: start.y - railHeight };
+      const c = { x: bottom.x, y: bottom.y - railHeight };
+      b.rails.push({ type: 'rail', points: [a, c], postHeight: railHeight });
+      b.pickup((a.x + c.x) / 2, (a.y + c.y) / 2 - PICKUP_HEIGHT);
+    },
+  },
+
+  gap: {
+    weight: 2,
+    fits: () => true,
+    build(b) {
+      const width = b.int(80, Math.floor(b.reach.distance * REACH_MARGIN));
+      const depth = b.int(
+        40,
+        Math.max(40, Math.min(Math.floor(b.reach.height * REACH_MARGIN), WORLD_HEIGHT - 40 - b.end.y))
+      );
+      const { x, y } = b.end;
+
+      b.jumps.push(x - GAP_TAKEOFF);
+      b.by(WALL_LEAN, depth);
+      b.by(width, 0);
+      b.by(WALL_LEAN, -depth);
+      b.landing(x - GAP_TAKEOFF);
+
+      // Over the middle, on the way across
+      const middle = width / 2 + GAP_TAKEOFF;
+      b.pickup(x + width / 2, y - arcHeightAt(b.reach, middle) - PICKUP_HEIGHT);
+    },
+  },
+
+  rail: {
+    weight: 3,
+    fits: () => true,
+    build(b) {
+      const lead = b.int(40, 80);
+      const length = b.int(160, 300);
+      const height = b.int(40, Math.min(70, Math.floor(b.reach.height * REACH_MARGIN)));
+      const { x, y } = b.end;
+
+      const a = { x: x + lead, y: y - height };
+      const c = { x: x + lead + length, y: y - height };
+      b.rails.push({ type: 'rail', points: [a, c], postHeight: height });
+      b.pickup(x + lead + length / 2, y - height - PICKUP_HEIGHT);
+      b.by(lead * 2 + length, 0);
+    },
+  },
+};
+
+/** Ground, rails and pickup spots as they are laid down, left to right. */
+class SpotBuilder {
+  constructor(rng, controller) {
+    this.rng = rng;
+    this.reach = ollieReach(controller);
+    this.climb = maxClimb(controller);
+
+    this.points = [];
+    this.rails = [];
+    this.pickups = [];   // { x, y } candidates, reachable by construction
+    this.jumps = [];
+  }
+
+  get end() {
+    return this.points[this.points.length - 1];
+  }
+
+  real(min, max) {
+    return this.rng.realInRange(min, max);
+  }
+
+  /** Whole number in min..max, both included. */
+  int(min, max) {
+    return Math.min(max, Math.floor(this.rng.realInRange(min, max + 1)));
+  }
+
+  chance(p) {
+    return this.rng.frac() < p;
+  }
+
+  lineTo(x, y) {
+    this.points.push({ x: Math.round(x), y: Math.round(y) });
+  }
+
+  by(dx, dy) {
+    this.lineTo(this.end.x + dx, this.end.y + dy);
+  }
+
+  /** Eased from flat to flat over `dx`, `dy` down (negative is up). */
+  slope(dx, dy) {
+    const { x, y } = this.end;
+    for (let i = 1; i <= SLOPE_SEGMENTS; i++) {
+      const t = i / SLOPE_SEGMENTS;
+      this.lineTo(x + dx * t, y + dy * t * t * (3 - 2 * t));
+    }
+  }
+
+  /** Flat on to where an ollie popped at `takeoff` comes back down. */
+  landing(takeoff) {
+    const length = Math.ceil(takeoff + this.reach.distance - this.end.x);
+    if (length > 0) this.by(length, 0);
+  }
+
+  pickup(x, y) {
+    this.pickups.push({ x: Math.round(x), y: Math.round(y) });
+  }
+
+  flat(length) {
+    const { x, y } = this.end;
+    if (length > 200 && this.chance(0.5)) this.pickup(x + length / 2, y - PICKUP_HEIGHT);
+    this.by(length, 0);
+  }
+
+  // --- Quarter pipes ---------------------------------------------------
+
+  /** Deck at x = 0, rolling down to the right onto `floor`. */
+  quarterPipeIn(height, floor) {
+    const profile = quarterProfile(height);
+    const reach = profile[profile.length - 1].x;
+
+    this.lineTo(0, floor - height);
+    this.lineTo(QUARTER_DECK, floor - height);
+    for (let i = profile.length - 2; i >= 0; i--) {
+      this.lineTo(QUARTER_DECK + reach - profile[i].x, floor - profile[i].y);
+    }
+    this.rails.push({
+      type: 'coping',
+      points: [{ x: 0, y: floor - height }, { x: QUARTER_DECK, y: floor - height }],
+    });
+  }
+
+  /** From the end of the ground up to a deck on the right. */
+  quarterPipeOut(height) {
+    const { x, y } = this.end;
+    for (const p of quarterProfile(height).slice(1)) this.lineTo(x + p.x, y - p.y);
+
+    const lip = this.end;
+    this.by(QUARTER_DECK, 0);
+    this.rails.push({ type: 'coping', points: [{ ...lip }, { ...this.end }] });
+  }
+
+  pick() {
+    const fitting = Object.entries(PIECES).filter(([, piece]) => piece.fits(this));
+    let roll = this.rng.frac() * fitting.reduce((sum, [, piece]) => sum + piece.weight, 0);
+    for (const [name, piece] of fitting) {
+      roll -= piece.weight;
+      if (roll < 0) return name;
+    }
+    return fitting[fitting.length - 1][0];
+  }
+}
+
+/**
+ * A quarter pipe's transition as { x, y } up and along from its foot: a
+ * circle arc from flat to QUARTER_MAX_ANGLE, `height` high.
+ */
+function quarterProfile(height) {
+  const radius = height / (1 - Math.cos(QUARTER_MAX_ANGLE));
+  const profile = [];
+  for (let i = 0; i <= QUARTER_ARC_STEPS; i++) {
+    const angle = (QUARTER_MAX_ANGLE * i) / QUARTER_ARC_STEPS;
+    profile.push({ x: radius * Math.sin(angle), y: radius * (1 - Math.cos(angle)) });
+  }
+  return profile;
+}
+
+/**
+ * A level (see LEVELS in main.js) for `seed`.
+ *
+ *   opts.pieces      how many pieces between the quarter pipes (default 8)
+ *   opts.controller  tuning values (see tuning.js) it has to be rideable with
+ *   opts.exitTo      room the exit leads to (default 'street')
+ *   opts.name        level name (default "Spot #<seed>")
+ *   opts.style       background, music, assets, parallax and ground look
+ *                    (SPOT_STYLE)
+ */
+export function generateSpot(seed, opts = {}) {
+  const rng = createRng(seed);
+  const style = { ...SPOT_STYLE, ...opts.style };
+  const b = new SpotBuilder(rng, opts.controller);
+
+  b.quarterPipeIn(b.int(140, 200), START_GROUND);
+  const spawn = { x: b.end.x + 60, y: START_GROUND - 150 };
+
+  const pieces = [];
+  for (let i = 0; i < (opts.pieces ?? 8); i++) {
+    b.flat(b.int(RUN_UP.min, RUN_UP.max));
+    const name = b.pick();
+    PIECES[name].build(b);
+    pieces.push(name);
+  }
+
+  b.flat(b.int(RUN_UP.min, RUN_UP.max));
+  const exitGround = b.end;
+  b.by(EXIT_RUN, 0);
+  b.quarterPipeOut(b.int(140, 200));
+
+  const exitTo = opts.exitTo ?? 'street';
+  const exit = { x: exitGround.x + EXIT_RUN / 2, y: exitGround.y - 80, width: 32, height: 32, to: exitTo };
+
+  // Letters spread along the line, points everywhere else
+  const letterAt = new Map();
+  [...SPOT_WORD].forEach((letter, i) => {
+    letterAt.set(Math.floor(((i + 0.5) * b.pickups.length) / SPOT_WORD.length), letter);
+  });
+  const collectibles = b.pickups.map((p, i) =>
+    letterAt.has(i) ? { ...p, letter: letterAt.get(i), points: 50 } : { ...p, points: 10 }
+  );
+
+  const width = b.end.x;
+  return {
+    name: opts.name ?? `Spot #${seed}`,
+    background: style.background,
+    music: style.music,
+    assets: style.assets,
+    spawn,
+    world: { width, height: WORLD_HEIGHT },
+    parallax: style.parallax,
+    ground: [
+      // Thick enough to fill everything under the line
+      { type: 'spline', points: b.points, thickness: WORLD_HEIGHT, ...style.ground },
+    ],
+    rails: b.rails,
+    collectibles,
+    exits: [exit],
+    session: {
+      duration: 90,
+      goals: [
+        { type: 'letters', word: SPOT_WORD },
+        { type: 'score', target: pieces.length * 250 },
+        { type: 'exit', to: exitTo, within: 60 },
+      ],
+    },
+    generated: { seed, pieces, jumps: b.jumps },
+  };
+}
@@ -0,0 +1,314 @@
+// ======================================================================
+//  TRICKS – the trick table, and combos on top of a PlayerController
+// ======================================================================
+//
+// Air tricks are typed in the air as short sequences of actions and take
+// a while to rotate; spins are counted from changes of facing; manuals
+// and grinds pay for as long as they are held. Everything in between two
+// landings without a bail links into one combo.
+//
+// Runs on the controller's clock only, so replays and the headless tests
+// score the same tricks the scene did.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+
+/**
+ * Trick table.
+ *
+ * Air tricks are matched from the action sequence pressed while airborne
+ * (`seq`, oldest first). `duration` is how long the trick takes to
+ * finish: landing before it is over counts as a bad landing.
+ *
+ * Held tricks (manual, grinds) pay `pointsPerSecond` for as long as
+ * they last.
+ *
+ * Actions: flip, shove, brake = heel (only in the air), manual (hold
+ *          while rolling), grind (see PlayerController). Default keys are
+ *          Z, X, DOWN, C and SPACE.
+ */
+export const TRICKS = {
+  ollie:    { name: 'Ollie',           points: 50 },
+  kickflip: { name: 'Kickflip',        points: 150, seq: ['FLIP'],          duration: 450 },
+  heelflip: { name: 'Heelflip',        points: 175, seq: ['DOWN', 'FLIP'],  duration: 450 },
+  shoveit:  { name: 'Shove-it',        points: 120, seq: ['SHOVE'],         duration: 400 },
+  varial:   { name: 'Varial Kickflip', points: 300, seq: ['SHOVE', 'FLIP'], duration: 650 },
+  spin180:  { name: '180',             points: 100 },
+  spin360:  { name: '360',             points: 250 },
+  manual:   { name: 'Manual',          pointsPerSecond: 80 },
+
+  // Grinds, picked by the rail type
+  rail:     { name: '50-50 Grind',       pointsPerSecond: 150 },
+  ledge:    { name: 'Ledge Grind',       pointsPerSecond: 120 },
+  coping:   { name: 'Coping Grind',      pointsPerSecond: 200 },
+};
+
+// Let every trick know its own key, so goals can ask for one by name
+for (const [id, trick] of Object.entries(TRICKS)) trick.id = id;
+
+/** "Kickflip → Manual" for a list of trick ids. */
+export function lineName(ids) {
+  return ids.map((id) => TRICKS[id]?.name ?? id).join(' → ');
+}
+
+// How long after the last key press we wait before resolving a sequence
+const TRICK_SEQ_WINDOW = 180;
+
+// How long after landing the next trick still links into the combo
+const COMBO_LINK_MS = 900;
+
+// Slowest roll that still counts as a manual
+const MANUAL_MIN_SPEED = 1;
+
+/**
+ * Detects tricks on top of a PlayerController and chains them into combos.
+ *
+ * Every trick adds its points to the running combo; the combo is worth
+ * (sum of points) x (number of tricks). It is banked when the link window
+ * after a clean landing runs out, and lost on any bail. Landing while a
+ * trick is still rotating is a bail too.
+ *
+ * Emits:
+ *  - 'trick'       (trick, combo)   a trick was done
+ *  - 'comboLanded' (score, combo)   combo banked, `score` already multiplied
+ *  - 'comboLost'   (combo)          bad landing, nothing scored
+ */
+export class TrickSystem extends EventEmitter {
+  constructor(controller) {
+    super();
+
+    this.controller = controller;
+
+    this.actions = controller.actions;
+
+    this.combo = null;       // { tricks: [], points: 0 }
+    this.linkUntil = 0;      // combo banks when this passes on the ground
+
+    this.seqBuffer = [];     // keys pressed in the air, not yet resolved
+    this.lastSeqPress = 0;
+    this.trickEndsAt = 0;    // landing before this = bad landing
+
+    this.spinFacing = this.controller.facingLeft;
+    this.spinTurns = 0;
+
+    this.held = null;        // { trick, time } for a manual or grind
+
+    controller.on('jump', this.onJump, this);
+    controller.on('takeoff', this.onTakeoff, this);
+    controller.on('landed', this.onLanded, this);
+    controller.on('grindStart', this.onGrindStart, this);
+    controller.on('grindEnd', this.onGrindEnd, this);
+    controller.on('bail', this.onBail, this);
+  }
+
+  get multiplier() {
+    return this.combo ? this.combo.tricks.length : 0;
+  }
+
+  get comboScore() {
+    return this.combo ? this.combo.points * this.multiplier : 0;
+  }
+
+  // --- Controller events ---------------------------------------------
+
+  onJump() {
+    this.endHeld();
+    this.addTrick(TRICKS.ollie);
+  }
+
+  onTakeoff() {
+    this.seqBuffer.length = 0;
+    this.spinFacing = this.controller.facingLeft;
+    this.spinTurns = 0;
+    this.endHeld();
+  }
+
+  onLanded() {
+    if (!this.checkLanding()) return;
+    if (this.combo) this.linkUntil = this.controller.now + COMBO_LINK_MS;
+  }
+
+  onGrindStart(rail) {
+    // Touching down on a rail is a landing too
+    if (!this.checkLanding()) return;
+    this.startHeld(TRICKS[rail.type] ?? TRICKS.rail);
+  }
+
+  onGrindEnd() {
+    // Popped off the end or ollied out: airborne again, spins count anew
+    this.endHeld();
+    this.spinFacing = this.controller.facingLeft;
+    this.spinTurns = 0;
+  }
+
+  onBail() {
+    this.trickEndsAt = 0;
+    this.seqBuffer.length = 0;
+    this.spinTurns = 0;
+    this.loseCombo();
+  }
+
+  /**
+   * Score whatever was done in the air. Returns false (and bails the
+   * skater) if he touched down while a trick was still rotating.
+   */
+  checkLanding() {
+    // A sequence typed right before touchdown is a trick that has only
+    // just started, so resolve it before asking whether we're done
+    this.resolveSequence();
+
+    // Still mid-flip: bad landing
+    if (this.controller.now < this.trickEndsAt) {
+      this.controller.bail('trick');
+      return false;
+    }
+
+    const spins = this.spinTurns;
+    for (let i = 0; i < Math.floor(spins / 2); i++) this.addTrick(TRICKS.spin360);
+    if (spins % 2 === 1) this.addTrick(TRICKS.spin180);
+    this.spinTurns = 0;
+
+    return true;
+  }
+
+  // --- Per-frame update ------------------------------------------------
+
+  update(time, delta) {
+    if (this.controller.bailing) return;
+
+    if (this.controller.grinding) {
+      if (this.held) this.held.time += delta;
+      this.linkUntil = time + COMBO_LINK_MS;
+    } else if (this.controller.onGround) {
+      this.updateGround(time, delta);
+    } else {
+      this.updateAir(time);
+    }
+  }
+
+  updateAir(time) {
+    const actions = this.actions;
+
+    if (actions.justDown('brake')) this.pushSequence('DOWN', time);
+    if (actions.justDown('flip')) this.pushSequence('FLIP', time);
+    if (actions.justDown('shove')) this.pushSequence('SHOVE', time);
+
+    if (this.seqBuffer.length && time - this.lastSeqPress > TRICK_SEQ_WINDOW) {
+      this.resolveSequence();
+    }
+
+    // Every change of facing in the air is half a turn
+    if (this.controller.facingLeft !== this.spinFacing) {
+      this.spinFacing = this.controller.facingLeft;
+      this.spinTurns++;
+    }
+  }
+
+  updateGround(time, delta) {
+    const speed = Math.abs(this.controller.body.velocity.x);
+    const holdingManual = this.actions.isDown('manual') && speed > MANUAL_MIN_SPEED;
+
+    if (holdingManual) {
+      if (!this.held) this.startHeld(TRICKS.manual);
+      this.held.time += delta;
+      this.linkUntil = time + COMBO_LINK_MS;
+      return;
+    }
+
+    this.endHeld();
+
+    if (this.combo && time > this.linkUntil) {
+      this.bankCombo();
+    }
+  }
+
+  // --- Sequences -------------------------------------------------------
+
+  pushSequence(key, time) {
+    this.seqBuffer.push(key);
+    this.lastSeqPress = time;
+  }
+
+  /**
+   * Match the buffered keys against the trick table. The longest trick
+   * whose sequence ends the buffer wins, so DOWN, FLIP is a heelflip and
+   * not a kickflip.
+   */
+  resolveSequence() {
+    const buffer = this.seqBuffer;
+    if (!buffer.length) return;
+
+    let best = null;
+    for (const trick of Object.values(TRICKS)) {
+      if (!trick.seq || trick.seq.length > buffer.length) continue;
+      const tail = buffer.slice(buffer.length - trick.seq.length);
+      const matches = trick.seq.every((k, i) => k === tail[i]);
+      if (matches && (!best || trick.seq.length > best.seq.length)) {
+        best = trick;
+      }
+    }
+
+    buffer.length = 0;
+
+    const now = this.controller.now;
+    if (!best || now < this.trickEndsAt) return; // unknown, or still busy
+
+    this.trickEndsAt = now + best.duration;
+    this.addTrick(best);
+  }
+
+  // --- Held tricks (manual, grinds) ------------------------------------
+
+  startHeld(trick) {
+    this.endHeld();
+    this.held = { trick, time: 0 };
+    this.addTrick(trick, 0);
+  }
+
+  endHeld() {
+    const held = this.held;
+    this.held = null;
+    if (!held || !this.combo) return;
+
+    // The entry was added with 0 points; pay out for time held
+    const points = Math.round((held.trick.pointsPerSecond * held.time) / 1000);
+    this.combo.points += points;
+    this.emit('trick', held.trick, this.combo);
+  }
+
+  // --- Combo bookkeeping -----------------------------------------------
+
+  addTrick(trick, points = trick.points) {
+    if (!this.combo) {
+      this.combo = { tricks: [], points: 0 };
+    }
+
+    this.combo.tricks.push(trick);
+    this.combo.points += points;
+    this.emit('trick', trick, this.combo);
+  }
+
+  bankCombo() {
+    const combo = this.combo;
+    const score = this.comboScore;
+    this.combo = null;
+    this.emit('comboLanded', score, combo);
+  }
+
+  loseCombo() {
+    const combo = this.combo;
+    this.combo = null;
+    this.held = null;
+    if (combo) this.emit('comboLost', combo);
+  }
+
+  destroy() {
+    this.controller.off('jump', this.onJump, this);
+    this.controller.off('takeoff', this.onTakeoff, this);
+    this.controller.off('landed', this.onLanded, this);
+    this.controller.off('grindStart', this.onGrindStart, this);
+    this.controller.off('grindEnd', this.onGrindEnd, this);
+    this.controller.off('bail', this.onBail, this);
+    super.destroy();
+  }
+}
@@ -0,0 +1,135 @@
+// ======================================================================
+//  TUNING – every number that sets how skating feels, in one place
+// ======================================================================
+//
+// PlayerController, the ground builders and the world's gravity all read
+// their numbers from a set of tuning values: TUNING_DEFAULTS, or a
+// Tuning that the dev panel edits live (see TUNING PANEL in main.js).
+//
+// A preset is a plain JSON object with any of the TUNING_PARAMS keys:
+//
+//   { "gravity": 0.75, "slopeGravity": 0.21, "jumpSpeed": -8.5 }
+//
+// Keys it leaves out keep their defaults. slopeGravity is gravity per
+// fixed step (≈ 0.28 per 1 of gravity), so change the two together.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+import { clamp } from './math.js';
+
+/**
+ * Everything that can be tuned, in panel order: default `value`, the
+ * range the panel allows, its `step`, and which `group` it shows under.
+ */
+export const TUNING_PARAMS = {
+  // Skater
+  jumpSpeed: { value: -10, min: -20, max: -4, step: 0.5, group: 'skater', label: 'Ollie pop (negative is up)' },
+  moveAccel: { value: 0.12, min: 0.02, max: 0.5, step: 0.01, group: 'skater', label: 'Push per step' },
+  maxVelX: { value: 9, min: 3, max: 20, step: 0.5, group: 'skater', label: 'Top pushing speed' },
+  maxVelY: { value: 30, min: 10, max: 60, step: 1, group: 'skater', label: 'Top falling speed' },
+  maxSlopeSpeed: { value: 14, min: 5, max: 30, step: 0.5, group: 'skater', label: 'Top speed down slopes' },
+  slopeGravity: { value: 0.28, min: 0.05, max: 1, step: 0.01, group: 'skater', label: 'Slope pull per step' },
+  kickSpeed: { value: 5, min: 1, max: 12, step: 0.5, group: 'skater', label: 'Push-off from standing' },
+  brakeFactor: { value: 0.75, min: 0.3, max: 1, step: 0.01, group: 'skater', label: 'Speed kept braking' },
+  driftFlat: { value: 0.96, min: 0.8, max: 1, step: 0.005, group: 'skater', label: 'Speed kept coasting' },
+  driftSlope: { value: 0.995, min: 0.8, max: 1, step: 0.005, group: 'skater', label: 'Speed kept pumping' },
+  idleThreshold: { value: 0.25, min: 0, max: 2, step: 0.05, group: 'skater', label: 'Standing below speed' },
+  airFriction: { value: 0.02, min: 0, max: 0.1, step: 0.005, group: 'skater', label: 'Air drag' },
+
+  // World
+  gravity: { value: 1, min: 0.2, max: 3, step: 0.05, group: 'world', label: 'Gravity' },
+  groundFriction: { value: 0.001, min: 0, max: 1, step: 0.001, group: 'world', label: 'Ground friction' },
+};
+
+export const TUNING_DEFAULTS = Object.fromEntries(
+  Object.entries(TUNING_PARAMS).map(([key, param]) => [key, param.value])
+);
+
+/** Presets that ship with the game, by name. */
+export const TUNING_PRESETS = {
+  Default: {},
+  Floaty: { gravity: 0.75, slopeGravity: 0.21, jumpSpeed: -8.5, airFriction: 0.01 },
+  Heavy: { gravity: 1.3, slopeGravity: 0.36, jumpSpeed: -11.5, maxSlopeSpeed: 16 },
+  Loose: { maxVelX: 12, moveAccel: 0.18, driftFlat: 0.98, brakeFactor: 0.85 },
+};
+
+/** `value` put inside the param's range, on its step. */
+function fitParam(key, value) {
+  const { min, max, step } = TUNING_PARAMS[key];
+  const stepped = Math.round(value / step) * step;
+  // Round off float noise from the step, e.g. 0.30000000000000004
+  return clamp(Number(stepped.toFixed(6)), min, max);
+}
+
+/**
+ * The known keys of a preset, as numbers fitted to their params. Throws
+ * if `data` isn't an object or a known key isn't a number; unknown keys
+ * are dropped.
+ */
+export function parsePreset(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('A tuning preset is an object of numbers');
+  }
+
+  const preset = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!TUNING_PARAMS[key]) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Tuning "${key}" has to be a number`);
+    }
+    preset[key] = fitParam(key, value);
+  }
+  return preset;
+}
+
+/**
+ * Live tuning values. `values` is a plain object with every key, handy
+ * to pass as PlayerController's `tuning` option.
+ *
+ * Emits:
+ *  - 'change' (key, value)   one value changed
+ *  - 'load'   (values)       load() changed any number of them at once
+ */
+export class Tuning extends EventEmitter {
+  constructor(preset = {}) {
+    super();
+    this.values = { ...TUNING_DEFAULTS, ...parsePreset(preset) };
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  /** Set one value, fitted to its param. Returns the value it got. */
+  set(key, value) {
+    if (!TUNING_PARAMS[key]) throw new Error(`Unknown tuning "${key}"`);
+
+    const fitted = fitParam(key, value);
+    if (fitted !== this.values[key]) {
+      this.values[key] = fitted;
+      this.emit('change', key, fitted);
+    }
+    return fitted;
+  }
+
+  /** Move one value by `steps` of its param's step. */
+  nudge(key, steps) {
+    return this.set(key, this.values[key] + steps * TUNING_PARAMS[key].step);
+  }
+
+  /** Every value from `preset`, the defaults for the rest. */
+  load(preset) {
+    const values = { ...TUNING_DEFAULTS, ...parsePreset(preset) };
+    const changed = Object.keys(values).some((key) => values[key] !== this.values[key]);
+
+    Object.assign(this.values, values);
+    if (changed) this.emit('load', this.values);
+  }
+
+  /** Only the values that differ from the defaults: a preset. */
+  changes() {
+    return Object.fromEntries(
+      Object.entries(this.values).filter(([key, value]) => value !== TUNING_DEFAULTS[key])
+    );
+  }
+}
@@ -0,0 +1,117 @@
+// ======================================================================
+//  VERSUS – the rules of two-player games, away from the scene
+// ======================================================================
+//
+// HORSE: one skater sets a line, the other has to copy it.
+//
+//  - The setter lands a combo: its tricks become the line to copy, and
+//    the other skater gets one try.
+//  - The copier lands a combo with the line's tricks in the same order
+//    (others in between are fine): no letter. Anything else – another
+//    line, a bail, running out of time – earns the next letter of the
+//    word. Either way the setter sets again.
+//  - The setter misses: setting passes to the other skater.
+//
+// Spell the whole word and you lose. Players are 0 and 1; the scene says
+// what happened with landed() and missed() for whoever's turn it is.
+// ======================================================================
+
+import { EventEmitter } from './emitter.js';
+
+export const HORSE_WORD = 'HORSE';
+
+/** True if `tricks` (trick ids) has every trick of `line`, in order. */
+export function landsLine(tricks, line) {
+  let next = 0;
+  for (const trick of tricks) {
+    if (trick === line[next]) next++;
+  }
+  return next === line.length;
+}
+
+/**
+ * A game of HORSE between players 0 and 1, player 0 setting first.
+ *
+ * Emits:
+ *  - 'set'    (player, line)      a line was set for the other to copy
+ *  - 'copied' (player, line)      the copier landed it
+ *  - 'letter' (player, letters)   a missed copy; `letters` so far
+ *  - 'turn'   (player, line)      whose try it is now; line is null
+ *                                 when they are setting
+ *  - 'end'    (winner)            somebody spelled the word
+ */
+export class HorseGame extends EventEmitter {
+  constructor(word = HORSE_WORD) {
+    super();
+
+    this.word = word;
+    this.letters = [0, 0];
+    this.setter = 0;
+    this.turn = 0;
+    this.line = null;    // trick ids to copy, null while setting
+    this.winner = null;
+  }
+
+  get finished() {
+    return this.winner !== null;
+  }
+
+  /** The letters `player` has so far, e.g. "HO". */
+  lettersOf(player) {
+    return this.word.slice(0, this.letters[player]);
+  }
+
+  /** Whoever's turn it is landed a combo of these trick ids. */
+  landed(tricks) {
+    if (this.finished) return;
+
+    if (this.line === null) {
+      this.line = [...tricks];
+      this.emit('set', this.turn, this.line);
+      this.nextTurn(1 - this.setter);
+    } else if (landsLine(tricks, this.line)) {
+      this.emit('copied', this.turn, this.line);
+      this.backToSetter();
+    } else {
+      this.giveLetter();
+    }
+  }
+
+  /** Whoever's turn it is bailed or ran out of time. */
+  missed() {
+    if (this.finished) return;
+
+    if (this.line === null) {
+      this.setter = 1 - this.setter;
+      this.nextTurn(this.setter);
+    } else {
+      this.giveLetter();
+    }
+  }
+
+  // --- Turns -----------------------------------------------------------
+
+  giveLetter() {
+    const player = this.turn;
+    this.letters[player]++;
+    this.emit('letter', player, this.lettersOf(player));
+
+    if (this.letters[player] >= this.word.length) {
+      this.winner = 1 - player;
+      this.line = null;
+      this.emit('end', this.winner);
+      return;
+    }
+    this.backToSetter();
+  }
+
+  backToSetter() {
+    this.line = null;
+    this.nextTurn(this.setter);
+  }
+
+  nextTurn(player) {
+    this.turn = player;
+    this.emit('turn', player, this.line);
+  }
+}
@@ -0,0 +1,10 @@
+// ======================================================================
+//  WORLD – constants shared by everything that steps the physics
+// ======================================================================
+
+// The world is stepped by hand at a fixed rate so runs can be replayed
+export const FIXED_STEP_MS = 1000 / 60;
+
+// Skaters and their crash debris share a negative group: they never
+// collide with each other, only with the world (ghosts ride through you)
+export const SKATER_GROUP = -1;
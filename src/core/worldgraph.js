@@ -0,0 +1,107 @@
+// ======================================================================
+//  WORLD GRAPH – rooms linked by their exits
+// ======================================================================
+//
+// Every level is a room and every exit links it to another one. An exit
+// is named by its "name", or after the room it leads to. Going through
+// it puts the skater at the matching entrance of the other room: the
+// exit there named by "entrance", or else the one leading back. The
+// skater appears at that exit's "spawn" (the room's own spawn if it has
+// none); a spawn with "dir" turns the kept speed to point that way, so
+// you come out of a doorway instead of straight back into it.
+//
+//   { "to": "ramp", "x": 2320, "y": 400, "width": 32, "height": 32,
+//     "spawn": { "x": 2250, "y": 400, "dir": -1 },
+//     "gate": { "collect": 3 } }          closed until 3 of this room's
+//                                         collectibles are collected
+//
+// Rooms place themselves on the map with "map": { "x": 0, "y": 0 }, in
+// grid cells; without it they line up in the order given.
+// ======================================================================
+
+export function exitName(def) {
+  return def.name ?? def.to;
+}
+
+/** Stable key for a collectible, used to remember it was collected. */
+export function collectibleKey(def) {
+  return def.id ?? `${def.x},${def.y}`;
+}
+
+/**
+ * Whether an exit's gate lets you through, given its room's state
+ * ({ collected, opened }). A gate that has opened once stays open.
+ */
+export function isGateOpen(def, state) {
+  if (!def.gate) return true;
+  if (state.opened.includes(exitName(def))) return true;
+  return state.collected.length >= (def.gate.collect ?? 0);
+}
+
+export class WorldGraph {
+  /** `levels` is { key: level }, in map order. Throws on broken links. */
+  constructor(levels) {
+    this.rooms = new Map();
+
+    Object.entries(levels).forEach(([key, level], i) => {
+      this.rooms.set(key, {
+        key,
+        name: level.name ?? key,
+        map: level.map ?? { x: i, y: 0 },
+        spawn: level.spawn,
+        exits: (level.exits ?? []).map((def) => ({ name: exitName(def), to: def.to, def })),
+      });
+    });
+
+    for (const room of this.rooms.values()) {
+      for (const exit of room.exits) {
+        if (!this.rooms.has(exit.to)) {
+          throw new Error(`Exit "${exit.name}" of room "${room.key}" leads to unknown room "${exit.to}"`);
+        }
+        this.entranceOf(room.key, exit.def);
+      }
+    }
+  }
+
+  room(key) {
+    const room = this.rooms.get(key);
+    if (!room) throw new Error(`Unknown room "${key}"`);
+    return room;
+  }
+
+  /** Rooms the exits of `key` lead to. */
+  neighbours(key) {
+    return [...new Set(this.room(key).exits.map((exit) => exit.to))];
+  }
+
+  /**
+   * The exit of the other room that exit `def` of room `from` comes out
+   * of, or null if nothing leads back.
+   */
+  entranceOf(from, def) {
+    const target = this.room(def.to);
+
+    if (def.entrance) {
+      const entrance = target.exits.find((exit) => exit.name === def.entrance);
+      if (!entrance) throw new Error(`Room "${def.to}" has no entrance "${def.entrance}"`);
+      return entrance;
+    }
+
+    return target.exits.find((exit) => exit.to === from) ?? null;
+  }
+
+  /**
+   * Going through exit `def` of room `from` with `velocity`: the room,
+   * where to appear, and the velocity to appear with.
+   */
+  travel(from, def, velocity = { x: 0, y: 0 }) {
+    const spawn = this.entranceOf(from, def)?.def.spawn ?? this.room(def.to).spawn;
+    const vx = spawn.dir ? spawn.dir * Math.abs(velocity.x) : velocity.x;
+
+    return {
+      room: def.to,
+      spawn: { x: spawn.x, y: spawn.y },
+      velocity: { x: vx, y: velocity.y },
+    };
+  }
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AnimationStateMachine } from '../src/core/animstate.js';
+import { EventEmitter } from '../src/core/emitter.js';
+import { createSkaterAnimator } from '../src/core/skateranim.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+const FLAT = {
+  world: { width: 8000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 8000, y: 480 }] }],
+};
+
+/** Run the sim with an animator updated every step; returns the states entered, in order. */
+function recordStates(sim, animator, script) {
+  const states = [];
+  animator.on('enter', (name) => {
+    if (states[states.length - 1] !== name) states.push(name);
+  });
+  const each = () => animator.update(sim.controller.now);
+  for (const [actions, steps] of script) sim.run(actions, steps, each);
+  return states;
+}
+
+test('minDuration holds a state, `any` and events still get through', () => {
+  const subject = Object.assign(new EventEmitter(), { busy: false, hurt: false });
+  const machine = new AnimationStateMachine(
+    {
+      initial: 'a',
+      any: [{ to: 'hurt', when: (s) => s.hurt }],
+      states: {
+        a: { transitions: [{ to: 'b', on: 'go' }] },
+        b: { minDuration: 100, transitions: [{ to: 'a', when: (s) => !s.busy }] },
+        hurt: {},
+      },
+    },
+    subject
+  );
+
+  const log = [];
+  machine.on('enter', (name, state, from) => log.push(`enter ${name} from ${from}`));
+  machine.on('exit:a', (state, to) => log.push(`exit a to ${to}`));
+
+  machine.update(0);
+  machine.update(10);
+  assert.equal(machine.current, 'a', 'no event, no move');
+
+  subject.emit('go');
+  machine.update(20);
+  assert.equal(machine.current, 'b');
+
+  machine.update(60);
+  assert.equal(machine.current, 'b', 'held by minDuration');
+  machine.update(120);
+  assert.equal(machine.current, 'a');
+
+  subject.emit('go');
+  subject.hurt = true;
+  machine.update(130);
+  assert.equal(machine.current, 'hurt', '`any` goes first');
+
+  assert.deepEqual(log, [
+    'enter a from null',
+    'exit a to b',
+    'enter b from a',
+    'enter a from b',
+    'exit a to hurt',
+    'enter hurt from a',
+  ]);
+});
+
+test('an event is only seen by the next update', () => {
+  const subject = new EventEmitter();
+  const machine = new AnimationStateMachine(
+    { initial: 'a', states: { a: { minDuration: 50, transitions: [{ to: 'b', on: 'go' }] }, b: {} } },
+    subject
+  );
+  machine.update(0);
+
+  subject.emit('go');
+  machine.update(10); // still inside minDuration, the event is dropped
+  machine.update(60);
+  assert.equal(machine.current, 'a');
+});
+
+test('unknown states are caught up front', () => {
+  assert.throws(
+    () => new AnimationStateMachine({ initial: 'a', states: { a: { transitions: [{ to: 'nope' }] } } }, new EventEmitter()),
+    /unknown state "nope"/
+  );
+});
+
+test('the skater pushes off, ollies, lands and rolls on', () => {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+  const animator = createSkaterAnimator(sim.controller);
+
+  const states = recordStates(sim, animator, [
+    [[], 5],
+    [['right'], seconds(1.5)],
+    [['right', 'jump'], 1],
+    [['right'], seconds(1.5)],
+  ]);
+
+  assert.deepEqual(states, ['idle', 'push', 'roll', 'ollie', 'air', 'land', 'roll']);
+});
+
+test('a bail hides the skater until the respawn', () => {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+  const animator = createSkaterAnimator(sim.controller);
+  animator.update(sim.controller.now);
+
+  sim.controller.bail('test');
+  sim.run([], 1, () => animator.update(sim.controller.now));
+  assert.equal(animator.current, 'bail');
+  assert.equal(animator.state.hidden, true);
+
+  sim.controller.respawn(200, 300);
+  sim.run([], seconds(2), () => animator.update(sim.controller.now));
+  assert.equal(animator.current, 'idle');
+});
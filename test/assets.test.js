@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+
+import { assetUrls, groupAssets, parseManifest } from '../src/core/assets.js';
+import { generateSpot } from '../src/core/spotgen.js';
+import { loadLevel } from './harness.js';
+
+function loadManifest() {
+  return parseManifest(JSON.parse(readFileSync(new URL('../assets/manifest.json', import.meta.url), 'utf8')));
+}
+
+/** Texture and music keys a level uses. */
+function levelAssetKeys(level) {
+  const keys = [...(level.parallax ?? []), ...(level.art ?? [])].map((def) => def.texture).filter(Boolean);
+  if (level.music) keys.push(level.music);
+  return keys;
+}
+
+test('every file in the manifest is there', () => {
+  const manifest = loadManifest();
+
+  for (const [key, asset] of Object.entries(manifest.assets)) {
+    for (const url of assetUrls(asset)) {
+      assert.ok(existsSync(new URL(`../${url}`, import.meta.url)), `"${key}": ${url} is missing`);
+    }
+  }
+});
+
+test('levels load the groups for everything they draw and play', () => {
+  const manifest = loadManifest();
+  const { levels } = loadLevel('index');
+
+  for (const [name, level] of [...levels.map((key) => [key, loadLevel(key)]), ['spot', generateSpot(1)]]) {
+    const loaded = new Set(groupAssets(manifest, level.assets ?? []).map((asset) => asset.key));
+    for (const key of levelAssetKeys(level)) {
+      assert.ok(loaded.has(key), `${name} uses "${key}" but none of its groups load it`);
+    }
+  }
+});
+
+test('groups share assets without loading them twice', () => {
+  const manifest = loadManifest();
+  const keys = groupAssets(manifest, ['title', 'street']).map((asset) => asset.key);
+
+  assert.deepEqual(keys, ['titleBg', 'titleMusic', 'gameBg', 'mainMusic']);
+  assert.throws(() => groupAssets(manifest, ['nowhere']), /Unknown asset group "nowhere"/);
+});
+
+test('a broken manifest says what is wrong with it', () => {
+  const image = { type: 'image', url: 'a.png' };
+  const check = (data) => () => parseManifest({ assets: { a: image }, groups: {}, ...data });
+
+  assert.throws(check({ groups: { g: ['b'] } }), /group "g" lists unknown asset "b"/);
+  assert.throws(check({ boot: ['g'] }), /Boot group "g"/);
+  assert.throws(check({ assets: { a: { type: 'font', url: 'a.ttf' } } }), /unknown type "font"/);
+  assert.throws(check({ assets: { a: { type: 'image', url: ['a.png'] } } }), /no usable url/);
+  assert.throws(check({ assets: { a: { type: 'spritesheet', url: 'a.png', frameWidth: 8 } } }), /needs a frameHeight/);
+  assert.doesNotThrow(check({ assets: { a: { type: 'audio', url: ['a.ogg', { type: 'mp3', url: 'a.bin' }] } } }));
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Matter from 'matter-js';
+
+import { BAIL_RESPAWN_DELAY, BailCycle } from '../src/core/bails.js';
+import { sensorBody } from '../src/core/collisions.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+// A long flat floor with a checkpoint at x = 1000
+const FLAT = {
+  world: { width: 8000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 8000, y: 480 }] }],
+};
+const CHECKPOINT = { x: 1000, y: 400 };
+
+/** A sim whose skater has a BailCycle, with checkpoints wired like VersusScene's. */
+function checkpointSim() {
+  const sim = new HeadlessSim(FLAT);
+  const bails = new BailCycle(sim.controller, FLAT.spawn);
+
+  const sensor = sensorBody(Matter, CHECKPOINT.x, 300, 2, 600, 'CHECKPOINT');
+  sim.collisions.register(sensor, 'trigger', { checkpoint: CHECKPOINT });
+  sim.add(sensor);
+  sim.collisions.on('enteredTrigger', (skater, body, data) => {
+    if (skater === sim.body && data.checkpoint) bails.checkpoint = data.checkpoint;
+  });
+
+  sim.settle();
+  return { sim, bails };
+}
+
+/** Bail and step until the BailCycle has the skater back up. */
+function bailAndRespawn(sim, bails) {
+  const respawns = [];
+  bails.on('respawn', () => respawns.push(sim.controller.now));
+
+  const bailedAt = sim.controller.now;
+  sim.controller.bail('test');
+  sim.run([], seconds(BAIL_RESPAWN_DELAY / 1000 + 0.5), () => bails.step());
+
+  assert.equal(respawns.length, 1);
+  assert.ok(respawns[0] - bailedAt >= BAIL_RESPAWN_DELAY);
+  assert.equal(sim.controller.bailing, false);
+}
+
+test('a bail before any checkpoint respawns at the spawn', () => {
+  const { sim, bails } = checkpointSim();
+  sim.run(['right'], seconds(1));
+  assert.ok(sim.body.position.x < CHECKPOINT.x);
+
+  bailAndRespawn(sim, bails);
+  assert.ok(Math.abs(sim.body.position.x - FLAT.spawn.x) < 1, `x = ${sim.body.position.x}`);
+});
+
+test('a bail after a checkpoint respawns at it', () => {
+  const { sim, bails } = checkpointSim();
+  while (sim.body.position.x < CHECKPOINT.x + 300) sim.step(['right']);
+
+  bailAndRespawn(sim, bails);
+  assert.ok(Math.abs(sim.body.position.x - CHECKPOINT.x) < 1, `x = ${sim.body.position.x}`);
+});
+
+test('a cancelled bail never respawns on its own', () => {
+  const { sim, bails } = checkpointSim();
+  while (sim.body.position.x < CHECKPOINT.x + 300) sim.step(['right']);
+
+  const respawns = [];
+  bails.on('respawn', () => respawns.push(sim.controller.now));
+
+  sim.controller.bail('test');
+  sim.run([], seconds(0.5), () => bails.step());
+  bails.cancel();
+  sim.controller.respawn(FLAT.spawn.x, FLAT.spawn.y);
+  sim.run([], seconds(BAIL_RESPAWN_DELAY / 1000 + 0.5), () => bails.step());
+
+  assert.deepEqual(respawns, []);
+  assert.ok(Math.abs(sim.body.position.x - FLAT.spawn.x) < 1, `x = ${sim.body.position.x}`);
+
+  // The next bail comes round as usual
+  bailAndRespawn(sim, bails);
+});
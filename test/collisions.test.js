@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matter from 'matter-js';
+
+import { sensorBody } from '../src/core/collisions.js';
+import { PlayerController, createPlayerBody } from '../src/core/player.js';
+import { HeadlessSim, ScriptedInput, seconds } from './harness.js';
+
+const FLAT = {
+  world: { width: 2000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 2000, y: 480 }] }],
+};
+
+/** Record every typed event of the sim's CollisionService. */
+function recordEvents(sim) {
+  const events = [];
+  for (const name of ['landed', 'leftGround', 'touchedWall', 'pickedUp', 'enteredTrigger', 'leftTrigger']) {
+    sim.collisions.on(name, (skater, body, data) => events.push({ name, skater, body, data }));
+  }
+  return events;
+}
+
+test('the bounds walls are walls, not ground', () => {
+  const sim = new HeadlessSim({ world: { width: 800, height: 600 }, spawn: { x: 400, y: 300 } });
+  const events = recordEvents(sim);
+
+  sim.run([], seconds(2));
+
+  assert.deepEqual(events.map((e) => e.name), ['touchedWall']);
+  assert.equal(sim.body.footContacts.ground, 0);
+  assert.ok(!sim.controller.onGround);
+});
+
+test('landed and leftGround follow the foot through an ollie', () => {
+  const sim = new HeadlessSim(FLAT);
+  const events = recordEvents(sim);
+
+  sim.settle();
+  sim.run(['right'], seconds(1));
+  sim.run(['right', 'jump'], 1);
+  sim.run(['right'], seconds(2));
+
+  assert.deepEqual(events.map((e) => e.name), ['landed', 'leftGround', 'landed']);
+  assert.ok(events.every((e) => e.skater === sim.body));
+});
+
+test('a trigger fires once on the way in and once on the way out', () => {
+  const sim = new HeadlessSim(FLAT);
+  const trigger = sensorBody(Matter, 600, 300, 2, 600, 'CHECKPOINT');
+  sim.collisions.register(trigger, 'trigger', { id: 'cp1' });
+  sim.add(trigger);
+  const events = recordEvents(sim);
+
+  sim.settle();
+  sim.run(['right'], seconds(3));
+
+  const names = events.filter((e) => e.body === trigger).map((e) => e.name);
+  assert.deepEqual(names, ['enteredTrigger', 'leftTrigger']);
+  assert.deepEqual(events.find((e) => e.body === trigger).data, { id: 'cp1' });
+});
+
+test('a pickup is picked up once, and sensors never count as ground', () => {
+  const sim = new HeadlessSim(FLAT);
+  const pickup = sensorBody(Matter, 600, 440, 24, 24, 'PICKUP');
+  sim.collisions.register(pickup, 'pickup');
+  sim.add(pickup);
+  const events = recordEvents(sim);
+
+  sim.settle();
+  sim.run(['right'], seconds(3), () => assert.equal(sim.body.footContacts.ground, 1));
+
+  assert.equal(events.filter((e) => e.name === 'pickedUp').length, 1);
+});
+
+test('two skaters pass through each other and keep their own contacts', () => {
+  const sim = new HeadlessSim(FLAT);
+  const rival = createPlayerBody(Matter, 200, 300);
+  sim.collisions.register(rival, 'skater');
+  sim.add(rival);
+  const rivalInput = new ScriptedInput();
+  const rivalController = new PlayerController(Matter, rival, rivalInput, { seed: 2 });
+  const events = recordEvents(sim);
+
+  const both = (actions, rivalActions, steps) => {
+    for (let i = 0; i < steps; i++) {
+      rivalInput.press(rivalActions);
+      rivalInput.update();
+      sim.step(actions);
+      rivalController.update();
+    }
+  };
+
+  sim.settle();
+  both([], [], seconds(1));
+  assert.ok(rivalController.onGround);
+  assert.ok(Math.abs(rival.position.x - sim.body.position.x) < 1, 'standing in the same spot');
+
+  // One ollies out of the other, who stays put
+  both(['right', 'jump'], [], 1);
+  both(['right'], [], 10);
+  assert.ok(!sim.controller.onGround);
+  assert.ok(rivalController.onGround);
+  assert.equal(rival.footContacts.ground, 1);
+  assert.equal(sim.body.footContacts.ground, 0);
+
+  both(['right'], ['right'], seconds(2));
+  const landings = events.filter((e) => e.name === 'landed');
+  assert.deepEqual(new Set(landings.map((e) => e.skater)), new Set([sim.body, rival]));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GEAR, gearOptions, weakestGearOptions } from '../src/core/gear.js';
+import { TUNING_DEFAULTS } from '../src/core/tuning.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+const FLAT = {
+  world: { width: 8000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 8000, y: 480 }] }],
+};
+
+/** Highest point of one ollie from rolling on the flat. */
+function ollieHeight(controller) {
+  const sim = new HeadlessSim(FLAT, { controller });
+  sim.settle();
+  sim.run(['right'], seconds(1));
+
+  const startY = sim.body.position.y;
+  let top = startY;
+  sim.run(['right', 'jump'], 1);
+  sim.run(['right'], seconds(1.5), () => {
+    top = Math.min(top, sim.body.position.y);
+  });
+  return startY - top;
+}
+
+test('stock gear changes nothing and unknown items ride as stock', () => {
+  assert.deepEqual(gearOptions({ board: 'stock', wheels: 'stock' }, TUNING_DEFAULTS), {});
+  assert.deepEqual(gearOptions({ board: 'gone', wheels: undefined }, TUNING_DEFAULTS), {});
+});
+
+test('board and wheel stats add up on top of the defaults', () => {
+  const options = gearOptions({ board: 'cruiser', wheels: 'street' }, TUNING_DEFAULTS);
+
+  const { cruiser } = GEAR.board;
+  const { street } = GEAR.wheels;
+  assert.equal(options.maxVelX, TUNING_DEFAULTS.maxVelX + cruiser.stats.maxVelX + street.stats.maxVelX);
+  assert.equal(options.jumpSpeed, TUNING_DEFAULTS.jumpSpeed + cruiser.stats.jumpSpeed);
+  assert.equal(options.moveAccel, undefined);
+});
+
+test('the weakest setup takes the worst of every slot', () => {
+  const options = weakestGearOptions(TUNING_DEFAULTS);
+
+  assert.equal(options.maxVelX, TUNING_DEFAULTS.maxVelX + GEAR.wheels.soft.stats.maxVelX);
+  assert.equal(options.jumpSpeed, TUNING_DEFAULTS.jumpSpeed + GEAR.board.cruiser.stats.jumpSpeed);
+  assert.equal(options.moveAccel, TUNING_DEFAULTS.moveAccel);
+});
+
+test('faster wheels really roll faster', () => {
+  const sim = new HeadlessSim(FLAT, {
+    controller: gearOptions({ board: 'stock', wheels: 'street' }, TUNING_DEFAULTS),
+  });
+  sim.settle();
+
+  sim.run(['right'], seconds(4));
+
+  assert.ok(sim.body.velocity.x > TUNING_DEFAULTS.maxVelX + 0.5, `vx = ${sim.body.velocity.x}`);
+  assert.ok(Math.abs(sim.body.velocity.x - sim.controller.maxVelX) < 0.01);
+});
+
+test('a poppier board ollies higher', () => {
+  const stock = ollieHeight({});
+  const popsicle = ollieHeight(gearOptions({ board: 'popsicle', wheels: 'stock' }, TUNING_DEFAULTS));
+
+  assert.ok(popsicle > stock + 5, `stock ${stock}, popsicle ${popsicle}`);
+});
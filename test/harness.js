@@ -0,0 +1,232 @@
+// ======================================================================
+//  HEADLESS HARNESS – the skater core on matter-js, no Phaser, no canvas
+// ======================================================================
+//
+// Builds a level's bodies into a bare Matter engine, puts a skater in it
+// and steps both exactly like LevelScene.fixedStep() does, with inputs
+// from a script instead of a keyboard:
+//
+//   const sim = new HeadlessSim(loadLevel('street'));
+//   sim.settle();
+//   sim.run(['right'], seconds(3));
+//   sim.body.velocity.x   // ≈ sim.controller.maxVelX
+// ======================================================================
+
+import { readFileSync } from 'node:fs';
+import Matter from 'matter-js';
+import decomp from 'poly-decomp';
+
+import { FIXED_STEP_MS } from '../src/core/world.js';
+import { CollisionService } from '../src/core/collisions.js';
+import { buildGround, buildObstacle, buildRail } from '../src/core/ground.js';
+import { Hazard } from '../src/core/hazards.js';
+import { PlayerController, createPlayerBody } from '../src/core/player.js';
+import { TUNING_DEFAULTS } from '../src/core/tuning.js';
+
+// Phaser bundles poly-decomp for concave ground; matter-js needs telling
+Matter.Common.setDecomp(decomp);
+
+// Same as Phaser's matter.world.setBounds()
+const WALL_THICKNESS = 64;
+
+export function loadLevel(key) {
+  return JSON.parse(readFileSync(new URL(`../levels/${key}.json`, import.meta.url), 'utf8'));
+}
+
+/** Fixed steps in `n` seconds. */
+export function seconds(n) {
+  return Math.round((n * 1000) / FIXED_STEP_MS);
+}
+
+/**
+ * Input for one step at a time, with the reading API of InputActions:
+ * press() the actions held on the next step, then update().
+ */
+export class ScriptedInput {
+  constructor() {
+    this.held = new Set();
+    this.next = new Set();
+    this.previous = new Set();
+  }
+
+  press(actions) {
+    this.next = new Set(actions);
+  }
+
+  update() {
+    this.previous = this.held;
+    this.held = this.next;
+  }
+
+  isDown(action) {
+    return this.held.has(action);
+  }
+
+  justDown(action) {
+    return this.held.has(action) && !this.previous.has(action);
+  }
+
+  strength(action) {
+    return this.held.has(action) ? 1 : 0;
+  }
+}
+
+/**
+ * One skater in one level.
+ *
+ *   opts.spawn       where to start, default the level's spawn
+ *   opts.seed        PlayerController seed (default 1)
+ *   opts.controller  other PlayerController options
+ *   opts.tuning      tuning values for everything (see tuning.js)
+ */
+export class HeadlessSim {
+  constructor(level, opts = {}) {
+    const { Engine, Composite, Events } = Matter;
+
+    const tuning = { ...TUNING_DEFAULTS, ...opts.tuning };
+
+    this.level = level;
+    this.tuning = tuning;
+    this.engine = Engine.create({ gravity: { x: 0, y: tuning.gravity, scale: 0.001 } });
+    this.steps = 0;
+
+    // Phaser's Matter skips gravity on bodies flagged `ignoreGravity`
+    // (the controller does gravity by hand on the ground); matter-js
+    // doesn't know the flag, so cancel it out before it is applied
+    Events.on(this.engine, 'beforeUpdate', () => {
+      const gravity = this.engine.gravity;
+      for (const body of Composite.allBodies(this.engine.world)) {
+        if (!body.ignoreGravity || body.isStatic) continue;
+        body.force.x -= body.mass * gravity.x * gravity.scale;
+        body.force.y -= body.mass * gravity.y * gravity.scale;
+      }
+    });
+
+    this.collisions = new CollisionService();
+    Events.on(this.engine, 'collisionStart', (event) => this.collisions.collisionStart(event.pairs));
+    Events.on(this.engine, 'collisionEnd', (event) => this.collisions.collisionEnd(event.pairs));
+
+    const walls = this.createWalls();
+    const ground = [
+      ...(level.ground ?? []).flatMap((def) => buildGround(Matter, def, tuning)),
+      ...(level.obstacles ?? []).map((def) => buildObstacle(Matter, def, tuning)),
+    ];
+    const rails = (level.rails ?? []).flatMap((def) => buildRail(Matter, def, tuning).bodies);
+
+    this.collisions.register(walls, 'wall');
+    this.collisions.register(ground, 'ground');
+    for (const body of rails) {
+      this.collisions.register(body, body.label === 'RAIL' ? 'rail' : 'ground');
+    }
+    this.add([...walls, ...ground, ...rails]);
+
+    const spawn = opts.spawn ?? level.spawn;
+    this.body = createPlayerBody(Matter, spawn.x, spawn.y);
+    this.collisions.register(this.body, 'skater');
+    this.add(this.body);
+
+    this.input = new ScriptedInput();
+    this.controller = new PlayerController(Matter, this.body, this.input, {
+      seed: opts.seed ?? 1,
+      tuning,
+      ...opts.controller,
+    });
+
+    this.hazards = this.createHazards('hazard');
+    this.ghost = null;
+    this.collisions.on('touchedHazard', (skater, body, { hazard }) => {
+      hazard.touch(skater === this.ghost?.body ? this.ghost.controller : this.controller);
+    });
+  }
+
+  /** The level's hazards, in the world as `kind` ('hazard' or 'ghostHazard'). */
+  createHazards(kind) {
+    const hazards = (this.level.hazards ?? []).map((def) => new Hazard(Matter, def));
+    for (const hazard of hazards) this.collisions.register(hazard.body, kind, { hazard });
+    this.add(hazards.map((hazard) => hazard.body));
+    return hazards;
+  }
+
+  /**
+   * A ghost from the level's spawn, like LevelScene's: a second skater
+   * holding `script[i]` on its i-th step, with its own copy of the
+   * hazards. step() moves it right after the live skater.
+   */
+  addGhost(script) {
+    const { x, y } = this.level.spawn;
+    const body = createPlayerBody(Matter, x, y);
+    this.collisions.register(body, 'ghost');
+    this.add(body);
+
+    const input = new ScriptedInput();
+    const controller = new PlayerController(Matter, body, input, { seed: 1, tuning: this.tuning });
+
+    this.ghost = { body, input, controller, script, steps: 0, hazards: this.createHazards('ghostHazard') };
+    return this.ghost;
+  }
+
+  /** Add bodies to the world; register them with `collisions` first. */
+  add(bodies) {
+    Matter.Composite.add(this.engine.world, bodies);
+  }
+
+  /** Static walls around the level's world, like LevelScene has. */
+  createWalls() {
+    const { width, height } = this.level.world ?? { width: 800, height: 600 };
+    const t = WALL_THICKNESS;
+    const wall = (x, y, w, h) =>
+      Matter.Bodies.rectangle(x + w / 2, y + h / 2, w, h, {
+        isStatic: true,
+        friction: 0,
+        frictionStatic: 0,
+      });
+
+    return [
+      wall(-t, -t, t, height + t * 2),
+      wall(width, -t, t, height + t * 2),
+      wall(0, -t, width, t),
+      wall(0, height, width, t),
+    ];
+  }
+
+  /** One fixed step with `actions` held, in LevelScene's order. */
+  step(actions = []) {
+    this.input.press(actions);
+    this.input.update();
+    Matter.Engine.update(this.engine, FIXED_STEP_MS);
+    this.controller.update();
+    if (this.ghost) this.stepGhost();
+    for (const hazard of this.hazards) hazard.update(this.controller.now, [this.controller]);
+    this.steps++;
+  }
+
+  stepGhost() {
+    const ghost = this.ghost;
+    ghost.input.press(ghost.script[ghost.steps++] ?? []);
+    ghost.input.update();
+    ghost.controller.update();
+    for (const hazard of ghost.hazards) hazard.update(ghost.controller.now, [ghost.controller]);
+  }
+
+  /** `steps` steps with the same actions held; `each` runs after every one. */
+  run(actions, steps, each) {
+    for (let i = 0; i < steps; i++) {
+      this.step(actions);
+      if (each) each(this);
+    }
+  }
+
+  /** Step with nothing held until the skater stands on something. */
+  settle(maxSteps = seconds(5)) {
+    for (let i = 0; i < maxSteps && !this.controller.onGround; i++) this.step();
+    if (!this.controller.onGround) throw new Error('Skater never landed');
+    this.run([], 10);
+  }
+
+  /** Where the wheels touch: 5px above the FOOT_SENSOR's centre. */
+  get wheels() {
+    const foot = this.controller.footPart.position;
+    const angle = this.body.angle;
+    return { x: foot.x + Math.sin(angle) * 5, y: foot.y - Math.cos(angle) * 5 };
+  }
+}
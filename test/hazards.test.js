@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Matter from 'matter-js';
+
+import { Hazard } from '../src/core/hazards.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+/** A flat street with `hazards`, and a rail at 1000..1300. */
+function street(hazards) {
+  return {
+    world: { width: 3000, height: 600 },
+    spawn: { x: 200, y: 300 },
+    ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 3000, y: 480 }] }],
+    rails: [{ type: 'rail', points: [{ x: 1000, y: 420 }, { x: 1300, y: 420 }], postHeight: 60 }],
+    hazards,
+  };
+}
+
+/** Every state `hazard` enters, in order. */
+function recordStates(hazard) {
+  const states = [];
+  hazard.on('enter', (name) => states.push(name));
+  return states;
+}
+
+test('a pedestrian walks the path back and forth, waiting at the ends', () => {
+  const hazard = new Hazard(Matter, {
+    type: 'pedestrian',
+    path: [{ x: 100, y: 480 }, { x: 160, y: 480 }],
+    speed: 2,
+    wait: 500,
+  });
+  const states = recordStates(hazard);
+
+  let now = 0;
+  const xs = [];
+  for (let i = 0; i < seconds(4); i++) {
+    hazard.update((now += 1000 / 60));
+    xs.push(hazard.x);
+  }
+
+  assert.deepEqual(states.slice(0, 4), ['walk', 'wait', 'walk', 'wait']);
+  assert.equal(Math.min(...xs), 100);
+  assert.equal(Math.max(...xs), 160);
+  assert.equal(hazard.body.position.y, 480 - hazard.height / 2);
+});
+
+test('walking into a pedestrian slows you down, once', () => {
+  const sim = new HeadlessSim(street([{ type: 'pedestrian', path: [{ x: 700, y: 480 }], wait: 1e9 }]));
+  sim.settle();
+
+  const hits = [];
+  sim.hazards[0].on('hit', (controller, outcome) => hits.push(outcome));
+
+  let slowest = Infinity;
+  sim.run(['right'], seconds(4), () => {
+    if (Math.abs(sim.body.position.x - 700) < 40) slowest = Math.min(slowest, sim.body.velocity.x);
+  });
+
+  assert.deepEqual(hits, ['slow']);
+  assert.ok(slowest < sim.controller.maxVelX * 0.5, `slowest ${slowest}`);
+  assert.ok(sim.body.position.x > 800, 'rolled on past');
+  assert.equal(sim.controller.bailing, false);
+});
+
+test('cars cross on their timer, and one bails you', () => {
+  const car = { type: 'car', from: { x: 2900, y: 480 }, to: { x: -100, y: 480 }, every: 4000, offset: 1000 };
+  const sim = new HeadlessSim(street([car]));
+  const hazard = sim.hazards[0];
+  const states = recordStates(hazard);
+  sim.settle();
+
+  let bailedAt = null;
+  sim.controller.on('bail', () => (bailedAt = sim.controller.now));
+  sim.run([], seconds(8));
+
+  assert.deepEqual(states.slice(0, 3), ['parked', 'driving', 'parked']);
+  assert.ok(bailedAt !== null && bailedAt > 1000, 'the car ran the skater over');
+});
+
+test('a guard chases someone grinding in sight, and gives up after a bump', () => {
+  // Standing watch past the end of the rail, looking at it
+  const guard = { type: 'guard', path: [{ x: 1500, y: 480 }], wait: 1e9, facing: -1 };
+  const sim = new HeadlessSim(street([guard]));
+  const hazard = sim.hazards[0];
+  const states = recordStates(hazard);
+  const hits = [];
+  hazard.on('hit', (controller, outcome) => hits.push(outcome));
+  sim.settle();
+
+  // Roll up and ollie onto the rail holding grind, then just roll
+  let grinds = 0;
+  sim.controller.on('grindStart', () => grinds++);
+  while (sim.body.position.x < 900) sim.step(['right']);
+  sim.step(['right', 'jump', 'grind']);
+  sim.run(['right', 'grind'], seconds(1.5));
+  sim.run([], seconds(5));
+
+  assert.equal(grinds, 1);
+  assert.deepEqual(hits, ['bump']);
+  assert.deepEqual(states.slice(states.indexOf('chase')), ['chase', 'return', 'patrol', 'wait']);
+  assert.ok(sim.body.position.x < hazard.x, 'knocked back');
+  assert.equal(sim.controller.bailing, false);
+});
+
+test('a guard doesn\'t care about skaters just rolling by', () => {
+  const guard = { type: 'guard', path: [{ x: 600, y: 480 }, { x: 800, y: 480 }] };
+  const sim = new HeadlessSim(street([guard]));
+  const states = recordStates(sim.hazards[0]);
+  sim.settle();
+  sim.run(['right'], seconds(3));
+
+  assert.ok(!states.includes('chase'));
+});
+
+test('a ghost meets the traffic its run met, whatever the live skater does', () => {
+  const level = street([{ type: 'pedestrian', path: [{ x: 700, y: 480 }], wait: 1e9 }]);
+
+  // Wait a moment, then roll through the pedestrian
+  const script = [];
+  for (let i = 0; i < seconds(4); i++) script.push(i < seconds(1) ? [] : ['right']);
+
+  const run = new HeadlessSim(level);
+  for (const actions of script) run.step(actions);
+
+  // The live skater gets there first and startles the live pedestrian
+  const sim = new HeadlessSim(level);
+  const ghost = sim.addGhost(script);
+  const live = [];
+  sim.hazards[0].on('hit', (controller, outcome) => live.push(outcome));
+  sim.run(['right'], script.length);
+
+  assert.deepEqual(live, ['slow']);
+  assert.ok(run.body.position.x > 800, 'rolled on past');
+  assert.deepEqual(ghost.body.position, run.body.position);
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadlessSim, loadLevel, seconds } from './harness.js';
+
+// A long flat floor and nothing else
+const FLAT = {
+  world: { width: 8000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 8000, y: 480 }] }],
+};
+
+/** y of a spline's top line at x, or null outside it. */
+function surfaceY(points, x) {
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (x < a.x || x > b.x) continue;
+    return a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x || 1);
+  }
+  return null;
+}
+
+test('holding right on the flat for 3s reaches maxVelX', () => {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+
+  sim.run(['right'], seconds(3));
+
+  assert.ok(sim.controller.onGround);
+  assert.ok(Math.abs(sim.body.velocity.x - sim.controller.maxVelX) < 0.01, `vx = ${sim.body.velocity.x}`);
+});
+
+test('a push never goes past maxVelX on the flat', () => {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+
+  sim.run(['right'], seconds(6), () => {
+    assert.ok(sim.body.velocity.x <= sim.controller.maxVelX + 1e-9);
+  });
+});
+
+test('braking brings the skater to a stop', () => {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+  sim.run(['right'], seconds(2));
+
+  sim.run(['brake'], seconds(1));
+
+  assert.ok(Math.abs(sim.body.velocity.x) < sim.controller.idleThreshold);
+});
+
+test('an ollie on the flat takes off and lands cleanly', () => {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+  sim.run(['right'], seconds(1));
+
+  const events = [];
+  for (const name of ['jump', 'takeoff', 'landed', 'bail']) {
+    sim.controller.on(name, () => events.push(name));
+  }
+
+  sim.step(['right', 'jump']);
+  sim.run(['right'], seconds(2));
+
+  assert.deepEqual(events, ['jump', 'takeoff', 'landed']);
+  assert.ok(sim.controller.onGround);
+});
+
+test('jumping from the ramp bottom never clips through the ramp polygon', () => {
+  const level = loadLevel('ramp');
+  const points = level.ground[0].points;
+  const bottom = points.reduce((low, p) => (p.y > low.y ? p : low));
+
+  const sim = new HeadlessSim(level, { spawn: { x: bottom.x, y: bottom.y - 150 } });
+  sim.settle();
+
+  let jumps = 0;
+  sim.controller.on('jump', () => jumps++);
+
+  // Pump back and forth, popping an ollie every so often
+  for (let i = 0; i < seconds(30); i++) {
+    const right = Math.floor(i / seconds(2.5)) % 2 === 0;
+    const actions = [right ? 'right' : 'left'];
+    if (i % 40 === 0) actions.push('jump');
+    sim.step(actions);
+
+    if (sim.controller.bailing) continue;
+
+    const { x, y } = sim.wheels;
+    const top = surfaceY(points, x);
+    if (top === null) continue;
+    assert.ok(y <= top + 8, `wheels ${y.toFixed(1)}px under the ramp top at x = ${x.toFixed(1)} (${top.toFixed(1)})`);
+  }
+
+  assert.ok(jumps > 10, `only ${jumps} jumps`);
+});
+
+test('holding grind over a rail locks into a grind and rides it to the end', () => {
+  const level = loadLevel('street');
+  const rail = level.rails.find((r) => r.type === 'rail');
+  const [a, b] = rail.points;
+
+  const sim = new HeadlessSim(level, { spawn: { x: a.x + 30, y: a.y - 120 } });
+  const ends = [];
+  sim.controller.on('grindEnd', (r, reason) => ends.push(reason));
+
+  sim.run(['grind'], seconds(1));
+  assert.ok(sim.controller.grinding, 'did not lock on');
+  assert.ok(Math.abs(sim.wheels.y - a.y) < 1, `wheels at ${sim.wheels.y}, rail at ${a.y}`);
+
+  // Balance stays put in the middle by leaning against it
+  sim.run(['grind'], seconds(10), () => {
+    if (!sim.controller.grinding) return;
+    const lean = sim.controller.balance > 0 ? 'left' : 'right';
+    sim.input.press(['grind', lean]);
+  });
+
+  assert.deepEqual(ends, ['end']);
+  assert.ok(sim.wheels.x > b.x - 1, `left the rail at ${sim.wheels.x}`);
+});
+
+test('material follows what the wheels are on', () => {
+  const flat = new HeadlessSim(FLAT);
+  assert.equal(flat.controller.material, null);
+  flat.settle();
+  assert.equal(flat.controller.material, 'concrete');
+
+  const level = loadLevel('ramp');
+  const bottom = level.ground[0].points.reduce((low, p) => (p.y > low.y ? p : low));
+  const ramp = new HeadlessSim(level, { spawn: { x: bottom.x, y: bottom.y - 150 } });
+  ramp.settle();
+  assert.equal(ramp.controller.material, 'wood');
+
+  const rail = loadLevel('street').rails.find((r) => r.type === 'rail');
+  const street = new HeadlessSim(loadLevel('street'), {
+    spawn: { x: rail.points[0].x + 30, y: rail.points[0].y - 120 },
+  });
+  street.run(['grind'], seconds(1));
+  assert.equal(street.controller.material, 'metal');
+});
+
+test('the same inputs and seed give exactly the same run', () => {
+  const script = (sim) => {
+    sim.run(['right'], seconds(2));
+    sim.step(['right', 'jump']);
+    sim.run(['right', 'grind'], seconds(3));
+    sim.run(['brake'], seconds(1));
+    sim.run(['left'], seconds(3));
+  };
+
+  const trace = () => {
+    const sim = new HeadlessSim(loadLevel('street'), { seed: 42 });
+    const positions = [];
+    script({
+      run: (actions, steps) =>
+        sim.run(actions, steps, () => positions.push(sim.body.position.x, sim.body.position.y)),
+      step: (actions) => sim.step(actions),
+    });
+    return positions;
+  };
+
+  assert.deepEqual(trace(), trace());
+});
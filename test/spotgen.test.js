@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dailySeed, generateSpot, maxClimb, ollieReach } from '../src/core/spotgen.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+const SEEDS = [1, 2, 3, 42, 1234, 20261019];
+
+/** Ground height under x, on the spot's spline. */
+function groundAt(spot, x) {
+  const points = spot.ground[0].points;
+  const i = points.findIndex((p) => p.x >= x);
+  if (i <= 0) return points[Math.max(0, i)].y;
+  const a = points[i - 1];
+  const b = points[i];
+  return a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x);
+}
+
+/**
+ * Hold forward from the spawn, ollie at every jump the spot lists, and
+ * report how it went: { reached, bails, steps }.
+ */
+function ride(spot, controller = {}) {
+  const sim = new HeadlessSim(spot, { controller });
+  sim.settle();
+
+  const exit = spot.exits[0];
+  const jumps = [...spot.generated.jumps];
+  let bails = 0;
+  sim.controller.on('bail', () => bails++);
+
+  for (let step = 0; step < seconds(60); step++) {
+    const x = sim.body.position.x;
+    if (x >= exit.x) return { reached: true, bails, steps: step };
+
+    const jump = jumps.length && x >= jumps[0] && sim.controller.onGround;
+    if (jump) jumps.shift();
+    sim.step(jump ? ['right', 'jump'] : ['right']);
+    if (sim.controller.bailing) return { reached: false, bails, steps: step };
+  }
+  return { reached: false, bails, steps: seconds(60) };
+}
+
+test('the same seed gives the same spot, another seed another one', () => {
+  assert.deepEqual(generateSpot(7), generateSpot(7));
+  assert.notDeepEqual(generateSpot(7).ground, generateSpot(8).ground);
+  assert.equal(dailySeed(new Date(2026, 9, 19)), 20261019);
+});
+
+test('the ground is one line going right, inside the world', () => {
+  for (const seed of SEEDS) {
+    const spot = generateSpot(seed);
+    const points = spot.ground[0].points;
+
+    assert.equal(spot.ground.length, 1);
+    assert.equal(points[0].x, 0);
+    assert.equal(points[points.length - 1].x, spot.world.width);
+    for (let i = 1; i < points.length; i++) {
+      assert.ok(points[i].x > points[i - 1].x, `seed ${seed}: x goes back at point ${i}`);
+      assert.ok(points[i].y > 0 && points[i].y < spot.world.height, `seed ${seed}: point ${i} outside`);
+    }
+  }
+});
+
+test('nothing asks for more than the skater has', () => {
+  const reach = ollieReach();
+  const climb = maxClimb();
+
+  for (const seed of SEEDS) {
+    const spot = generateSpot(seed);
+    const points = spot.ground[0].points;
+
+    // Slopes up between the quarter pipes, trench walls aside
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const rise = a.y - b.y;
+      if (rise <= 0 || b.x - a.x <= 1 || a.x < spot.spawn.x || b.x > spot.exits[0].x) continue;
+      assert.ok(rise / Math.hypot(b.x - a.x, rise) <= climb + 1e-3, `seed ${seed}: slope at ${a.x} too steep`);
+    }
+
+    for (const rail of spot.rails.filter((r) => r.type === 'rail')) {
+      assert.ok(rail.postHeight < reach.height, `seed ${seed}: rail at ${rail.points[0].x} out of reach`);
+    }
+
+    for (const item of spot.collectibles) {
+      const height = groundAt(spot, item.x) - item.y;
+      assert.ok(height > 0 && height < reach.height + 120, `seed ${seed}: pickup at ${item.x} out of reach`);
+    }
+    assert.deepEqual(
+      spot.collectibles.filter((c) => c.letter).map((c) => c.letter).join(''),
+      'SKATE'
+    );
+  }
+});
+
+test('holding forward and ollieing the gaps gets to the exit clean', () => {
+  for (const seed of SEEDS) {
+    const spot = generateSpot(seed);
+    const run = ride(spot);
+    assert.ok(run.reached, `seed ${seed} (${spot.generated.pieces.join(', ')}): stopped after ${run.steps} steps`);
+    assert.equal(run.bails, 0, `seed ${seed}: bailed`);
+  }
+});
+
+test('a spot made for a poppier board has wider gaps, and still rides', () => {
+  const controller = { jumpSpeed: -12 };
+  assert.ok(ollieReach(controller).distance > ollieReach().distance);
+
+  const spot = generateSpot(5, { controller, pieces: 4 });
+  assert.ok(ride(spot, controller).reached);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FIXED_STEP_MS } from '../src/core/world.js';
+import { TrickSystem } from '../src/core/tricks.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+// A long flat floor and nothing else
+const FLAT = {
+  world: { width: 8000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 8000, y: 480 }] }],
+};
+
+/**
+ * Roll, ollie, and press flip on step `flipAt` after the jump (or never).
+ * Returns what the TrickSystem said and the step the skater came down on.
+ */
+function ollie(flipAt = -1) {
+  const sim = new HeadlessSim(FLAT);
+  sim.settle();
+  sim.run(['right'], seconds(1));
+
+  const tricks = new TrickSystem(sim.controller);
+  const events = [];
+  tricks.on('trick', (trick) => events.push(trick.id));
+  tricks.on('comboLost', () => events.push('lost'));
+  sim.controller.on('bail', () => events.push('bail'));
+
+  let step = 0;
+  let landedAt = null;
+  sim.controller.once('landed', () => (landedAt = step));
+
+  sim.step(['right', 'jump']);
+  tricks.update(sim.controller.now, FIXED_STEP_MS);
+  for (step = 1; step < seconds(2); step++) {
+    sim.step(step === flipAt ? ['right', 'flip'] : ['right']);
+    tricks.update(sim.controller.now, FIXED_STEP_MS);
+  }
+
+  return { events, landedAt };
+}
+
+test('a flip early in the air lands clean', () => {
+  const { events } = ollie(2);
+  assert.deepEqual(events, ['ollie', 'kickflip']);
+});
+
+test('a flip keyed just before touchdown is still rotating: bail', () => {
+  const { landedAt } = ollie();
+  assert.ok(landedAt > 5, `landed after ${landedAt} steps`);
+
+  const { events } = ollie(landedAt - 3);
+  assert.deepEqual(events.slice(0, 4), ['ollie', 'kickflip', 'lost', 'bail']);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TUNING_DEFAULTS, TUNING_PARAMS, TUNING_PRESETS, Tuning, parsePreset } from '../src/core/tuning.js';
+import { HeadlessSim, seconds } from './harness.js';
+
+const FLAT = {
+  world: { width: 8000, height: 600 },
+  spawn: { x: 200, y: 300 },
+  ground: [{ type: 'spline', points: [{ x: 0, y: 480 }, { x: 8000, y: 480 }] }],
+};
+
+/** Top speed after pushing right for a while. */
+function topSpeed(opts) {
+  const sim = new HeadlessSim(FLAT, opts);
+  sim.settle();
+  sim.run(['right'], seconds(3));
+  return sim.body.velocity.x;
+}
+
+test('presets keep known keys, fitted to their range and step', () => {
+  assert.deepEqual(parsePreset({ gravity: 10, maxVelX: 9.74, colour: 'red' }), {
+    gravity: TUNING_PARAMS.gravity.max,
+    maxVelX: 9.5,
+  });
+  assert.throws(() => parsePreset({ jumpSpeed: 'high' }), /number/);
+  assert.throws(() => parsePreset([1, 2]), /object/);
+
+  for (const preset of Object.values(TUNING_PRESETS)) {
+    assert.deepEqual(parsePreset(preset), preset);
+  }
+  for (const [key, param] of Object.entries(TUNING_PARAMS)) {
+    assert.ok(param.value >= param.min && param.value <= param.max, `${key} default out of range`);
+  }
+});
+
+test('a Tuning tells what changed, and round-trips as a preset', () => {
+  const tuning = new Tuning({ maxVelX: 12 });
+  const changes = [];
+  tuning.on('change', (key, value) => changes.push([key, value]));
+  tuning.on('load', (values) => changes.push(['load', { ...values }]));
+
+  tuning.nudge('brakeFactor', -5);
+  tuning.set('maxVelX', 12);                  // no change, no event
+  tuning.nudge('driftFlat', 100);             // stops at the max
+
+  assert.deepEqual(changes, [['brakeFactor', 0.7], ['driftFlat', 1]]);
+  assert.deepEqual(new Tuning(tuning.changes()).values, tuning.values);
+
+  // A whole preset at once is one event
+  changes.length = 0;
+  tuning.load({});
+  tuning.load({});                            // no change, no event
+  assert.deepEqual(tuning.values, TUNING_DEFAULTS);
+  assert.deepEqual(changes, [['load', TUNING_DEFAULTS]]);
+  assert.throws(() => tuning.set('wobble', 1), /Unknown tuning/);
+});
+
+test('the controller rides on the tuning it is given', () => {
+  const stock = topSpeed();
+  assert.ok(Math.abs(stock - TUNING_DEFAULTS.maxVelX) < 0.1, `stock ${stock}`);
+  assert.ok(topSpeed({ tuning: { maxVelX: 12 } }) > stock + 2);
+
+  // Gear options still go on top of the tuning
+  assert.ok(Math.abs(topSpeed({ tuning: { maxVelX: 12 }, controller: { maxVelX: 7 } }) - 7) < 0.1);
+});
+
+test('configure() changes the feel mid-run', () => {
+  const sim = new HeadlessSim(FLAT);
+  const tuning = new Tuning();
+  tuning.on('change', () => sim.controller.configure({ tuning: tuning.values }));
+  sim.settle();
+  sim.run(['right'], seconds(2));
+
+  const before = sim.body.velocity.x;
+  tuning.set('brakeFactor', 0.3);
+  sim.run(['brake'], 2);
+
+  assert.ok(sim.body.velocity.x < before * 0.3 * 0.3 + 0.5, `vx ${sim.body.velocity.x}`);
+});
+
+test('gravity changes how high an ollie goes', () => {
+  const ollieHeight = (tuning) => {
+    const sim = new HeadlessSim(FLAT, { tuning });
+    sim.settle();
+    const startY = sim.body.position.y;
+    let top = startY;
+    sim.run(['jump'], 1);
+    sim.run([], seconds(1.5), () => (top = Math.min(top, sim.body.position.y)));
+    return startY - top;
+  };
+
+  const stock = ollieHeight();
+  assert.ok(ollieHeight(TUNING_PRESETS.Floaty) > stock * 1.1);
+  assert.ok(ollieHeight({ gravity: 1.3 }) < stock * 0.9);
+});
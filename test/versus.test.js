@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HorseGame, landsLine } from '../src/core/versus.js';
+
+/** Every event of `game` as "name player detail". */
+function recordEvents(game) {
+  const events = [];
+  game.on('set', (player, line) => events.push(`set ${player} ${line.join('+')}`));
+  game.on('copied', (player) => events.push(`copied ${player}`));
+  game.on('letter', (player, letters) => events.push(`letter ${player} ${letters}`));
+  game.on('end', (winner) => events.push(`end ${winner}`));
+  return events;
+}
+
+test('a line is landed with its tricks in order, extras allowed', () => {
+  assert.ok(landsLine(['ollie', 'kickflip', 'manual'], ['kickflip', 'manual']));
+  assert.ok(landsLine(['kickflip', 'spin180', 'manual'], ['kickflip', 'manual']));
+  assert.ok(!landsLine(['manual', 'kickflip'], ['kickflip', 'manual']));
+  assert.ok(!landsLine(['kickflip'], ['kickflip', 'kickflip']));
+});
+
+test('the setter keeps setting while the copier lands or misses', () => {
+  const game = new HorseGame();
+  const events = recordEvents(game);
+
+  game.landed(['ollie', 'kickflip']);
+  assert.equal(game.turn, 1);
+  game.landed(['kickflip', 'ollie']);        // wrong order
+  assert.equal(game.turn, 0);
+
+  game.landed(['shoveit']);
+  game.landed(['ollie', 'shoveit', 'manual']);
+
+  assert.deepEqual(events, ['set 0 ollie+kickflip', 'letter 1 H', 'set 0 shoveit', 'copied 1']);
+  assert.equal(game.setter, 0);
+  assert.equal(game.lettersOf(1), 'H');
+});
+
+test('a missed set passes setting to the other skater', () => {
+  const game = new HorseGame();
+
+  game.missed();
+  assert.equal(game.setter, 1);
+  assert.equal(game.turn, 1);
+  assert.equal(game.line, null);
+
+  game.landed(['manual']);
+  game.missed();                             // bailed the copy
+  assert.equal(game.lettersOf(0), 'H');
+  assert.equal(game.turn, 1);
+});
+
+test('spelling the word loses the game', () => {
+  const game = new HorseGame('PIG');
+  const events = recordEvents(game);
+
+  for (let i = 0; i < 3; i++) {
+    game.landed(['kickflip']);
+    game.missed();
+  }
+  game.landed(['ollie']);                    // over, nothing happens
+
+  assert.equal(game.winner, 0);
+  assert.ok(game.finished);
+  assert.deepEqual(events.filter((e) => !e.startsWith('set')), [
+    'letter 1 P',
+    'letter 1 PI',
+    'letter 1 PIG',
+    'end 0',
+  ]);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WorldGraph, collectibleKey, isGateOpen } from '../src/core/worldgraph.js';
+import { loadLevel } from './harness.js';
+
+function loadWorld() {
+  const { levels } = loadLevel('index');
+  return new WorldGraph(Object.fromEntries(levels.map((key) => [key, loadLevel(key)])));
+}
+
+test('the shipped levels link up both ways', () => {
+  const world = loadWorld();
+
+  for (const room of world.rooms.values()) {
+    for (const exit of room.exits) {
+      assert.ok(world.entranceOf(room.key, exit.def), `nothing leads back from "${exit.to}" to "${room.key}"`);
+    }
+  }
+});
+
+test('travelling comes out at the matching entrance with the speed kept', () => {
+  const world = loadWorld();
+  const street = world.room('street');
+  const toRamp = street.exits.find((exit) => exit.to === 'ramp');
+  const back = world.room('ramp').exits.find((exit) => exit.to === 'street');
+
+  const arrival = world.travel('street', toRamp.def, { x: 8, y: -1 });
+  assert.equal(arrival.room, 'ramp');
+  assert.deepEqual(arrival.spawn, { x: back.def.spawn.x, y: back.def.spawn.y });
+  assert.deepEqual(arrival.velocity, { x: 8 * back.def.spawn.dir, y: -1 });
+
+  // Coming back the speed is turned to leave the doorway
+  const home = world.travel('ramp', back.def, { x: 6, y: 0 });
+  assert.equal(home.room, 'street');
+  assert.ok(Math.sign(home.velocity.x) === toRamp.def.spawn.dir);
+});
+
+test('named entrances and broken links', () => {
+  const levels = {
+    a: { spawn: { x: 0, y: 0 }, exits: [{ to: 'b', entrance: 'side' }] },
+    b: {
+      spawn: { x: 5, y: 5 },
+      exits: [
+        { to: 'a' },
+        { name: 'side', to: 'a', spawn: { x: 100, y: 50 } },
+      ],
+    },
+  };
+  const world = new WorldGraph(levels);
+  assert.deepEqual(world.travel('a', levels.a.exits[0]).spawn, { x: 100, y: 50 });
+  assert.deepEqual(world.neighbours('b'), ['a']);
+
+  assert.throws(() => new WorldGraph({ a: { exits: [{ to: 'nowhere' }] } }), /unknown room "nowhere"/);
+  assert.throws(
+    () => new WorldGraph({ a: { exits: [{ to: 'b', entrance: 'x' }] }, b: {} }),
+    /no entrance "x"/
+  );
+});
+
+test('gates open on collectibles and stay open', () => {
+  const exit = { to: 'b', gate: { collect: 2 } };
+  const state = { collected: [collectibleKey({ x: 1, y: 2 })], opened: [] };
+
+  assert.equal(isGateOpen(exit, state), false);
+  assert.equal(isGateOpen(exit, { ...state, collected: [...state.collected, 'id'] }), true);
+  assert.equal(isGateOpen(exit, { collected: [], opened: ['b'] }), true);
+  assert.equal(isGateOpen({ to: 'b' }, state), true);
+});